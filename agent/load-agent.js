@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Load Agent - runs on extra load-generator machines and accepts benchmark
+ * jobs from the API, which starts the same job on every agent at the same
+ * moment and merges their results. One autocannon box cannot saturate a large
+ * cluster; N agents can.
+ */
+
+import express from "express";
+import { createServer } from "http";
+import { LoadService } from "./services/load.service.js";
+import { info, error as logError, requestLogger } from "./services/logger.service.js";
+
+const app = express();
+const server = createServer(app);
+
+app.use(express.json());
+app.use(requestLogger);
+
+const PORT = process.env.LOAD_AGENT_PORT || 3300;
+const HOST = process.env.LOAD_AGENT_HOST || "0.0.0.0";
+
+const loadService = new LoadService();
+
+/**
+ * GET /api/load/clock
+ * Agent clock, used by the API to convert its start time to this machine's clock
+ */
+app.get("/api/load/clock", (req, res) => {
+  res.json({
+    now: Date.now()
+  });
+});
+
+/**
+ * POST /api/load/jobs
+ * Start a benchmark job
+ * Body: { id, startAt, options } - options as for autocannon.runner.js, startAt in this agent's clock (epoch ms)
+ */
+app.post("/api/load/jobs", (req, res, next) => {
+  try {
+    const job = loadService.start(req.body || {});
+
+    info(`Load job started: ${job.url}`, {
+      action: "load.job",
+      jobId: job.id,
+      connections: job.connections,
+      workers: job.workers,
+      startsIn: job.startAt - Date.now(),
+    });
+
+    res.status(202).json({
+      job: loadService.get(job.id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/load/jobs/:id
+ * Job status, samples (from ?since=<index>) and, once finished, its output
+ */
+app.get("/api/load/jobs/:id", (req, res) => {
+  const job = loadService.get(req.params.id, parseInt(req.query.since) || 0);
+
+  if (!job) {
+    return res.status(404).json({
+      error: "Job not found",
+      jobId: req.params.id
+    });
+  }
+
+  res.json({
+    job,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * DELETE /api/load/jobs/:id
+ * Cancel a job (the partial result is still reported)
+ */
+app.delete("/api/load/jobs/:id", (req, res) => {
+  const job = loadService.cancel(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: "Job not found",
+      jobId: req.params.id
+    });
+  }
+
+  info(`Load job cancelled: ${job.id}`, { action: "load.cancel", jobId: job.id });
+
+  res.status(202).json({
+    job: loadService.get(job.id),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Health check
+ */
+app.get("/health", (req, res) => {
+  res.json({
+    status: "ok",
+    service: "load-agent",
+    busy: loadService.getActiveJobId() !== null,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Error handler
+app.use((err, req, res, next) => {
+  if (!err.status) {
+    logError(err, { action: "error_handler", path: req.path });
+  }
+  res.status(err.status || 500).json({
+    error: err.message || "Internal server error"
+  });
+});
+
+// Start server
+server.listen(PORT, HOST, () => {
+  info(`Load Agent started`, { host: HOST, port: PORT });
+  info(`Endpoints: GET /api/load/clock, POST /api/load/jobs, GET|DELETE /api/load/jobs/:id`);
+  info(`Health check: GET http://${HOST}:${PORT}/health`);
+});
+
+// Graceful shutdown
+process.on("SIGTERM", async () => {
+  info("SIGTERM received, shutting down gracefully...");
+  server.close(() => {
+    info("Server closed");
+    process.exit(0);
+  });
+});
+
+process.on("SIGINT", async () => {
+  info("SIGINT received, shutting down gracefully...");
+  server.close(() => {
+    info("Server closed");
+    process.exit(0);
+  });
+});
+
+export { app, server };
@@ -7,7 +7,7 @@
 
 import express from "express";
 import { createServer } from "http";
-import { RedisService } from "./services/redis.service.js";
+import { RedisService, WRITE_SCHEMES } from "./services/redis.service.js";
 import { info, error as logError, requestLogger } from "./services/logger.service.js";
 
 const app = express();
@@ -54,6 +54,22 @@ app.get("/api/redis/stats", async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/redis/metrics
+ * Per-node ops/sec, memory, connections and cumulative CPU seconds, sampled by the API during benchmark runs
+ */
+app.get("/api/redis/metrics", async (req, res, next) => {
+  try {
+    const nodes = await redisService.getNodeMetrics();
+    res.json({
+      nodes,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * GET /api/redis/status
  * Get Redis cluster status
@@ -70,6 +86,75 @@ app.get("/api/redis/status", async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/redis/environment
+ * Cluster shape (nodes, masters, replicas), Redis version and host, recorded with benchmark results
+ */
+app.get("/api/redis/environment", async (req, res, next) => {
+  try {
+    const environment = await redisService.getEnvironment();
+    res.json({
+      ...environment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Reject unknown write schemes
+ */
+function validateScheme(req, res, next) {
+  if (!WRITE_SCHEMES.includes(req.params.scheme)) {
+    return res.status(400).json({
+      error: `Unknown write scheme: ${req.params.scheme} (expected ${WRITE_SCHEMES.join(" or ")})`
+    });
+  }
+  next();
+}
+
+/**
+ * GET /api/redis/writes/:scheme
+ * Counters of a write endpoint's keys (codes:seq, codes:unique, sync queues), snapshotted before a write benchmark
+ */
+app.get("/api/redis/writes/:scheme", validateScheme, async (req, res, next) => {
+  try {
+    const state = await redisService.getWriteState(req.params.scheme);
+    res.json({
+      ...state,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/redis/writes/:scheme/verify
+ * Counters after a write benchmark, and a check that the records written since the snapshot exist
+ * Body: { before: Object (GET /api/redis/writes/:scheme), limit?: number }
+ */
+app.post("/api/redis/writes/:scheme/verify", validateScheme, async (req, res, next) => {
+  try {
+    const { before, limit } = req.body || {};
+
+    if (!before || typeof before.queue !== "number") {
+      return res.status(400).json({
+        error: "Missing or invalid before snapshot"
+      });
+    }
+
+    const result = await redisService.verifyWrites(req.params.scheme, before, limit > 0 ? limit : undefined);
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * POST /api/redis/setup
  * Setup Redis cluster. Uses --bind-remote so Redis is reachable from the API machine.
@@ -178,7 +263,7 @@ app.use((err, req, res, next) => {
 // Start server
 server.listen(PORT, HOST, () => {
   info(`Redis Agent started`, { host: HOST, port: PORT });
-  info(`Endpoints: /api/redis/nodes, /api/redis/stats, /api/redis/status`);
+  info(`Endpoints: /api/redis/nodes, /api/redis/stats, /api/redis/status, /api/redis/writes/:scheme`);
   info(`          POST /api/redis/setup, /stop, /resume, /clean`);
   info(`Health check: GET http://${HOST}:${PORT}/health`);
 });
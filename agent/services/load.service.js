@@ -0,0 +1,193 @@
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+/**
+ * The same runner the API spawns for local benchmarks
+ */
+const RUNNER_PATH = fileURLToPath(new URL("../../shared/bench/autocannon.runner.js", import.meta.url));
+
+/**
+ * How many finished jobs to keep for GET /api/load/jobs/:id
+ */
+const MAX_FINISHED_JOBS = 10;
+
+/**
+ * How long a cancelled runner gets to print its partial result before it is killed
+ */
+const CANCEL_GRACE_MS = 5000;
+
+/**
+ * Load Service
+ * Runs benchmark jobs for the API's coordinator (one at a time, like the API's
+ * own runs): each job is an autocannon.runner.js process started in raw mode,
+ * waiting for the job's startAt so that all agents hit the target together.
+ * Samples and the final output are kept on the job for the coordinator to poll.
+ */
+export class LoadService {
+  constructor(runnerPath = RUNNER_PATH) {
+    this.runnerPath = runnerPath;
+    this.jobs = new Map();
+    this.activeJobId = null;
+  }
+
+  /**
+   * Start a job
+   * @param {Object} job - { id, startAt, options } (options as for autocannon.runner.js; startAt in this agent's clock)
+   * @returns {Object} Job descriptor (status "waiting")
+   * @throws {Error} 409 if a job is already running, 400 if the job is invalid
+   */
+  start({ id, startAt, options }) {
+    if (this.activeJobId) {
+      throw Object.assign(new Error(`Job ${this.activeJobId} is already running`), { status: 409 });
+    }
+
+    if (!id || !options?.url || !(options.connections > 0) || !(options.duration > 0)) {
+      throw Object.assign(new Error("id, options.url, options.connections and options.duration are required"), { status: 400 });
+    }
+
+    if (this.jobs.has(id)) {
+      throw Object.assign(new Error(`Job ${id} already exists`), { status: 409 });
+    }
+
+    const job = {
+      id,
+      status: "waiting",
+      url: options.url,
+      connections: options.connections,
+      workers: options.workers || 1,
+      startAt: startAt || Date.now(),
+      finishedAt: null,
+      samples: [],
+      output: null,
+      error: null,
+    };
+
+    this.jobs.set(id, job);
+    this.activeJobId = id;
+    this.spawn(job, { ...options, startAt: job.startAt, raw: true });
+
+    return job;
+  }
+
+  /**
+   * Spawn the runner for a job and collect its output
+   */
+  spawn(job, runnerOptions) {
+    let buffered = "";
+    let stderr = "";
+
+    const child = spawn(process.execPath, [this.runnerPath, JSON.stringify(runnerOptions)], {
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    job.process = child;
+
+    // The runner waits for startAt itself; flip the status when load actually starts
+    const startTimer = setTimeout(() => {
+      if (job.status === "waiting") job.status = "running";
+    }, Math.max(0, job.startAt - Date.now()));
+
+    child.stdout.on("data", (data) => {
+      buffered += data.toString();
+      const lines = buffered.split("\n");
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const message = JSON.parse(line);
+          if (message.type === "sample") {
+            const { type, ...sample } = message;
+            job.samples.push(sample);
+          } else if (message.type === "result") {
+            const { type, ...output } = message;
+            job.output = output;
+          }
+        } catch (error) {
+          // Ignore non-JSON output
+        }
+      }
+    });
+
+    child.stderr.on("data", (data) => {
+      stderr += data.toString();
+    });
+
+    child.on("exit", (code) => {
+      clearTimeout(startTimer);
+      clearTimeout(job.killTimer);
+
+      if (code === 0 && job.output) {
+        job.status = job.output.result.cancelled ? "cancelled" : "complete";
+      } else {
+        job.status = "failed";
+        job.error = stderr.trim().split("\n").pop() || `Runner exited with code ${code}`;
+      }
+
+      this.finish(job);
+    });
+
+    child.on("error", (err) => {
+      clearTimeout(startTimer);
+      job.status = "failed";
+      job.error = `Failed to run autocannon: ${err.message}`;
+      this.finish(job);
+    });
+  }
+
+  /**
+   * Release the job slot and drop the oldest finished jobs
+   */
+  finish(job) {
+    if (job.finishedAt) return;
+
+    job.finishedAt = new Date().toISOString();
+    delete job.process;
+    if (this.activeJobId === job.id) this.activeJobId = null;
+
+    const finished = [...this.jobs.values()].filter((j) => j.finishedAt);
+    for (const old of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      this.jobs.delete(old.id);
+    }
+  }
+
+  /**
+   * Stop a job; the runner still reports its partial result
+   * @param {string} id - Job id
+   * @returns {Object|null} Job descriptor, or null if unknown
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (job.process && !job.cancelRequested) {
+      job.cancelRequested = true;
+      job.process.kill("SIGTERM");
+      job.killTimer = setTimeout(() => job.process?.kill("SIGKILL"), CANCEL_GRACE_MS);
+    }
+
+    return job;
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job id
+   * @param {number} [since=0] - Only include samples from this index on
+   * @returns {Object|null} Job (without its process), or null if unknown
+   */
+  get(id, since = 0) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    const { process, killTimer, samples, ...rest } = job;
+    return { ...rest, sampleCount: samples.length, samples: samples.slice(since) };
+  }
+
+  /**
+   * Id of the running job, if any
+   * @returns {string|null}
+   */
+  getActiveJobId() {
+    return this.activeJobId;
+  }
+}
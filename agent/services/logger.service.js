@@ -1,6 +1,6 @@
 import pino from "pino";
 import { fileURLToPath } from "url";
-import { dirname, join } from "path";
+import { basename, dirname, join } from "path";
 import { existsSync, mkdirSync } from "fs";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -15,8 +15,13 @@ if (!existsSync(logsDir)) {
 
 const isDev = process.env.NODE_ENV === "development";
 
+// Shared by the Redis Agent (server.js) and the Load Agent (load-agent.js)
+const app = basename(process.argv[1] || "", ".js") === "load-agent"
+  ? "node-1m-rps-load-agent"
+  : "node-1m-rps-redis-agent";
+
 /**
- * Redis Agent Logger
+ * Agent Logger
  * - Development: pretty-printed to stdout
  * - Production: JSON to stdout (for log aggregation)
  */
@@ -37,7 +42,7 @@ export const logger = pino({
   },
   timestamp: pino.stdTimeFunctions.isoTime,
   base: {
-    app: "node-1m-rps-redis-agent",
+    app,
   },
 });
 
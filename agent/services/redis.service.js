@@ -1,12 +1,36 @@
 import { readdir } from "fs/promises";
+import os from "os";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
+import Redis from "ioredis";
 import { execRedisCommand } from "../../api/utils/exec.js";
 import { COLORS } from "../../api/config/constants.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * Write schemes of the write endpoints (see frameworks/utils.js and handleCodeUltraFastCreate):
+ * - codes: SADD codes:unique, INCR codes:seq, HSET codes:{id}, LPUSH codes:sync_queue
+ * - sharded: SET code:{uuid}, LPUSH codes:sync_queue:{shard} (shards 1-100)
+ */
+export const WRITE_SCHEMES = ["codes", "sharded"];
+
+/**
+ * Shards of the sharded sync queue
+ */
+const SYNC_QUEUE_SHARDS = 100;
+
+/**
+ * Records checked for existence per verification; above this, a random sample is checked
+ */
+const DEFAULT_CHECK_LIMIT = 100000;
+
+/**
+ * Keys checked per EXISTS batch
+ */
+const CHECK_BATCH_SIZE = 1000;
+
 /**
  * Redis Service
  * Handles Redis cluster operations and statistics
@@ -201,6 +225,101 @@ export class RedisService {
     }
   }
 
+  /**
+   * Per-node metrics for resource sampling during benchmark runs (unformatted)
+   * @returns {Promise<Array<Object>>} [{ port, role, opsPerSec, memory (bytes), connections, cpuSeconds }]
+   *   cpuSeconds is cumulative (used_cpu_sys + used_cpu_user); CPU usage is its delta between two calls
+   */
+  async getNodeMetrics() {
+    const ports = await this.detectNodes();
+    if (ports.length === 0) return [];
+
+    const masterPorts = new Set(await this.getMasterPorts());
+
+    const metrics = await Promise.all(ports.map(async (port) => {
+      const { stdout } = await this.exec(`redis-cli -p ${port} INFO`).catch(() => ({ stdout: "" }));
+      if (!stdout) return null;
+
+      const field = (name) => parseFloat(stdout.match(new RegExp(`^${name}:([\\d.]+)`, "m"))?.[1] ?? 0);
+
+      return {
+        port,
+        role: masterPorts.has(port) ? "master" : "replica",
+        opsPerSec: field("instantaneous_ops_per_sec"),
+        memory: field("used_memory"),
+        connections: field("connected_clients"),
+        cpuSeconds: field("used_cpu_sys") + field("used_cpu_user"),
+      };
+    }));
+
+    return metrics.filter(Boolean);
+  }
+
+  /**
+   * Run fn with a Redis client connected to the local cluster (or to the standalone
+   * Redis on REDIS_PORT when no cluster node is found), disconnected afterwards
+   * @param {Function} fn - async (client) => result
+   * @returns {Promise<*>} fn's result
+   */
+  async withClient(fn) {
+    if (this.redis) return fn(this.redis);
+
+    const ports = await this.detectNodes();
+    const options = { enableAutoPipelining: true, lazyConnect: true };
+    const client = ports.length > 0
+      ? new Redis.Cluster([{ host: "127.0.0.1", port: ports[0] }], {
+          ...options,
+          clusterRetryStrategy: () => null,
+          redisOptions: { connectTimeout: 3000 },
+        })
+      : new Redis({
+          ...options,
+          host: "127.0.0.1",
+          port: parseInt(process.env.REDIS_PORT || "6379", 10),
+          connectTimeout: 3000,
+          maxRetriesPerRequest: 1,
+          retryStrategy: () => null,
+        });
+    // Connection errors reject the commands; without a listener they would also be logged as unhandled
+    client.on("error", () => {});
+
+    try {
+      await client.connect();
+      return await fn(client);
+    } finally {
+      client.disconnect();
+    }
+  }
+
+  /**
+   * Counters of a write scheme, taken before and after a write benchmark
+   * @param {string} scheme - "codes" or "sharded" (see WRITE_SCHEMES)
+   * @returns {Promise<Object>} codes: { seq, unique, queue }; sharded: { queue, shards: [length per shard] }
+   */
+  async getWriteState(scheme) {
+    return this.withClient((client) => readWriteState(client, scheme));
+  }
+
+  /**
+   * Check the records written since a getWriteState() snapshot: for "codes", that
+   * a codes:{id} hash exists for every id INCR handed out; for "sharded", that the
+   * ids pushed onto the shards exist as code:{id} and were pushed once
+   * @param {string} scheme - "codes" or "sharded"
+   * @param {Object} before - getWriteState() snapshot taken before the writes
+   * @param {number} [limit] - Records to check at most (a random sample above it)
+   * @returns {Promise<Object>} { after, records: { expected, checked, missing, duplicates, sampled } }
+   */
+  async verifyWrites(scheme, before, limit = DEFAULT_CHECK_LIMIT) {
+    return this.withClient(async (client) => {
+      const after = await readWriteState(client, scheme);
+      const records = scheme === "codes"
+        ? await checkCodeRecords(client, before, after, limit)
+        : await checkShardedRecords(client, before, after, limit);
+
+      return { after, records };
+    });
+  }
+
   /**
    * Count online nodes
    * @param {Array<string>} stats - Formatted stats from getStats()
@@ -369,6 +488,35 @@ export class RedisService {
     }
   }
 
+  /**
+   * Describe the Redis side of a benchmark environment: cluster shape, Redis version and host
+   * @returns {Promise<{nodes: number, masters: number, replicas: number, version: string|null, hostname: string, cpuCores: number, kernel: string}>}
+   */
+  async getEnvironment() {
+    const ports = await this.detectNodes();
+    const masters = ports.length > 0 ? (await this.getMasterPorts()).length : 0;
+
+    let version = null;
+    if (ports.length > 0) {
+      const { stdout } = await this.exec(`redis-cli -p ${ports[0]} INFO server`).catch(() => ({ stdout: "" }));
+      version = stdout.match(/redis_version:(\S+)/)?.[1] ?? null;
+    }
+    if (!version) {
+      const { stdout } = await this.exec("redis-server --version").catch(() => ({ stdout: "" }));
+      version = stdout.match(/v=(\S+)/)?.[1] ?? null;
+    }
+
+    return {
+      nodes: ports.length,
+      masters,
+      replicas: ports.length - masters,
+      version,
+      hostname: os.hostname(),
+      cpuCores: os.cpus().length,
+      kernel: os.release(),
+    };
+  }
+
   /**
    * Get cluster status by checking nodes directly
    * @returns {Promise<{success: boolean, message: string, nodes: number}>}
@@ -400,3 +548,94 @@ export class RedisService {
     }
   }
 }
+
+/**
+ * Read the counters of a write scheme
+ * @param {Object} client - ioredis client
+ * @param {string} scheme - "codes" or "sharded"
+ * @returns {Promise<Object>}
+ */
+async function readWriteState(client, scheme) {
+  if (scheme === "codes") {
+    const [seq, unique, queue] = await Promise.all([
+      client.get("codes:seq"),
+      client.scard("codes:unique"),
+      client.llen("codes:sync_queue"),
+    ]);
+    return { seq: parseInt(seq, 10) || 0, unique, queue };
+  }
+
+  const shards = await Promise.all(
+    Array.from({ length: SYNC_QUEUE_SHARDS }, (_, i) => client.llen(`codes:sync_queue:{${i + 1}}`))
+  );
+  return { queue: shards.reduce((sum, length) => sum + length, 0), shards };
+}
+
+/**
+ * Check that codes:{id} exists for the ids handed out by INCR codes:seq between two snapshots
+ */
+async function checkCodeRecords(client, before, after, limit) {
+  const first = before.seq + 1;
+  const expected = Math.max(0, after.seq - before.seq);
+  const sampled = expected > limit;
+
+  const ids = sampled
+    ? sample(expected, limit).map((offset) => first + offset)
+    : Array.from({ length: expected }, (_, i) => first + i);
+  const missing = await countMissing(client, ids.map((id) => `codes:${id}`));
+
+  return { expected, checked: ids.length, missing, duplicates: 0, sampled };
+}
+
+/**
+ * Check the ids pushed onto each shard between two snapshots (LPUSH: the newest are
+ * at the head): each must exist as code:{id} and appear once
+ */
+async function checkShardedRecords(client, before, after, limit) {
+  const added = after.shards.map((length, i) => Math.max(0, length - (before.shards?.[i] ?? 0)));
+  const expected = added.reduce((sum, count) => sum + count, 0);
+  const sampled = expected > limit;
+
+  // Sampled: the same share of each shard, from its head
+  const ranges = await Promise.all(added.map((count, i) => {
+    const take = sampled ? Math.ceil((count * limit) / expected) : count;
+    return take > 0 ? client.lrange(`codes:sync_queue:{${i + 1}}`, 0, take - 1) : [];
+  }));
+  const ids = ranges.flat();
+  const distinct = [...new Set(ids)];
+  const missing = await countMissing(client, distinct.map((id) => `code:{${id}}`));
+
+  return { expected, checked: ids.length, missing, duplicates: ids.length - distinct.length, sampled };
+}
+
+/**
+ * Count keys that do not exist, in EXISTS batches (auto-pipelined)
+ * @param {Object} client - ioredis client
+ * @param {Array<string>} keys - Keys
+ * @returns {Promise<number>}
+ */
+async function countMissing(client, keys) {
+  let missing = 0;
+
+  for (let i = 0; i < keys.length; i += CHECK_BATCH_SIZE) {
+    // One key per EXISTS: keys of a batch hash to different cluster slots
+    const found = await Promise.all(keys.slice(i, i + CHECK_BATCH_SIZE).map((key) => client.exists(key)));
+    missing += found.filter((exists) => exists === 0).length;
+  }
+
+  return missing;
+}
+
+/**
+ * Random distinct offsets in [0, total)
+ * @param {number} total - Range size
+ * @param {number} size - Sample size (< total)
+ * @returns {Array<number>}
+ */
+function sample(total, size) {
+  const picked = new Set();
+  while (picked.size < size) {
+    picked.add(Math.floor(Math.random() * total));
+  }
+  return [...picked];
+}
@@ -9,13 +9,34 @@ export const COLORS = {
 };
 
 export const LIMITS = {
-  maxBenchmarkResults: 100,
   maxLogLines: 1000
 };
 
+/**
+ * Benchmark history retention (BenchmarkHistory.rotate). A result is kept while any
+ * rule keeps it; the others are moved to the archive, where they can be restored.
+ */
+export const RETENTION = {
+  keepLast: parseInt(process.env.BENCHMARK_KEEP_LAST, 10) || 20, // latest results per framework/endpoint combination
+  keepDays: parseInt(process.env.BENCHMARK_KEEP_DAYS ?? "30", 10) || 0, // results younger than this (0 = no age rule)
+  keepSloGroups: 20, // latest SLO searches, kept whole
+  keepSuiteGroups: 10 // latest suite runs, kept whole
+};
+
+/**
+ * Regression thresholds against a combination's baseline (BenchmarkHistory.compareToBaseline):
+ * a relative change beyond them is a regression, or an improvement the other way
+ */
+export const REGRESSION = {
+  reqPerSec: parseFloat(process.env.BENCHMARK_REGRESSION_RPS) || 0.05, // 5% fewer req/s
+  p99Latency: parseFloat(process.env.BENCHMARK_REGRESSION_P99) || 0.1 // 10% higher p99
+};
+
 export const PERFORMANCE = {
   updateInterval: 1000, // 1 second
-  cacheMaxAge: 5000 // 5 seconds
+  cacheMaxAge: 5000, // 5 seconds
+  resourceSampleInterval: 2000, // 2 seconds, app/Redis/host sampling during benchmark runs
+  integritySettle: 1000 // 1 second for in-flight writes to land before Redis counters are read
 };
 
 export const TIMEOUTS = {
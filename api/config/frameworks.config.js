@@ -116,6 +116,7 @@ export const FRAMEWORKS = {
  * - /simple (GET): Pure framework overhead baseline
  * - /code (POST): Write performance with validation (5 Redis ops)
  * - /code-fast (GET): Read performance with caching (2 Redis ops)
+ * - /code-ultra-fast (POST): Maximum write throughput, no uniqueness check (2 Redis ops, Cpeak only)
  * 
  * Properties:
  * - path: HTTP path (e.g., "/simple")
@@ -123,6 +124,16 @@ export const FRAMEWORKS = {
  * - description: Human-readable description for CLI help
  * - benchmarkable: If true, auto-generates bench commands in rps.js
  * - shortName: Command suffix for `bench <framework> <shortName>` (empty for default)
+ * - contract: (Optional) Expected response, checked with a few requests before every benchmark
+ *   so misrouted builds (404s, 500s) abort instead of recording numbers:
+ *   - status: Expected HTTP status
+ *   - body: Top-level JSON values that must match exactly
+ *   - fields: Dot paths that must be present (non-null) in the JSON body
+ * - integrity: (Optional) Redis write scheme of a write endpoint, verified after every benchmark
+ *   (the 201s the load generator saw against what Redis holds, see api/services/integrity.service.js):
+ *   - "codes": codes:seq, codes:unique, codes:{id} and codes:sync_queue
+ *   - "sharded": code:{uuid} and codes:sync_queue:{1..100}
+ * - frameworks: (Optional) Frameworks implementing the endpoint (all if not set)
  * 
  * Example - Adding a new endpoint:
  * ```
@@ -147,6 +158,10 @@ export const ENDPOINTS = {
     description: "Simple text response (pure framework overhead test)",
     benchmarkable: true,
     shortName: "", // Empty = default, no suffix needed
+    contract: {
+      status: 200,
+      body: { message: "hi" },
+    },
   },
   code: {
     path: "/code",
@@ -154,6 +169,24 @@ export const ENDPOINTS = {
     description: "Create code with Redis and validation (write performance test)",
     benchmarkable: true,
     shortName: "code",
+    contract: {
+      status: 201,
+      fields: ["created_code.id", "created_code.code", "created_code.created_at"],
+    },
+    integrity: "codes",
+  },
+  codeUltraFast: {
+    path: "/code-ultra-fast",
+    method: "POST",
+    description: "Create code with a UUID and sharded queues (maximum write throughput test)",
+    benchmarkable: false,
+    shortName: "ultra",
+    frameworks: ["cpeak"],
+    contract: {
+      status: 201,
+      fields: ["created_code.id", "created_code.code", "created_code.created_at"],
+    },
+    integrity: "sharded",
   },
   codeFastGet: {
     path: "/code-fast",
@@ -161,6 +194,10 @@ export const ENDPOINTS = {
     description: "Read code from Redis with O(1) lookup (read performance test)",
     benchmarkable: true,
     shortName: "read",
+    contract: {
+      status: 200,
+      fields: ["data.id", "data.code", "data.created_at"],
+    },
   },
 };
 
@@ -17,8 +17,9 @@ export function authMiddleware(req, res, next) {
     return next();
   }
 
-  // Check for API key in headers
-  const providedKey = req.headers["x-api-key"];
+  // Check for API key in headers (or as a bearer token, which Prometheus scrape configs can send)
+  const bearer = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+  const providedKey = req.headers["x-api-key"] || bearer;
 
   if (!providedKey || providedKey !== apiKey) {
     return res.status(401).json({
@@ -0,0 +1,38 @@
+/**
+ * First release: benchmark results and their lookup indexes
+ */
+export const description = "benchmark_results with timestamp, framework and combination indexes";
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS benchmark_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp TEXT NOT NULL,
+      framework TEXT NOT NULL,
+      endpoint TEXT,
+      method TEXT,
+      reqPerSec INTEGER,
+      avgLatency REAL,
+      p50Latency REAL,
+      p90Latency REAL,
+      p99Latency REAL,
+      totalReqs INTEGER,
+      duration REAL,
+      connections INTEGER,
+      workers INTEGER,
+      pipelining INTEGER,
+      errors INTEGER DEFAULT 0,
+      timeouts INTEGER DEFAULT 0,
+      non2xx INTEGER DEFAULT 0
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_bench_timestamp
+    ON benchmark_results(timestamp DESC, id DESC);
+
+    CREATE INDEX IF NOT EXISTS idx_bench_framework
+    ON benchmark_results(framework);
+
+    CREATE INDEX IF NOT EXISTS idx_bench_combo
+    ON benchmark_results(framework, endpoint, method, timestamp DESC);
+  `);
+}
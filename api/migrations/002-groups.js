@@ -0,0 +1,25 @@
+/**
+ * Result groups (SLO searches, later repeated runs and suites) and fixed-rate runs
+ */
+export const description = "benchmark_groups, groupId and targetRate";
+
+export function up(db, { addColumn }) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS benchmark_groups (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      framework TEXT NOT NULL,
+      endpoint TEXT,
+      method TEXT,
+      summary TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_group_type
+    ON benchmark_groups(type, timestamp DESC);
+  `);
+
+  addColumn("benchmark_results", "groupId", "TEXT");
+  addColumn("benchmark_results", "targetRate", "INTEGER");
+  db.exec("CREATE INDEX IF NOT EXISTS idx_bench_group ON benchmark_results(groupId)");
+}
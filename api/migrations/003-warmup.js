@@ -0,0 +1,9 @@
+/**
+ * Discarded warmup phase recorded with each result
+ */
+export const description = "warmup and warmupRate";
+
+export function up(db, { addColumn }) {
+  addColumn("benchmark_results", "warmup", "REAL DEFAULT 0");
+  addColumn("benchmark_results", "warmupRate", "INTEGER");
+}
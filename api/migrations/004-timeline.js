@@ -0,0 +1,19 @@
+/**
+ * Per-second samples of each run
+ */
+export const description = "benchmark_timeline";
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS benchmark_timeline (
+      resultId INTEGER NOT NULL,
+      second INTEGER NOT NULL,
+      requests INTEGER,
+      p50Latency REAL,
+      p99Latency REAL,
+      errors INTEGER DEFAULT 0,
+      non2xx INTEGER DEFAULT 0,
+      PRIMARY KEY (resultId, second)
+    );
+  `);
+}
@@ -0,0 +1,12 @@
+/**
+ * Open-model runs, with latencies corrected for coordinated omission
+ */
+export const description = "loadModel and corrected latencies";
+
+export function up(db, { addColumn }) {
+  addColumn("benchmark_results", "loadModel", "TEXT DEFAULT 'closed'");
+  addColumn("benchmark_results", "correctedAvgLatency", "REAL");
+  addColumn("benchmark_results", "correctedP50Latency", "REAL");
+  addColumn("benchmark_results", "correctedP90Latency", "REAL");
+  addColumn("benchmark_results", "correctedP99Latency", "REAL");
+}
@@ -0,0 +1,8 @@
+/**
+ * Results of suite runs are tagged with the suite name
+ */
+export const description = "suite";
+
+export function up(db, { addColumn }) {
+  addColumn("benchmark_results", "suite", "TEXT");
+}
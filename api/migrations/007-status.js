@@ -0,0 +1,8 @@
+/**
+ * Cancelled runs keep their partial result
+ */
+export const description = "status";
+
+export function up(db, { addColumn }) {
+  addColumn("benchmark_results", "status", "TEXT DEFAULT 'complete'");
+}
@@ -0,0 +1,8 @@
+/**
+ * Per-agent breakdown of distributed runs
+ */
+export const description = "agents";
+
+export function up(db, { addColumn }) {
+  addColumn("benchmark_results", "agents", "TEXT");
+}
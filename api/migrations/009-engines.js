@@ -0,0 +1,8 @@
+/**
+ * Load-generator engine of each run
+ */
+export const description = "engine";
+
+export function up(db, { addColumn }) {
+  addColumn("benchmark_results", "engine", "TEXT DEFAULT 'autocannon'");
+}
@@ -0,0 +1,19 @@
+/**
+ * Whole-run latency histograms and the tail percentiles taken from them
+ */
+export const description = "benchmark_histograms and p99.9/p99.99 latencies";
+
+export function up(db, { addColumn }) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS benchmark_histograms (
+      resultId INTEGER PRIMARY KEY,
+      latency TEXT NOT NULL,
+      corrected TEXT
+    );
+  `);
+
+  addColumn("benchmark_results", "p999Latency", "REAL");
+  addColumn("benchmark_results", "p9999Latency", "REAL");
+  addColumn("benchmark_results", "correctedP999Latency", "REAL");
+  addColumn("benchmark_results", "correctedP9999Latency", "REAL");
+}
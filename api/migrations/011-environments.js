@@ -0,0 +1,36 @@
+/**
+ * Environment snapshot (host, runtimes, Redis topology, git) of each run
+ */
+export const description = "environments and environmentId";
+
+export function up(db, { addColumn }) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS environments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      fingerprint TEXT NOT NULL UNIQUE,
+      createdAt TEXT NOT NULL,
+      hostname TEXT,
+      cpuModel TEXT,
+      cpuCores INTEGER,
+      totalMemory INTEGER,
+      kernel TEXT,
+      os TEXT,
+      nodeVersion TEXT,
+      bunVersion TEXT,
+      dotnetVersion TEXT,
+      pm2Instances INTEGER,
+      redisNodes INTEGER,
+      redisMasters INTEGER,
+      redisReplicas INTEGER,
+      redisVersion TEXT,
+      redisHostname TEXT,
+      redisHost TEXT,
+      redisLocal INTEGER,
+      gitCommit TEXT,
+      gitDirty INTEGER,
+      handlersHash TEXT
+    );
+  `);
+
+  addColumn("benchmark_results", "environmentId", "INTEGER");
+}
@@ -0,0 +1,15 @@
+/**
+ * App, Redis and host resources sampled during runs
+ */
+export const description = "benchmark_resources";
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS benchmark_resources (
+      resultId INTEGER PRIMARY KEY,
+      interval INTEGER NOT NULL,
+      samples TEXT NOT NULL,
+      summary TEXT
+    );
+  `);
+}
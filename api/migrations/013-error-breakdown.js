@@ -0,0 +1,8 @@
+/**
+ * Failures by status code and error class, with sample bodies
+ */
+export const description = "errorBreakdown";
+
+export function up(db, { addColumn }) {
+  addColumn("benchmark_results", "errorBreakdown", "TEXT");
+}
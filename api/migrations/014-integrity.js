@@ -0,0 +1,8 @@
+/**
+ * Redis write integrity verdict of write-endpoint runs
+ */
+export const description = "integrity";
+
+export function up(db, { addColumn }) {
+  addColumn("benchmark_results", "integrity", "TEXT");
+}
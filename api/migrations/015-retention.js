@@ -0,0 +1,33 @@
+/**
+ * Retention policies: pinned results and groups, and the archive that rotation moves the rest to
+ */
+export const description = "pinned, archived_results and archived_groups";
+
+export function up(db, { addColumn }) {
+  addColumn("benchmark_results", "pinned", "INTEGER DEFAULT 0");
+  addColumn("benchmark_groups", "pinned", "INTEGER DEFAULT 0");
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS archived_results (
+      id INTEGER PRIMARY KEY,
+      archivedAt TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      framework TEXT NOT NULL,
+      endpoint TEXT,
+      method TEXT,
+      groupId TEXT,
+      data TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_archived_timestamp
+    ON archived_results(timestamp DESC, id DESC);
+
+    CREATE TABLE IF NOT EXISTS archived_groups (
+      id TEXT PRIMARY KEY,
+      archivedAt TEXT NOT NULL,
+      type TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+  `);
+}
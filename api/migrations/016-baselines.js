@@ -0,0 +1,24 @@
+/**
+ * Baselines per combination, and the regression verdict of each run against its baseline
+ */
+export const description = "benchmark_baselines and regression";
+
+export function up(db, { addColumn }) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS benchmark_baselines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      comboKey TEXT NOT NULL UNIQUE,
+      framework TEXT NOT NULL,
+      endpoint TEXT,
+      method TEXT,
+      resultId INTEGER,
+      groupId TEXT,
+      runs INTEGER NOT NULL,
+      reqPerSec REAL NOT NULL,
+      p99Latency REAL NOT NULL,
+      createdAt TEXT NOT NULL
+    );
+  `);
+
+  addColumn("benchmark_results", "regression", "TEXT");
+}
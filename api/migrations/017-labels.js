@@ -0,0 +1,9 @@
+/**
+ * Tags and notes on results
+ */
+export const description = "tags and notes";
+
+export function up(db, { addColumn }) {
+  addColumn("benchmark_results", "tags", "TEXT");
+  addColumn("benchmark_results", "notes", "TEXT");
+}
@@ -0,0 +1,8 @@
+/**
+ * Imports look runs up by timestamp, framework and endpoint to skip duplicates
+ */
+export const description = "idx_bench_run";
+
+export function up(db) {
+  db.exec("CREATE INDEX IF NOT EXISTS idx_bench_run ON benchmark_results(timestamp, framework, endpoint)");
+}
@@ -1,23 +1,43 @@
 import { Router } from "express";
 import { BenchmarkService } from "../services/benchmark.service.js";
+import { EnvironmentService } from "../services/environment.service.js";
+import { benchmarkRunner } from "../services/benchmark-run.service.js";
 import { info } from "../services/logger.service.js";
+import { loadSuite, listSuites, parseSuite } from "../utils/suite.js";
+import { LoadAgentClient, getLoadAgentURLs } from "../utils/load-agent.client.js";
+import { listEngines } from "../../shared/bench/engines.js";
+import { REGRESSION } from "../config/constants.js";
+import { EXPORT_FORMATS, renderExport } from "../utils/export.js";
 
 const router = Router();
 const benchmarkService = new BenchmarkService();
+const environmentService = new EnvironmentService();
+
+// Verdicts of GET /regressions (see BenchmarkHistory.compareToBaseline)
+const VERDICTS = ["regressed", "improved", "unchanged", "all"];
 
 /**
- * GET /api/benchmark/latest
- * Get latest benchmark results
- * Query: ?count=10 (default: 10)
+ * GET /api/benchmark/results
+ * Query the history, most recent run first (SLO probes are not listed)
+ * Query: ?framework=fastify&endpoint=/simple&method=GET&from=2026-01-01&to=2026-02-01&tag=release-2.3
+ *   &minReqPerSec=100000&maxReqPerSec=500000&environmentId=3&hostname=bench-1&status=complete&limit=50&offset=0
+ * from/to are dates or ISO timestamps (a bare date in to includes that whole day)
  */
-router.get("/latest", async (req, res, next) => {
+router.get("/results", async (req, res, next) => {
   try {
-    const count = parseInt(req.query.count) || 10;
-    const results = await benchmarkService.getLatest(count);
+    const { filter, error } = parseResultFilter(req.query);
+    if (error) return res.status(400).json(error);
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { results, total } = await benchmarkService.query({ ...filter, limit, offset });
 
     res.json({
       results,
       count: results.length,
+      total,
+      limit,
+      offset,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -26,16 +46,100 @@ router.get("/latest", async (req, res, next) => {
 });
 
 /**
- * GET /api/benchmark/all
- * Get all benchmark results
+ * GET /api/benchmark/export
+ * Download the history as a file: csv, json (with timelines, histograms and environments), md or
+ * html (a self-contained report with inline SVG charts)
+ * Query: ?format=html plus the filters of GET /results; without limit every matching result is exported
+ */
+router.get("/export", async (req, res, next) => {
+  try {
+    const format = req.query.format || "json";
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: `Invalid format: ${format} (expected ${Object.keys(EXPORT_FORMATS).join(", ")})`,
+        format
+      });
+    }
+
+    const { filter, error } = parseResultFilter(req.query);
+    if (error) return res.status(400).json(error);
+
+    if (req.query.limit != null) filter.limit = Math.max(parseInt(req.query.limit) || 0, 0);
+    if (req.query.offset != null) filter.offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const exportedAt = new Date().toISOString();
+    const results = await benchmarkService.getExport(filter);
+    const body = renderExport(format, results, { filter, exportedAt });
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    res
+      .type(contentType)
+      .attachment(`benchmark-history-${exportedAt.slice(0, 19).replace(/:/g, "-")}.${extension}`)
+      .send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Parse the history filters of GET /results and GET /export
+ * @param {Object} query - req.query
+ * @returns {{filter: Object}|{error: Object}} Filter for BenchmarkService.query, or a 400 response body
+ */
+function parseResultFilter(query) {
+  const { framework, endpoint, method, tag, hostname, status } = query;
+  const filter = { framework, endpoint, method: method?.toUpperCase(), tag, hostname, status };
+
+  for (const name of ["minReqPerSec", "maxReqPerSec", "environmentId"]) {
+    if (query[name] == null) continue;
+    const value = name === "environmentId" ? parseInt(query[name]) : parseFloat(query[name]);
+    if (isNaN(value)) {
+      return { error: { error: `Invalid ${name}`, [name]: query[name] } };
+    }
+    filter[name] = value;
+  }
+
+  for (const name of ["from", "to"]) {
+    if (query[name] == null) continue;
+    const date = new Date(query[name]);
+    if (isNaN(date)) {
+      return { error: { error: `Invalid ${name} date`, [name]: query[name] } };
+    }
+    // A bare date as upper bound means the end of that day
+    if (name === "to" && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) date.setUTCHours(23, 59, 59, 999);
+    filter[name] = date.toISOString();
+  }
+
+  if (status && !["complete", "cancelled"].includes(status)) {
+    return { error: { error: "Invalid status (expected complete or cancelled)", status } };
+  }
+
+  // Unset filters are left out (the export lists the filter it applied)
+  return { filter: Object.fromEntries(Object.entries(filter).filter(([, value]) => value != null && value !== "")) };
+}
+
+/**
+ * GET /api/benchmark/compare
+ * Compare 2 to 4 runs side by side: aligned metrics with absolute and percentage deltas against
+ * the first id, and the load settings and environment fields (instances, Redis topology...) that differ
+ * Query: ?ids=12,15[,18,21]
  */
-router.get("/all", async (req, res, next) => {
+router.get("/compare", async (req, res, next) => {
   try {
-    const results = await benchmarkService.getAll();
+    const raw = String(req.query.ids || "").split(",").map((id) => id.trim()).filter(Boolean);
+    const ids = raw.map((id) => parseInt(id));
+
+    if (ids.some((id) => isNaN(id))) {
+      return res.status(400).json({
+        error: "Invalid benchmark ids",
+        ids: req.query.ids
+      });
+    }
+
+    const comparison = await benchmarkService.compare(ids);
 
     res.json({
-      results,
-      count: results.length,
+      ...comparison,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -44,18 +148,16 @@ router.get("/all", async (req, res, next) => {
 });
 
 /**
- * GET /api/benchmark/by-framework/:framework
- * Get results for specific framework
+ * GET /api/benchmark/tags
+ * Tags in use on listed results with their result counts, most used first
  */
-router.get("/by-framework/:framework", async (req, res, next) => {
+router.get("/tags", async (req, res, next) => {
   try {
-    const { framework } = req.params;
-    const results = await benchmarkService.getByFramework(framework);
+    const tags = await benchmarkService.getTags();
 
     res.json({
-      framework,
-      results,
-      count: results.length,
+      tags,
+      count: tags.length,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -66,6 +168,9 @@ router.get("/by-framework/:framework", async (req, res, next) => {
 /**
  * GET /api/benchmark/latest-by-framework
  * Get latest result for each framework+endpoint combination
+ * Results with more failed requests than BENCHMARK_MAX_ERROR_RATE (1%), or whose
+ * write integrity check found lost or duplicated writes, are flagged invalid: true,
+ * with errorRate and invalidReason
  */
 router.get("/latest-by-framework", async (req, res, next) => {
   try {
@@ -80,9 +185,117 @@ router.get("/latest-by-framework", async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/benchmark/regressions
+ * Latest result of each combination that has a baseline, with its verdict against it
+ * (thresholds: BENCHMARK_REGRESSION_RPS, BENCHMARK_REGRESSION_P99)
+ * Query: ?verdict=regressed (default), improved, unchanged or all
+ */
+router.get("/regressions", async (req, res, next) => {
+  try {
+    const verdict = req.query.verdict || "regressed";
+
+    if (!VERDICTS.includes(verdict)) {
+      return res.status(400).json({
+        error: `Invalid verdict: ${verdict} (expected ${VERDICTS.join(", ")})`
+      });
+    }
+
+    const regressions = await benchmarkService.getRegressions(verdict);
+
+    res.json({
+      regressions,
+      count: regressions.length,
+      verdict,
+      thresholds: REGRESSION,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/baselines
+ * Baselines new runs are compared with, one per framework/endpoint/method combination
+ */
+router.get("/baselines", async (req, res, next) => {
+  try {
+    const baselines = await benchmarkService.getBaselines();
+
+    res.json({
+      baselines,
+      count: baselines.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/benchmark/baselines
+ * Make a result the baseline of its combination, or a group (e.g. a repeated run or a suite run)
+ * the baseline of each of its combinations (mean of its runs). The result or group is pinned.
+ * Body: { resultId: number } or { groupId: string }
+ */
+router.post("/baselines", async (req, res, next) => {
+  try {
+    const { resultId, groupId } = req.body || {};
+    const baselines = await benchmarkService.setBaseline({ resultId, groupId });
+
+    info(`Benchmark baseline set: ${baselines.map((b) => b.comboKey).join(", ")}`, {
+      action: "benchmark.baseline",
+      resultId,
+      groupId,
+    });
+
+    res.status(201).json({
+      success: true,
+      baselines,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/benchmark/baselines/:id
+ * Remove a baseline (its result or group stays pinned)
+ */
+router.delete("/baselines/:id", async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: "Invalid baseline id",
+        id: req.params.id
+      });
+    }
+
+    if (!(await benchmarkService.deleteBaseline(id))) {
+      return res.status(404).json({
+        error: "Baseline not found",
+        id
+      });
+    }
+
+    res.json({
+      success: true,
+      id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/benchmark/add
  * Add a benchmark result to history
+ * Without an environment in the body, the API host's environment is captured (the frameworks run here)
  */
 router.post("/add", async (req, res, next) => {
   try {
@@ -98,6 +311,10 @@ router.post("/add", async (req, res, next) => {
       result.timestamp = new Date().toISOString();
     }
 
+    if (!result.environment) {
+      result.environment = await environmentService.capture(result.framework);
+    }
+
     info(`Benchmark result: ${result.framework} ${result.endpoint} - ${result.reqPerSec} req/s`, {
       action: "benchmark.add",
       framework: result.framework,
@@ -119,17 +336,112 @@ router.post("/add", async (req, res, next) => {
 });
 
 /**
- * POST /api/benchmark/reload
- * Reload benchmark history from disk
+ * POST /api/benchmark/import
+ * Import results run outside this tool, or from another history
+ * Body: { format?: "export"|"autocannon"|"wrk"|"oha", data, framework, endpoint?, method?, timestamp?,
+ *   connections?, workers?, pipelining?, rate?, warmup?, engine?, environment?, tags?, notes?, pin? }
+ * data is a JSON export (GET /export?format=json), `autocannon -j` output, wrk text output or its
+ * WRK_SUMMARY line, or `oha --json` output; format is detected when left out. Tool outputs need
+ * framework (and timestamp for wrk and oha); an export carries its own. Runs with the timestamp,
+ * framework and endpoint of a stored (or archived) run are skipped as duplicates
  */
-router.post("/reload", async (req, res, next) => {
+router.post("/import", async (req, res, next) => {
   try {
-    const reloaded = await benchmarkService.reload();
+    const { imported, duplicates, rejected } = await benchmarkService.importResults(req.body || {});
+
+    info(`Benchmark import: ${imported.length} imported, ${duplicates.length} duplicates, ${rejected.length} rejected`, {
+      action: "benchmark.import",
+      format: req.body?.format,
+      imported: imported.length,
+      duplicates: duplicates.length,
+      rejected: rejected.length,
+    });
+
+    res.status(imported.length > 0 ? 201 : 200).json({
+      imported,
+      duplicates,
+      rejected,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/benchmark/run
+ * Run a benchmark on the API host in the background
+ * Body: { framework, endpoint?, method?, duration?, connections?, workers?, pipelining?, rate?, warmup?, warmupRate?, repeat?, cooldown?, preflight?, agents?, engine? }
+ * Progress and the final result are pushed to the "benchmark:progress" WebSocket stream
+ * With rate set the run is open-model: a fixed arrival rate (req/s), with latencies also corrected
+ * for coordinated omission (correctedP50Latency...correctedP99Latency)
+ * Before load, a few requests are checked against the endpoint's contract (ENDPOINTS); a mismatch
+ * fails the run. Pass preflight: false to benchmark an endpoint that is expected to fail
+ * With repeat > 1 the runs are stored as a group and the result is their aggregate (mean, stddev, 95% CI)
+ * With agents (true for all of LOAD_AGENTS, or a list of their URLs) the load comes from the load agents:
+ * connections and rate are totals split across them, and the merged result has a per-agent breakdown (agents)
+ * engine picks the load generator (autocannon by default, wrk, wrk2 or oha; see GET /engines)
+ */
+router.post("/run", async (req, res, next) => {
+  try {
+    const {
+      framework, endpoint, method, duration, connections, workers, pipelining,
+      rate, warmup, warmupRate, repeat, cooldown, preflight, agents, engine,
+    } = req.body || {};
+
+    if (!framework) {
+      return res.status(400).json({
+        error: "Missing required field: framework"
+      });
+    }
+
+    const run = await benchmarkRunner.start({
+      framework,
+      endpoint,
+      method: method?.toUpperCase(),
+      duration: parseInt(duration) || undefined,
+      connections: parseInt(connections) || undefined,
+      workers: parseInt(workers) || undefined,
+      pipelining: parseInt(pipelining) || undefined,
+      rate: rate != null ? parseInt(rate) : undefined,
+      warmup: parseInt(warmup) || undefined,
+      warmupRate: parseInt(warmupRate) || undefined,
+      repeat: repeat != null ? parseInt(repeat) : undefined,
+      cooldown: cooldown != null ? parseInt(cooldown) : undefined,
+      preflight: preflight !== false,
+      agents,
+      engine,
+    });
+
+    res.status(202).json({
+      runId: run.id,
+      run,
+      stream: "benchmark:progress",
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/run/:id
+ * Get status (and result, once complete) of a benchmark run
+ */
+router.get("/run/:id", async (req, res, next) => {
+  try {
+    const run = benchmarkRunner.get(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        error: "Benchmark run not found",
+        runId: req.params.id
+      });
+    }
 
     res.json({
-      success: true,
-      message: "Benchmark history reloaded",
-      reloaded
+      run,
+      timestamp: new Date().toISOString()
     });
   } catch (error) {
     next(error);
@@ -137,16 +449,91 @@ router.post("/reload", async (req, res, next) => {
 });
 
 /**
- * DELETE /api/benchmark/clear
- * Clear all benchmark history
+ * DELETE /api/benchmark/run/:id
+ * Cancel an active run: the load generator is stopped and the partial result is saved
+ * with status "cancelled" (left out of latest-by-framework). The run's final status
+ * ("cancelled") is published on "benchmark:progress"
  */
-router.delete("/clear", async (req, res, next) => {
+router.delete("/run/:id", async (req, res, next) => {
   try {
-    const success = await benchmarkService.clear();
+    const run = benchmarkRunner.cancel(req.params.id);
+
+    res.status(202).json({
+      runId: run.id,
+      run,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/benchmark/slo
+ * Search for the max request rate sustained under a p99 latency target
+ * Body: { framework, targetP99, endpoint?, method?, probeDuration?, minRate?, maxRate?, maxProbes?, connections?, workers?, agents?, engine? }
+ * Runs like POST /run (progress on "benchmark:progress"); probes are stored as a result group
+ */
+router.post("/slo", async (req, res, next) => {
+  try {
+    const {
+      framework, endpoint, method, targetP99,
+      probeDuration, minRate, maxRate, maxProbes, connections, workers, agents, engine,
+    } = req.body || {};
+
+    if (!framework || targetP99 == null) {
+      return res.status(400).json({
+        error: "Missing required fields: framework, targetP99"
+      });
+    }
+
+    const run = await benchmarkRunner.startSloSearch({
+      framework,
+      endpoint,
+      method: method?.toUpperCase(),
+      targetP99: parseFloat(targetP99),
+      probeDuration: parseInt(probeDuration) || undefined,
+      minRate: parseInt(minRate) || undefined,
+      maxRate: parseInt(maxRate) || undefined,
+      maxProbes: parseInt(maxProbes) || undefined,
+      connections: parseInt(connections) || undefined,
+      workers: parseInt(workers) || undefined,
+      agents,
+      engine,
+    });
+
+    res.status(202).json({
+      runId: run.id,
+      run,
+      stream: "benchmark:progress",
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/agents
+ * Configured load agents (LOAD_AGENTS) and whether they are reachable and busy
+ */
+router.get("/agents", async (req, res, next) => {
+  try {
+    const agents = await Promise.all(
+      getLoadAgentURLs().map(async (url) => {
+        try {
+          const health = await new LoadAgentClient(url).health();
+          return { url, status: health.status, busy: health.busy };
+        } catch (error) {
+          return { url, status: "unreachable", error: error.cause?.code || error.message };
+        }
+      })
+    );
 
     res.json({
-      success,
-      message: "Benchmark history cleared"
+      agents,
+      count: agents.length,
+      timestamp: new Date().toISOString()
     });
   } catch (error) {
     next(error);
@@ -154,15 +541,675 @@ router.delete("/clear", async (req, res, next) => {
 });
 
 /**
- * GET /api/benchmark/stats
- * Get benchmark statistics summary
+ * GET /api/benchmark/engines
+ * Load-generator engines, whether their binary is installed on the API host, and what they support
  */
-router.get("/stats", async (req, res, next) => {
+router.get("/engines", async (req, res, next) => {
   try {
-    const stats = await benchmarkService.getStats();
+    const engines = await listEngines();
 
     res.json({
-      stats,
+      engines,
+      count: engines.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/environments
+ * Environment snapshots results were recorded in (host, runtimes, PM2 instances, Redis, handlers revision)
+ */
+router.get("/environments", async (req, res, next) => {
+  try {
+    const environments = await benchmarkService.getEnvironments();
+
+    res.json({
+      environments,
+      count: environments.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/environments/:id
+ * Get an environment snapshot (the environmentId of a result)
+ */
+router.get("/environments/:id", async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: "Invalid environment id",
+        id: req.params.id
+      });
+    }
+
+    const environment = await benchmarkService.getEnvironment(id);
+
+    if (!environment) {
+      return res.status(404).json({
+        error: "Environment not found",
+        id
+      });
+    }
+
+    res.json({
+      environment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/suites
+ * List suite files in suites/
+ */
+router.get("/suites", async (req, res, next) => {
+  try {
+    const suites = await listSuites();
+
+    res.json({
+      suites,
+      count: suites.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/benchmark/suite
+ * Run a benchmark suite end to end (redis/pm2 setup, warmups, benchmarks, teardown)
+ * Body: { name } to run suites/<name>.json, or { suite } with an inline suite definition
+ * Runs like POST /run (progress on "benchmark:progress"). Results are tagged with the suite
+ * name and grouped under the run id; the summary is at GET /groups/<runId> once complete
+ */
+router.post("/suite", async (req, res, next) => {
+  try {
+    const { name, suite } = req.body || {};
+
+    if (!name && !suite) {
+      return res.status(400).json({
+        error: "Missing required field: name or suite"
+      });
+    }
+
+    const parsed = suite ? parseSuite(suite) : await loadSuite(name);
+    const run = benchmarkRunner.startSuite(parsed);
+
+    res.status(202).json({
+      runId: run.id,
+      run,
+      stream: "benchmark:progress",
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/groups
+ * Get latest result groups (e.g. SLO searches, suite runs)
+ * Query: ?type=slo&count=20
+ */
+router.get("/groups", async (req, res, next) => {
+  try {
+    const count = parseInt(req.query.count) || 20;
+    const groups = await benchmarkService.getGroups(req.query.type || null, count);
+
+    res.json({
+      groups,
+      count: groups.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/groups/:id
+ * Get a result group with its results (e.g. the probe curve of an SLO search)
+ */
+router.get("/groups/:id", async (req, res, next) => {
+  try {
+    const group = await benchmarkService.getGroup(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        error: "Benchmark group not found",
+        groupId: req.params.id
+      });
+    }
+
+    res.json({
+      group,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/groups/:id/histogram
+ * Latency histogram merged across the group's complete results (e.g. the runs of a repeated benchmark)
+ */
+router.get("/groups/:id/histogram", async (req, res, next) => {
+  try {
+    const histogram = await benchmarkService.getGroupHistogram(req.params.id);
+
+    if (!histogram) {
+      return res.status(404).json({
+        error: "Benchmark group not found",
+        groupId: req.params.id
+      });
+    }
+
+    res.json({
+      groupId: req.params.id,
+      ...histogram,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/benchmark/groups/:id/pin
+ * Pin a group: it and its results are never archived
+ */
+router.post("/groups/:id/pin", async (req, res, next) => {
+  await setGroupPinned(req, res, next, true);
+});
+
+/**
+ * DELETE /api/benchmark/groups/:id/pin
+ * Unpin a group (archived on the spot if the retention policy no longer keeps it)
+ */
+router.delete("/groups/:id/pin", async (req, res, next) => {
+  await setGroupPinned(req, res, next, false);
+});
+
+async function setGroupPinned(req, res, next, pinned) {
+  try {
+    const updated = await benchmarkService.setGroupPinned(req.params.id, pinned);
+
+    if (!updated) {
+      return res.status(404).json({
+        error: "Benchmark group not found",
+        groupId: req.params.id
+      });
+    }
+
+    res.json({
+      groupId: req.params.id,
+      pinned,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/benchmark/retention
+ * Retention policy (keep-last-N per combination, keep-by-age, group limits) with live, pinned and archived counts
+ */
+router.get("/retention", async (req, res, next) => {
+  try {
+    const retention = await benchmarkService.getRetention();
+
+    res.json({
+      ...retention,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/archive
+ * Results moved out of the history by the retention policy, most recent run first
+ * Query: ?framework=fastify&endpoint=/simple&method=GET&limit=50&offset=0
+ */
+router.get("/archive", async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { results, total } = await benchmarkService.getArchivedResults({
+      framework: req.query.framework,
+      endpoint: req.query.endpoint,
+      method: req.query.method,
+      limit,
+      offset,
+    });
+
+    res.json({
+      results,
+      count: results.length,
+      total,
+      limit,
+      offset,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/archive/groups
+ * Archived groups (SLO searches, suite runs, repeated runs) with their archived result counts
+ * Query: ?type=suite&count=20
+ */
+router.get("/archive/groups", async (req, res, next) => {
+  try {
+    const count = parseInt(req.query.count) || 20;
+    const groups = await benchmarkService.getArchivedGroups(req.query.type || null, count);
+
+    res.json({
+      groups,
+      count: groups.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/benchmark/archive/groups/:id/restore
+ * Move an archived group and its results back into the history, pinned
+ */
+router.post("/archive/groups/:id/restore", async (req, res, next) => {
+  try {
+    const group = await benchmarkService.restoreGroup(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        error: "Archived benchmark group not found",
+        groupId: req.params.id
+      });
+    }
+
+    info(`Benchmark group restored from archive: ${group.id}`, { action: "benchmark.restore", groupId: group.id });
+
+    res.json({
+      success: true,
+      group,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/archive/:id
+ * Get an archived result with its timeline
+ */
+router.get("/archive/:id", async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: "Invalid benchmark id",
+        id: req.params.id
+      });
+    }
+
+    const result = await benchmarkService.getArchivedResult(id);
+
+    if (!result) {
+      return res.status(404).json({
+        error: "Archived benchmark result not found",
+        id
+      });
+    }
+
+    res.json({
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/benchmark/archive/:id/restore
+ * Move an archived result back into the history (with its timeline, histogram and
+ * resources), pinned so the next rotation does not archive it again
+ */
+router.post("/archive/:id/restore", async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: "Invalid benchmark id",
+        id: req.params.id
+      });
+    }
+
+    const result = await benchmarkService.restoreResult(id);
+
+    if (!result) {
+      return res.status(404).json({
+        error: "Archived benchmark result not found",
+        id
+      });
+    }
+
+    info(`Benchmark result restored from archive: ${id}`, { action: "benchmark.restore", id });
+
+    res.json({
+      success: true,
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/benchmark/reload
+ * Reload benchmark history from disk
+ */
+router.post("/reload", async (req, res, next) => {
+  try {
+    const reloaded = await benchmarkService.reload();
+
+    res.json({
+      success: true,
+      message: "Benchmark history reloaded",
+      reloaded
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/benchmark/clear
+ * Clear all benchmark history, archive included
+ */
+router.delete("/clear", async (req, res, next) => {
+  try {
+    const success = await benchmarkService.clear();
+
+    res.json({
+      success,
+      message: "Benchmark history cleared"
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/stats
+ * Get benchmark statistics summary
+ */
+router.get("/stats", async (req, res, next) => {
+  try {
+    const stats = await benchmarkService.getStats();
+
+    res.json({
+      stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/benchmark/:id/pin
+ * Pin a result: the retention policy never archives it
+ */
+router.post("/:id/pin", async (req, res, next) => {
+  await setPinned(req, res, next, true);
+});
+
+/**
+ * DELETE /api/benchmark/:id/pin
+ * Unpin a result (archived on the spot if the retention policy no longer keeps it)
+ */
+router.delete("/:id/pin", async (req, res, next) => {
+  await setPinned(req, res, next, false);
+});
+
+async function setPinned(req, res, next, pinned) {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: "Invalid benchmark id",
+        id: req.params.id
+      });
+    }
+
+    const updated = await benchmarkService.setPinned(id, pinned);
+
+    if (!updated) {
+      return res.status(404).json({
+        error: "Benchmark result not found",
+        id
+      });
+    }
+
+    res.json({
+      id,
+      pinned,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/benchmark/:id
+ * Get a result by id (listed, grouped or SLO probe; archived results are under /archive/:id)
+ */
+router.get("/:id", async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: "Invalid benchmark id",
+        id: req.params.id
+      });
+    }
+
+    const result = await benchmarkService.getResult(id);
+
+    if (!result) {
+      return res.status(404).json({
+        error: "Benchmark result not found",
+        id
+      });
+    }
+
+    res.json({
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/benchmark/:id
+ * Label a result
+ * Body: { tags?: ["after ioredis bump", "release-2.3"], notes?: "tuned somaxconn to 65535" }
+ * tags replaces the result's tags ([] removes them); notes: null removes the notes
+ */
+router.patch("/:id", async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: "Invalid benchmark id",
+        id: req.params.id
+      });
+    }
+
+    const { tags, notes } = req.body || {};
+    const result = await benchmarkService.updateResult(id, { tags, notes });
+
+    if (!result) {
+      return res.status(404).json({
+        error: "Benchmark result not found",
+        id
+      });
+    }
+
+    info(`Benchmark result ${id} labelled`, { action: "benchmark.update", id, tags: result.tags });
+
+    res.json({
+      result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/:id/timeline
+ * Get per-second samples (requests, p50/p99, errors, non-2xx) recorded during a run
+ */
+router.get("/:id/timeline", async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: "Invalid benchmark id",
+        id: req.params.id
+      });
+    }
+
+    const timeline = await benchmarkService.getTimeline(id);
+
+    if (!timeline) {
+      return res.status(404).json({
+        error: "Benchmark result not found",
+        id
+      });
+    }
+
+    res.json({
+      id,
+      timeline,
+      count: timeline.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/:id/histogram
+ * Get the whole-run latency histogram (3 significant digits, counts per latency in ms) with its
+ * percentile distribution up to p99.999; corrected is set for open-model runs
+ */
+router.get("/:id/histogram", async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: "Invalid benchmark id",
+        id: req.params.id
+      });
+    }
+
+    const histogram = await benchmarkService.getHistogram(id);
+
+    if (!histogram) {
+      return res.status(404).json({
+        error: "Benchmark result not found",
+        id
+      });
+    }
+
+    if (!histogram.latency) {
+      return res.status(404).json({
+        error: "No histogram recorded for this result (older result, or an engine without one)",
+        id
+      });
+    }
+
+    res.json({
+      id,
+      ...histogram,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/benchmark/:id/resources
+ * Get the resources sampled while a result ran on the API host: CPU/RSS per PM2 instance, ops/sec,
+ * memory and CPU per Redis node, host CPU/load, with a summary naming the saturated one
+ */
+router.get("/:id/resources", async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: "Invalid benchmark id",
+        id: req.params.id
+      });
+    }
+
+    const resources = await benchmarkService.getResources(id);
+
+    if (!resources) {
+      return res.status(404).json({
+        error: "Benchmark result not found",
+        id
+      });
+    }
+
+    if (resources.samples.length === 0) {
+      return res.status(404).json({
+        error: "No resource samples recorded for this result (run outside the API, or an older result)",
+        id
+      });
+    }
+
+    res.json({
+      id,
+      ...resources,
+      count: resources.samples.length,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
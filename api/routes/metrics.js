@@ -0,0 +1,21 @@
+import { Router } from "express";
+import { MetricsService } from "../services/metrics.service.js";
+import { CONTENT_TYPE } from "../utils/prometheus.js";
+
+const router = Router();
+const metricsService = new MetricsService();
+
+/**
+ * GET /metrics
+ * System, PM2, Redis and latest benchmark metrics in the Prometheus text format
+ * (see MetricsService). With API_KEY set, scrape with an Authorization: Bearer <API_KEY> header
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    res.type(CONTENT_TYPE).send(await metricsService.render());
+  } catch (error) {
+    next(error);
+  }
+});
+
+export { router as metricsRouter };
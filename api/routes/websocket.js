@@ -1,11 +1,20 @@
 import { SystemService } from "../services/system.service.js";
 import { PM2Service } from "../services/pm2.service.js";
+import { benchmarkRunner } from "../services/benchmark-run.service.js";
 
 const systemService = new SystemService();
 const pm2Service = new PM2Service();
 
-// Track active WebSocket connections
-const activeConnections = new Set();
+// Track active WebSocket connections and their stream subscriptions
+const activeConnections = new Map();
+
+// Streams fed by events (broadcastToStream) instead of polling in streamMetrics
+const PUSH_STREAMS = new Set(["benchmark:progress"]);
+
+// Forward benchmark run progress to subscribers
+benchmarkRunner.on("progress", (progress) => {
+  broadcastToStream("benchmark:progress", progress);
+});
 
 /**
  * WebSocket handler for real-time metrics streaming
@@ -15,7 +24,7 @@ export async function wsHandler(ws, req) {
   const subscriptions = new Set();
 
   console.log(`[WS] Client connected: ${clientId}`);
-  activeConnections.add(ws);
+  activeConnections.set(ws, subscriptions);
 
   // Send initial connection message
   ws.send(JSON.stringify({
@@ -98,8 +107,10 @@ function handleSubscribe(ws, message, subscriptions, clientId) {
     timestamp: new Date().toISOString()
   }));
 
-  // Start streaming updates
-  streamMetrics(ws, stream, interval, subscriptions);
+  // Start streaming updates (push streams are sent by broadcastToStream)
+  if (!PUSH_STREAMS.has(stream)) {
+    streamMetrics(ws, stream, interval, subscriptions);
+  }
 }
 
 /**
@@ -179,7 +190,7 @@ async function streamMetrics(ws, stream, interval, subscriptions) {
  */
 export function broadcastToAll(message) {
   const payload = JSON.stringify(message);
-  activeConnections.forEach(ws => {
+  activeConnections.forEach((_, ws) => {
     if (ws.readyState === ws.OPEN) {
       ws.send(payload);
     }
@@ -196,5 +207,10 @@ export function broadcastToStream(stream, data) {
     data,
     timestamp: new Date().toISOString()
   };
-  broadcastToAll(message);
+  const payload = JSON.stringify(message);
+  activeConnections.forEach((subscriptions, ws) => {
+    if (subscriptions.has(stream) && ws.readyState === ws.OPEN) {
+      ws.send(payload);
+    }
+  });
 }
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark History Migrations CLI
+ *
+ * Shows the schema version of api/data/benchmark-history.db and applies pending
+ * migrations (see api/utils/migrations.js). The API applies them on startup
+ * too; this runs them ahead of it, or up to a given version.
+ *
+ * Stop the API first when migrating: it keeps the database open.
+ */
+
+import Database from "better-sqlite3";
+import { existsSync } from "fs";
+import { DB_FILE, LATEST_VERSION, getStatus, migrate, backupDatabase } from "../utils/migrations.js";
+
+// Colors
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  red: "\x1b[31m",
+  cyan: "\x1b[36m",
+  gray: "\x1b[90m",
+  bold: "\x1b[1m",
+};
+
+function log(msg, color = "reset") {
+  console.log(`${colors[color]}${msg}${colors.reset}`);
+}
+
+function showUsage() {
+  log("\nUsage: node api/scripts/migrate.js [command] [options]", "bold");
+
+  log("\nCommands:", "yellow");
+  log("  status           Show the schema version and pending migrations (default)");
+  log("  up               Back up the database and apply pending migrations");
+  log("  backup           Copy the database to api/data/backups/");
+
+  log("\nOptions:", "yellow");
+  log("  --to <version>   With up: stop at this version instead of the latest");
+  log("  -h, --help       Show this help message");
+
+  log("\nExamples:", "yellow");
+  log("  node api/scripts/migrate.js", "gray");
+  log("  node api/scripts/migrate.js up", "gray");
+  log("  node api/scripts/migrate.js up --to 12", "gray");
+  log("");
+}
+
+function printStatus(status) {
+  const version = status.legacy ? "none (created before migrations)" : `${status.version}`;
+  log(`\n▶ ${DB_FILE}`, "cyan");
+  log(`  Schema version ${version}, latest ${status.latest}`, "bold");
+
+  if (status.applied.length > 0) {
+    log("\n  Applied:", "yellow");
+    for (const m of status.applied) {
+      log(`    ${String(m.version).padStart(3, "0")}-${m.name.padEnd(20)} ${m.appliedAt}`, "gray");
+    }
+  }
+
+  if (status.pending.length > 0) {
+    log("\n  Pending:", "yellow");
+    for (const m of status.pending) {
+      log(`    ${String(m.version).padStart(3, "0")}-${m.name.padEnd(20)} ${m.description}`);
+    }
+    log("\n  Run 'node api/scripts/migrate.js up' to apply them (the API also does on startup)", "gray");
+  } else {
+    log("\n  ✓ Up to date", "green");
+  }
+  log("");
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  let command = "status";
+  let to = LATEST_VERSION;
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "-h":
+      case "--help":
+        showUsage();
+        process.exit(0);
+      case "--to":
+        to = parseInt(args[++i], 10);
+        if (isNaN(to)) {
+          log("❌ --to needs a version number", "red");
+          process.exit(1);
+        }
+        break;
+      case "status":
+      case "up":
+      case "backup":
+        command = args[i];
+        break;
+      default:
+        log(`❌ Unknown argument: ${args[i]}`, "red");
+        showUsage();
+        process.exit(1);
+    }
+  }
+
+  if (command !== "up" && !existsSync(DB_FILE)) {
+    log(`\nNo database at ${DB_FILE} yet: it is created at version ${LATEST_VERSION} on first use\n`, "gray");
+    return;
+  }
+
+  const db = new Database(DB_FILE);
+  try {
+    if (command === "status") {
+      printStatus(getStatus(db));
+    } else if (command === "backup") {
+      const file = backupDatabase(db, getStatus(db).version);
+      log(`\n✓ Backed up to ${file}\n`, "green");
+    } else {
+      db.pragma("journal_mode = WAL");
+      const { from, to: reached, applied, backup } = migrate(db, { to });
+      if (applied.length === 0) {
+        log(`\n✓ Already at version ${from}\n`, "green");
+      } else {
+        if (backup) log(`\n  Backup: ${backup}`, "gray");
+        applied.forEach((file) => log(`  ✓ ${file}`, "green"));
+        log(`\n✓ Migrated from version ${from} to ${reached}\n`, "green");
+      }
+    }
+  } catch (error) {
+    log(`\n❌ ${error.message}\n`, "red");
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+main();
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 import { spawn } from "child_process";
+import { existsSync, readdirSync } from "fs";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import { getEnabledFrameworks, getBenchmarkableEndpoints } from "../config/frameworks.config.js";
@@ -8,6 +9,16 @@ import { getEnabledFrameworks, getBenchmarkableEndpoints } from "../config/frame
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const projectRoot = join(__dirname, "../..");
+const suitesDir = join(projectRoot, "suites");
+
+// Suite files in suites/ (see api/utils/suite.js)
+function getSuiteNames() {
+  if (!existsSync(suitesDir)) return [];
+  return readdirSync(suitesDir)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => f.slice(0, -".json".length))
+    .sort();
+}
 
 // Color helpers
 const colors = {
@@ -93,6 +104,20 @@ function generateCommands() {
       desc: "View PM2 process status",
       cmd: "node api/scripts/pm2.js -status",
     },
+
+    // Benchmark history database
+    "db status": {
+      desc: "Show history DB schema version and pending migrations",
+      cmd: "node api/scripts/migrate.js status",
+    },
+    "db migrate": {
+      desc: "Back up the history DB and apply pending migrations",
+      cmd: "node api/scripts/migrate.js up",
+    },
+    "db backup": {
+      desc: "Copy the history DB to api/data/backups/",
+      cmd: "node api/scripts/migrate.js backup",
+    },
   };
 
   // Dynamically add PM2 and benchmark commands for each enabled framework
@@ -133,6 +158,14 @@ function generateCommands() {
     }
   }
   
+  // Suite commands - one per file in suites/
+  for (const name of getSuiteNames()) {
+    commands[`suite ${name}`] = {
+      desc: `Run benchmark suite suites/${name}.json (unattended)`,
+      cmd: `node api/scripts/suite.js ${name}`,
+    };
+  }
+  
   return commands;
 }
 
@@ -174,6 +207,11 @@ function showHelp() {
   log("  pm2 delete               " + commands["pm2 delete"].desc, "gray");
   log("  pm2 logs                 " + commands["pm2 logs"].desc, "gray");
   log("  pm2 status               " + commands["pm2 status"].desc, "gray");
+
+  log("\nHistory Database:", "yellow");
+  log("  db status                " + commands["db status"].desc, "gray");
+  log("  db migrate               " + commands["db migrate"].desc, "gray");
+  log("  db backup                " + commands["db backup"].desc, "gray");
   
   log("\nBenchmarks:", "yellow");
   const endpoints = getBenchmarkableEndpoints();
@@ -190,6 +228,16 @@ function showHelp() {
     }
   }
   
+  const suites = getSuiteNames();
+  if (suites.length > 0) {
+    log("\nSuites:", "yellow");
+    for (const name of suites) {
+      const cmdKey = `suite ${name}`;
+      const padding = " ".repeat(Math.max(0, 24 - cmdKey.length));
+      log(`  ${cmdKey}${padding}${commands[cmdKey].desc}`, "gray");
+    }
+  }
+  
   const firstFramework = frameworks[0]?.name || "fastify";
   log("\nExamples:", "yellow");
   log("  node rps.js start                  # Launch dashboard", "gray");
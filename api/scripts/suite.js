@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark Suite CLI
+ *
+ * Runs a suite file (see api/utils/suite.js) end to end on this host, without
+ * the API server: redis setup through the Redis agent, PM2 starts/stops,
+ * warmups, benchmarks and teardown. Results are saved to the benchmark history
+ * tagged with the suite name and run id, and a summary is printed at the end
+ * followed by a final JSON line. Exits 1 if the suite failed or any step failed.
+ * Ctrl-C cancels the suite: the running benchmark is stopped (its partial
+ * result is kept) and the pm2 stops and teardown still run.
+ *
+ * Do not run it while the API runs a benchmark: both would load the same cores.
+ */
+
+import { readFile } from "fs/promises";
+import { join, dirname, resolve } from "path";
+import { fileURLToPath } from "url";
+import { BenchmarkRunService } from "../services/benchmark-run.service.js";
+import { loadSuite, listSuites, parseSuite, countBenchmarks } from "../utils/suite.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, "../..");
+
+// Colors
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  red: "\x1b[31m",
+  cyan: "\x1b[36m",
+  gray: "\x1b[90m",
+  bold: "\x1b[1m",
+};
+
+function log(msg, color = "reset") {
+  console.log(`${colors[color]}${msg}${colors.reset}`);
+}
+
+function showUsage() {
+  log("\nUsage: node api/scripts/suite.js <suite> [options]", "bold");
+  log("  <suite> is a name in suites/ (e.g. release) or a path to a .json file");
+
+  log("\nOptions:", "yellow");
+  log("  -l, --list       List suites in suites/");
+  log("  --dry-run        Validate the suite and print the plan without running it");
+  log("  -h, --help       Show this help message");
+
+  log("\nExamples:", "yellow");
+  log("  node api/scripts/suite.js release", "gray");
+  log("  node api/scripts/suite.js ./my-suite.json --dry-run", "gray");
+  log("");
+}
+
+/**
+ * Load a suite by name (suites/<name>.json) or file path
+ */
+async function load(target) {
+  if (target.endsWith(".json")) {
+    const raw = await readFile(resolve(target), "utf8");
+    return parseSuite(JSON.parse(raw));
+  }
+  return loadSuite(target);
+}
+
+function describeStep(step) {
+  switch (step.type) {
+    case "redis":
+      return `redis ${step.action}${step.nodes ? ` (${step.nodes} nodes)` : ""}`;
+    case "pm2":
+      return `pm2 ${step.action}${step.framework ? ` ${step.framework}` : ""}${step.instances ? ` (${step.instances} instances)` : ""}`;
+    case "wait":
+      return `wait ${step.seconds}s`;
+    default: {
+      const endpoints = step.endpoints.map((e) => `${e.method} ${e.endpoint}`).join(", ");
+      const connections = step.connections.filter(Boolean).join("/") || "auto";
+      return `${step.type} ${step.framework || ""} ${endpoints} - ${connections} connections, ${step.duration}s`.replace(/\s+/g, " ");
+    }
+  }
+}
+
+function printPlan(suite) {
+  log(`\n▶ Suite ${suite.name}${suite.description ? ` - ${suite.description}` : ""}`, "cyan");
+  log(`  ${countBenchmarks(suite)} benchmarks`, "gray");
+
+  const section = (title, steps) => {
+    if (steps.length === 0) return;
+    log(`\n  ${title}:`, "yellow");
+    steps.forEach((step) => log(`    - ${describeStep(step)}`));
+  };
+
+  section("Setup", suite.setup);
+  section(suite.frameworks ? `Steps, for each of ${suite.frameworks.join(", ")}` : "Steps", suite.steps);
+  section("Teardown", suite.teardown);
+}
+
+function onProgress(progress) {
+  const target = `${progress.framework || ""} ${progress.method || ""} ${progress.endpoint || ""}`.trim();
+
+  switch (progress.status) {
+    case "step":
+      if (progress.step === "warmup" || progress.step === "benchmark") return;
+      log(`\n→ ${progress.step} ${progress.action || ""} ${progress.framework || ""}`.trimEnd(), "cyan");
+      break;
+    case "warmup":
+      log(`  … ${target}: warming up ${progress.warmup}s (not recorded)`, "gray");
+      break;
+    case "starting":
+      log(`  ${progress.step === "warmup" ? "…" : "▶"} ${progress.step} ${target}: ${progress.connections} connections, ${progress.duration}s`, "gray");
+      break;
+    case "step-failed":
+      log(`  ❌ ${progress.step} ${progress.action || ""} ${target}: ${progress.error}`, "red");
+      break;
+  }
+}
+
+function printSummary(summary) {
+  log("\n╔═══════════════════════════════════════════════════════════╗", "cyan");
+  log(`  Suite ${summary.suite}: ${summary.status}, ${summary.completed}/${summary.planned} benchmarks`, "bold");
+  log("╚═══════════════════════════════════════════════════════════╝", "cyan");
+
+  for (const r of summary.results) {
+    const line = `  ${r.framework.padEnd(10)} ${`${r.method} ${r.endpoint}`.padEnd(16)} ${String(r.connections).padStart(6)} conn  ${r.reqPerSec.toLocaleString().padStart(10)} req/s  p99 ${r.p99Latency}ms`;
+    log(r.errors > 0 ? `${line}  (${r.errors} errors)` : line, r.errors > 0 ? "yellow" : "reset");
+  }
+
+  if (Object.keys(summary.best || {}).length > 0) {
+    log("\n  Fastest:", "yellow");
+    for (const [key, best] of Object.entries(summary.best)) {
+      log(`    ${key.padEnd(24)} ${best.framework} (${best.reqPerSec.toLocaleString()} req/s)`, "green");
+    }
+  }
+
+  if (summary.failures.length > 0) {
+    log(`\n  ${summary.failures.length} failed step(s):`, "red");
+    for (const f of summary.failures) {
+      log(`    ${f.step} ${f.action || ""} ${f.framework || ""} ${f.endpoint || ""}: ${f.error}`.replace(/\s+/g, " "), "red");
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  let target = null;
+  let dryRun = false;
+
+  for (const arg of args) {
+    switch (arg) {
+      case "-h":
+      case "--help":
+        showUsage();
+        process.exit(0);
+      case "-l":
+      case "--list": {
+        const suites = await listSuites();
+        log(suites.length ? suites.join("\n") : "No suites in suites/", suites.length ? "reset" : "gray");
+        process.exit(0);
+      }
+      case "--dry-run":
+        dryRun = true;
+        break;
+      default:
+        if (arg.startsWith("-") || target) {
+          log(`Unknown option: ${arg}`, "red");
+          showUsage();
+          process.exit(1);
+        }
+        target = arg;
+    }
+  }
+
+  if (!target) {
+    showUsage();
+    process.exit(1);
+  }
+
+  const suite = await load(target);
+  printPlan(suite);
+
+  if (dryRun) return;
+
+  // PM2Service runs api/scripts/pm2.js relative to the project root
+  process.chdir(projectRoot);
+
+  const runner = new BenchmarkRunService();
+  const run = runner.startSuite(suite);
+
+  process.on("SIGINT", () => {
+    if (run.cancelRequested) process.exit(130);
+    log("\n■ Cancelling - running teardown (Ctrl-C again to quit)", "yellow");
+    runner.cancel(run.id);
+  });
+
+  const finished = new Promise((resolvePromise) => {
+    runner.on("progress", (progress) => {
+      onProgress(progress);
+      if (["complete", "failed", "cancelled"].includes(progress.status)) {
+        resolvePromise(progress);
+      }
+    });
+  });
+
+  const outcome = await finished;
+  const summary = run.result || (await runner.benchmarks.getGroup(run.id))?.summary;
+
+  if (summary) {
+    printSummary(summary);
+  }
+  if (outcome.status === "failed") {
+    log(`\n❌ Suite failed: ${outcome.error}`, "red");
+  }
+
+  // Final line: machine-readable summary
+  console.log(JSON.stringify({ runId: run.id, ...summary }));
+
+  if (outcome.status !== "complete" || summary?.failures.length > 0) {
+    process.exit(1);
+  }
+}
+
+try {
+  await main();
+  process.exit(0);
+} catch (error) {
+  log(`\n❌ ${error.message}`, "red");
+  process.exit(1);
+}
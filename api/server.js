@@ -11,6 +11,7 @@ import { pm2Router } from "./routes/pm2.js";
 import { redisRouter } from "./routes/redis.js";
 import { systemRouter } from "./routes/system.js";
 import { benchmarkRouter } from "./routes/benchmark.js";
+import { metricsRouter } from "./routes/metrics.js";
 import { wsHandler } from "./routes/websocket.js";
 import { info, requestLogger } from "./services/logger.service.js";
 
@@ -25,7 +26,8 @@ const PORT = process.env.API_PORT || 3100;
 const HOST = process.env.API_HOST || "0.0.0.0";
 
 // Middleware
-app.use(express.json());
+// Results posted by bench.js carry their latency histograms, which can exceed the 100kb default
+app.use(express.json({ limit: "5mb" }));
 app.use(requestLogger);
 app.use(authMiddleware);
 
@@ -44,6 +46,9 @@ app.use("/api/redis", redisRouter);
 app.use("/api/system", systemRouter);
 app.use("/api/benchmark", benchmarkRouter);
 
+// Prometheus scrape endpoint
+app.use("/metrics", metricsRouter);
+
 // WebSocket handler
 wss.on("connection", wsHandler);
 
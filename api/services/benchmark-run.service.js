@@ -0,0 +1,930 @@
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import { runBenchmark, searchMaxThroughput } from "../../shared/bench/benchmark.js";
+import { getEngine, checkEngine, validateEngineOptions, DEFAULT_ENGINE } from "../../shared/bench/engines.js";
+import { getFramework, getEndpoint, isValidFramework } from "../config/frameworks.config.js";
+import { BenchmarkService } from "./benchmark.service.js";
+import { PM2Service } from "./pm2.service.js";
+import { EnvironmentService } from "./environment.service.js";
+import { ResourceService } from "./resource.service.js";
+import { IntegrityService } from "./integrity.service.js";
+import { redisAgentClient } from "../utils/redis-agent.client.js";
+import { LoadAgentClient, getLoadAgentURLs } from "../utils/load-agent.client.js";
+import { aggregateResults } from "../utils/stats.js";
+import { countBenchmarks, defaultInstances } from "../utils/suite.js";
+import { info, error as logError } from "./logger.service.js";
+
+/**
+ * How many finished runs to keep in memory for GET /api/benchmark/run/:id
+ */
+const MAX_FINISHED_RUNS = 20;
+
+/**
+ * Upper bound for repeat (every repeated run is kept in the history)
+ */
+const MAX_REPEAT = 10;
+
+/**
+ * How long a suite's pm2 start step waits for all instances to come online
+ */
+const PM2_ONLINE_TIMEOUT_MS = 30000;
+
+/**
+ * Host load agents target (they run on other machines, so "localhost" only works for local agents)
+ */
+const AGENT_TARGET_HOST = process.env.BENCHMARK_TARGET_HOST || "localhost";
+
+/**
+ * Benchmark Run Service
+ * Runs a load generator (autocannon by default) on the API host (next to the PM2 frameworks) instead of the
+ * dashboard machine, or on load agents (agent/load-agent.js) when a run asks for
+ * them, and emits "progress" events for WebSocket subscribers.
+ * Only one run is allowed at a time, since parallel runs would compete for the
+ * same CPU cores as the framework under test.
+ *
+ * Every stored result references the environment it ran in (EnvironmentService),
+ * captured before the load starts so the capture does not compete with it, and
+ * the app/Redis/host resources sampled while it ran (ResourceService). Results of
+ * write endpoints also carry a check of the writes Redis holds against the 201s
+ * the load generator saw (IntegrityService).
+ *
+ * Runs have a mode: "benchmark" (a single run, optionally repeated N times
+ * and stored as a result group), "slo" (a search for the max sustainable rate
+ * under a p99 target, stored as a result group) or "suite" (a suite file run
+ * end to end, see api/utils/suite.js).
+ */
+export class BenchmarkRunService extends EventEmitter {
+  constructor(
+    pm2Service = new PM2Service(),
+    benchmarkService = new BenchmarkService(),
+    runFn = runBenchmark,
+    redisClient = redisAgentClient,
+    environmentService = new EnvironmentService(undefined, pm2Service, redisClient),
+    resourceService = new ResourceService(pm2Service, undefined, redisClient),
+    integrityService = new IntegrityService(redisClient)
+  ) {
+    super();
+    this.pm2 = pm2Service;
+    this.benchmarks = benchmarkService;
+    this.runFn = runFn;
+    this.redis = redisClient;
+    this.environments = environmentService;
+    this.resources = resourceService;
+    this.integrity = integrityService;
+    this.runs = new Map();
+    this.activeRunId = null;
+    // AbortControllers of active runs, kept out of the (JSON-serialized) run descriptors
+    this.controllers = new Map();
+  }
+
+  /**
+   * Start a benchmark run in the background
+   * @param {Object} options - Run options
+   * @param {string} options.framework - Framework name
+   * @param {string} [options.endpoint="/simple"] - Endpoint path
+   * @param {string} [options.method="GET"] - HTTP method
+   * @param {number} [options.duration=20] - Duration in seconds
+   * @param {number} [options.connections] - Connections (auto-scaled if not set)
+   * @param {number} [options.workers] - Workers (auto-scaled if not set)
+   * @param {number} [options.pipelining] - Pipelining (auto-scaled if not set)
+   * @param {number} [options.rate] - Fixed arrival rate in req/s (open model, coordinated-omission corrected)
+   * @param {boolean} [options.preflight=true] - Check the endpoint's response contract before load
+   * @param {number} [options.warmup=0] - Warmup seconds before each measured run (discarded)
+   * @param {number} [options.warmupRate] - Fixed request rate during warmup
+   * @param {number} [options.repeat=1] - Run the same configuration N times and aggregate
+   * @param {number} [options.cooldown=5] - Seconds to wait between repeated runs
+   * @param {boolean|Array<string>} [options.agents] - Generate the load on load agents instead of
+   *   this host: true for every agent in LOAD_AGENTS, or a list of their URLs
+   * @param {string} [options.engine="autocannon"] - Load generator (autocannon, wrk, wrk2, oha)
+   * @returns {Promise<Object>} Run descriptor (status "starting")
+   */
+  async start(options) {
+    const repeat = options.repeat ?? 1;
+
+    if (!Number.isInteger(repeat) || repeat < 1 || repeat > MAX_REPEAT) {
+      throw Object.assign(new Error(`repeat must be between 1 and ${MAX_REPEAT}`), { name: "ValidationError" });
+    }
+
+    if (options.rate != null && !(Number.isInteger(options.rate) && options.rate > 0)) {
+      throw Object.assign(new Error("rate must be a positive number of requests per second"), { name: "ValidationError" });
+    }
+
+    validateEngineOptions(options.engine ?? DEFAULT_ENGINE, { rate: options.rate, agents: options.agents });
+    if (options.warmup > 0) {
+      validateEngineOptions(options.engine ?? DEFAULT_ENGINE, { rate: options.warmupRate, agents: options.agents });
+    }
+
+    const run = await this.createRun(options, "benchmark");
+    run.loadModel = options.rate ? "open" : "closed";
+    run.targetRate = options.rate || null;
+
+    if (repeat > 1) {
+      run.repeat = repeat;
+      this.execute(run, () => this.runRepeated(run, options));
+    } else {
+      this.execute(run, () => this.runOnce(run, options));
+    }
+
+    return run;
+  }
+
+  /**
+   * Start a max-sustainable-throughput search in the background
+   * @param {Object} options - Run options (as for start) plus:
+   * @param {number} options.targetP99 - p99 latency target in ms
+   * @param {number} [options.probeDuration=10] - Duration of each probe in seconds
+   * @param {number} [options.minRate] - Lower bound of the search (req/s)
+   * @param {number} [options.maxRate] - Upper bound (skips the calibration probe)
+   * @param {number} [options.maxProbes=8] - Maximum number of probes
+   * @returns {Promise<Object>} Run descriptor (status "starting")
+   */
+  async startSloSearch(options) {
+    if (!(options.targetP99 > 0)) {
+      throw Object.assign(new Error("targetP99 must be a positive number of milliseconds"), { name: "ValidationError" });
+    }
+
+    // The search probes at fixed rates, after an unthrottled calibration probe unless maxRate is given
+    const engine = getEngine(options.engine ?? DEFAULT_ENGINE);
+    if (!engine.supports.rate || (!engine.supports.unthrottled && !options.maxRate)) {
+      throw Object.assign(
+        new Error(`${engine.name} cannot run an SLO search${engine.supports.rate ? " without maxRate" : " (no fixed-rate mode)"}`),
+        { name: "ValidationError" }
+      );
+    }
+
+    const run = await this.createRun(options, "slo");
+    run.targetP99 = options.targetP99;
+    this.execute(run, () => this.runSloSearch(run, options));
+    return run;
+  }
+
+  /**
+   * Start a benchmark suite in the background
+   * @param {Object} suite - Parsed suite (see parseSuite)
+   * @returns {Object} Run descriptor (status "starting")
+   */
+  startSuite(suite) {
+    const run = {
+      id: randomUUID(),
+      mode: "suite",
+      status: "starting",
+      suite: suite.name,
+      framework: null,
+      endpoint: null,
+      method: null,
+      benchmarks: countBenchmarks(suite),
+      completed: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      result: null,
+      error: null,
+    };
+
+    this.register(run);
+
+    info(`Benchmark suite started: ${suite.name} (${run.benchmarks} benchmarks)`, {
+      action: "benchmark.suite",
+      runId: run.id,
+      suite: suite.name,
+      benchmarks: run.benchmarks,
+    });
+
+    this.execute(run, () => this.runSuite(run, suite));
+    return run;
+  }
+
+  /**
+   * Validate options, check the engine and PM2, and take the run slot
+   * @param {Object} options - Run options
+   * @param {string} mode - "benchmark" or "slo"
+   * @returns {Promise<Object>} Run descriptor
+   */
+  async createRun(options, mode) {
+    const { framework, endpoint = "/simple", method = "GET", engine = DEFAULT_ENGINE } = options;
+
+    if (!isValidFramework(framework)) {
+      throw Object.assign(new Error(`Unknown or disabled framework: ${framework}`), { name: "ValidationError" });
+    }
+
+    if (!getEndpoint(endpoint, method)) {
+      throw Object.assign(new Error(`Unknown endpoint: ${method} ${endpoint}`), { name: "ValidationError" });
+    }
+
+    const agents = resolveAgents(options.agents);
+
+    // A missing wrk/oha binary is reported up front rather than as a failed run
+    const { available } = await checkEngine(engine);
+    if (!available) {
+      throw Object.assign(
+        new Error(`${engine} is not installed on the API host. Install it or set ${engine.toUpperCase()}_PATH`),
+        { name: "ValidationError" }
+      );
+    }
+
+    const instances = await this.pm2.getOnlineInstances(framework);
+    if (instances === 0) {
+      throw Object.assign(new Error(`${framework} is not running. Start ${framework} first`), {
+        status: 409,
+        error: "Conflict",
+      });
+    }
+
+    const run = {
+      id: randomUUID(),
+      mode,
+      status: "starting",
+      framework,
+      endpoint,
+      method,
+      instances,
+      agents,
+      engine,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      result: null,
+      error: null,
+    };
+
+    // Registered after the PM2 lookup so two concurrent requests can't both start
+    this.register(run);
+
+    info(`Benchmark run started: ${framework} ${method} ${endpoint}`, {
+      action: "benchmark.run",
+      runId: run.id,
+      mode,
+      framework,
+      endpoint,
+      method,
+      instances,
+      agents: agents?.length,
+      engine,
+    });
+
+    return run;
+  }
+
+  /**
+   * Take the run slot (one run at a time)
+   * @param {Object} run - Run descriptor
+   * @throws {Error} 409 Conflict if another run is active
+   */
+  register(run) {
+    if (this.activeRunId) {
+      throw Object.assign(new Error(`Benchmark ${this.activeRunId} is already running`), {
+        status: 409,
+        error: "Conflict",
+      });
+    }
+
+    this.runs.set(run.id, run);
+    this.controllers.set(run.id, new AbortController());
+    this.activeRunId = run.id;
+  }
+
+  /**
+   * Cancel the active run: the load generator is stopped and the partial
+   * result is saved with status "cancelled"
+   * @param {string} id - Run id
+   * @returns {Object} Run descriptor (status "cancelling")
+   * @throws {Error} NotFoundError if the run is unknown, 409 Conflict if it already finished
+   */
+  cancel(id) {
+    const run = this.runs.get(id);
+    if (!run) {
+      throw Object.assign(new Error(`Benchmark run not found: ${id}`), { name: "NotFoundError" });
+    }
+
+    const controller = this.controllers.get(id);
+    if (!controller) {
+      throw Object.assign(new Error(`Benchmark ${id} is not running (${run.status})`), {
+        status: 409,
+        error: "Conflict",
+      });
+    }
+
+    if (!run.cancelRequested) {
+      run.cancelRequested = true;
+      run.status = "cancelling";
+      this.publish(run, { status: "cancelling" });
+      info(`Benchmark run cancelled: ${id}`, { action: "benchmark.cancel", runId: id, mode: run.mode });
+      controller.abort();
+    }
+
+    return run;
+  }
+
+  /**
+   * Abort signal of a run (aborted by cancel())
+   * @param {Object} run - Run descriptor
+   * @returns {AbortSignal|undefined}
+   */
+  signal(run) {
+    return this.controllers.get(run.id)?.signal;
+  }
+
+  /**
+   * Options shared by every load generator run of a benchmark run
+   * @param {Object} run - Run descriptor
+   * @param {Object} options - Options passed to start()
+   * @returns {Object} runBenchmark options
+   */
+  benchmarkOptions(run, options) {
+    return {
+      framework: run.framework,
+      port: getFramework(run.framework).port,
+      host: run.agents ? AGENT_TARGET_HOST : "localhost",
+      endpoint: run.endpoint,
+      method: run.method,
+      connections: options.connections,
+      workers: options.workers,
+      pipelining: options.pipelining,
+      rate: options.rate,
+      warmup: options.warmup,
+      warmupRate: options.warmupRate,
+      contract: options.preflight === false ? undefined : getEndpoint(run.endpoint, run.method)?.contract,
+      instances: run.instances,
+      signal: this.signal(run),
+      agents: run.agents?.map((url) => new LoadAgentClient(url)),
+      engine: run.engine,
+      onProgress: (progress) => {
+        // Each load generator run reports "complete"; the run's own completion is published by execute()
+        if (progress.status === "complete") return;
+        if (progress.status !== "starting" && !run.cancelRequested) run.status = "running";
+        this.publish(run, progress);
+      },
+    };
+  }
+
+  /**
+   * One load generator run, with app/Redis/host resources sampled during its
+   * measured part (from the "starting" progress event, after pre-flight and warmup).
+   * For a write endpoint, Redis is snapshotted right before the measured part and
+   * checked against its 201s after it.
+   * @param {Object} options - runBenchmark options
+   * @returns {Promise<Object>} Benchmark result plus resources ({ interval, samples, summary }, null if nothing was
+   *   sampled) and integrity (see IntegrityService.verify, null for endpoints without a write scheme)
+   */
+  async measure(options) {
+    const sampler = this.resources.createSampler(options.framework, { localLoad: !options.agents?.length });
+    const scheme = getEndpoint(options.endpoint, options.method)?.integrity;
+    let snapshot = null;
+
+    try {
+      const result = await this.runFn({
+        ...options,
+        beforeLoad: scheme
+          ? async () => {
+              snapshot = await this.integrity.snapshot(scheme, { afterLoad: options.warmup > 0 });
+            }
+          : undefined,
+        onProgress: (progress) => {
+          if (progress.status === "starting") sampler.start();
+          options.onProgress?.(progress);
+        },
+      });
+
+      const resources = sampler.stop();
+      const integrity = snapshot ? await this.integrity.verify(snapshot, result) : null;
+
+      return { ...result, resources, integrity };
+    } finally {
+      sampler.stop();
+    }
+  }
+
+  /**
+   * Single benchmark, saved to history (also when cancelled, with status "cancelled")
+   * @param {Object} run - Run descriptor
+   * @param {Object} options - Options passed to start()
+   * @returns {Promise<Object>} Benchmark result
+   */
+  async runOnce(run, options) {
+    const environment = await this.environments.capture(run.framework);
+    const result = await this.measure({
+      ...this.benchmarkOptions(run, options),
+      duration: options.duration || 20,
+    });
+
+    await this.benchmarks.add({ ...result, environment });
+
+    info(`Benchmark run complete: ${result.reqPerSec} req/s`, {
+      action: "benchmark.run",
+      runId: run.id,
+      framework: run.framework,
+      reqPerSec: result.reqPerSec,
+      avgLatency: result.avgLatency,
+    });
+
+    return result;
+  }
+
+  /**
+   * The same benchmark N times with a cooldown in between,
+   * saved to history as a "repeat" group with mean/stddev/95% CI.
+   * A cancelled run stops after the current iteration; the aggregate only
+   * covers the iterations that completed (summary.cancelled is set).
+   * @param {Object} run - Run descriptor
+   * @param {Object} options - Options passed to start()
+   * @returns {Promise<Object>} Aggregate (see aggregateResults) plus groupId and results
+   */
+  async runRepeated(run, options) {
+    const base = this.benchmarkOptions(run, options);
+    const cooldown = options.cooldown ?? 5;
+    const environment = await this.environments.capture(run.framework);
+    const results = [];
+
+    for (let iteration = 1; iteration <= run.repeat && !base.signal.aborted; iteration++) {
+      if (iteration > 1 && cooldown > 0) {
+        this.publish(run, { status: "cooldown", iteration, repeat: run.repeat, seconds: cooldown });
+        await sleep(cooldown * 1000, base.signal);
+        if (base.signal.aborted) break;
+      }
+
+      let result;
+      try {
+        result = await this.measure({
+          ...base,
+          duration: options.duration || 20,
+          onProgress: (progress) => base.onProgress({ ...progress, iteration, repeat: run.repeat }),
+        });
+      } catch (err) {
+        // Cancelled during pre-flight or warmup: nothing measured in this iteration
+        if (err.name === "CancelledError") break;
+        throw err;
+      }
+
+      results.push({ ...result, environment });
+      this.publish(run, {
+        status: "iteration",
+        iteration,
+        repeat: run.repeat,
+        reqPerSec: result.reqPerSec,
+        p99Latency: result.p99Latency,
+        ...(result.status === "cancelled" ? { cancelled: true } : {}),
+      });
+    }
+
+    const complete = results.filter((r) => r.status !== "cancelled");
+
+    if (complete.length === 0) {
+      // Cancelled in the first iteration: keep the partial result as a single run
+      if (results.length > 0) await this.benchmarks.add(results[0]);
+      return results[0] ?? null;
+    }
+
+    const aggregate = {
+      ...aggregateResults(complete),
+      cooldown,
+      warmup: options.warmup || 0,
+      engine: run.engine,
+      ...(base.signal.aborted ? { cancelled: true, planned: run.repeat } : {}),
+    };
+
+    await this.benchmarks.addGroup(
+      {
+        id: run.id,
+        type: "repeat",
+        framework: run.framework,
+        endpoint: run.endpoint,
+        method: run.method,
+        summary: aggregate,
+      },
+      results
+    );
+
+    info(`Repeated benchmark complete: ${aggregate.reqPerSec.mean} req/s mean over ${aggregate.runs} runs`, {
+      action: "benchmark.run",
+      runId: run.id,
+      framework: run.framework,
+      runs: aggregate.runs,
+      reqPerSec: aggregate.reqPerSec.mean,
+      reqPerSecStddev: aggregate.reqPerSec.stddev,
+    });
+
+    return { ...aggregate, groupId: run.id, results };
+  }
+
+  /**
+   * SLO search, saved to history as a group of probe results
+   * @param {Object} run - Run descriptor
+   * @param {Object} options - Options passed to startSloSearch()
+   * @returns {Promise<Object>} Search summary (headline, probes, ...)
+   */
+  async runSloSearch(run, options) {
+    const environment = await this.environments.capture(run.framework);
+    const search = await searchMaxThroughput({
+      ...this.benchmarkOptions(run, options),
+      targetP99: options.targetP99,
+      probeDuration: options.probeDuration,
+      minRate: options.minRate,
+      maxRate: options.maxRate,
+      maxProbes: options.maxProbes,
+      runFn: (probeOptions) => this.measure(probeOptions),
+    });
+
+    const { results, ...summary } = search;
+
+    await this.benchmarks.addGroup(
+      {
+        id: run.id,
+        type: "slo",
+        framework: run.framework,
+        endpoint: run.endpoint,
+        method: run.method,
+        summary,
+      },
+      results.map((result) => ({ ...result, environment }))
+    );
+
+    info(`SLO search complete: ${summary.headline}`, {
+      action: "benchmark.slo",
+      runId: run.id,
+      framework: run.framework,
+      maxSustainableRps: summary.maxSustainableRps,
+      targetP99: summary.targetP99,
+      probes: summary.probes.length,
+    });
+
+    return { ...summary, groupId: run.id };
+  }
+
+  /**
+   * Suite run: setup, the steps (once per framework if the suite lists frameworks)
+   * and teardown. Results are saved as they complete, tagged with the suite name
+   * and grouped under the run id in a "suite" group whose summary is filled in at the end.
+   * A failed benchmark is recorded and the suite moves on; a failed redis/pm2 step skips
+   * the rest of that framework's steps except pm2 stops; a failed setup step aborts the
+   * suite. Cancelling skips to the current pass's pm2 stops and teardown, which always runs.
+   * @param {Object} run - Run descriptor
+   * @param {Object} suite - Parsed suite
+   * @returns {Promise<Object>} Suite summary
+   */
+  async runSuite(run, suite) {
+    const frameworks = suite.frameworks || [...new Set(suite.steps.map((s) => s.framework).filter(Boolean))];
+    const signal = this.signal(run);
+    const summary = {
+      suite: suite.name,
+      description: suite.description,
+      frameworks,
+      status: "running",
+      startedAt: run.startedAt,
+      finishedAt: null,
+      planned: run.benchmarks,
+      completed: 0,
+      results: [],
+      failures: [],
+    };
+
+    await this.benchmarks.addGroup({
+      id: run.id,
+      type: "suite",
+      framework: frameworks.join(",") || "-",
+      summary,
+    });
+
+    try {
+      for (const step of suite.setup) {
+        if (signal.aborted) break;
+        try {
+          await this.runSuiteStep(run, suite, step, step.framework, summary);
+        } catch (err) {
+          throw new Error(`Setup step ${step.type} ${step.action || ""} failed: ${err.message}`.replace(/\s+/g, " "));
+        }
+      }
+
+      for (const framework of suite.frameworks || [null]) {
+        if (signal.aborted) break;
+        let failed = false;
+
+        for (const step of suite.steps) {
+          const stepFramework = step.framework || framework;
+          // After a failure or a cancel, only stop what this pass started
+          if ((failed || signal.aborted) && !(step.type === "pm2" && step.action === "stop")) continue;
+
+          try {
+            await this.runSuiteStep(run, suite, step, stepFramework, summary);
+          } catch (err) {
+            this.recordSuiteFailure(run, summary, step, stepFramework, err);
+            failed = true;
+          }
+        }
+      }
+
+      summary.status = signal.aborted ? "cancelled" : "complete";
+    } catch (err) {
+      summary.status = "failed";
+      summary.error = err.message;
+      throw err;
+    } finally {
+      for (const step of suite.teardown) {
+        try {
+          await this.runSuiteStep(run, suite, step, step.framework, summary);
+        } catch (err) {
+          this.recordSuiteFailure(run, summary, step, step.framework, err);
+        }
+      }
+
+      summary.finishedAt = new Date().toISOString();
+      summary.best = bestBySuiteEndpoint(summary.results);
+      await this.benchmarks.updateGroupSummary(run.id, summary);
+
+      info(`Benchmark suite ${summary.status}: ${suite.name}, ${summary.completed}/${summary.planned} benchmarks`, {
+        action: "benchmark.suite",
+        runId: run.id,
+        suite: suite.name,
+        completed: summary.completed,
+        planned: summary.planned,
+        failures: summary.failures.length,
+      });
+    }
+
+    return { ...summary, groupId: run.id };
+  }
+
+  /**
+   * Run one suite step
+   * @param {Object} run - Run descriptor
+   * @param {Object} suite - Parsed suite
+   * @param {Object} step - Parsed step
+   * @param {string|null} framework - Framework the step applies to
+   * @param {Object} summary - Suite summary (benchmark results are appended)
+   */
+  async runSuiteStep(run, suite, step, framework, summary) {
+    if (!run.cancelRequested) run.status = "running";
+    this.publish(run, { status: "step", step: step.type, action: step.action, framework });
+
+    switch (step.type) {
+      case "redis": {
+        await (step.action === "setup" ? this.redis.setup(step.nodes) : this.redis[step.action]());
+        return;
+      }
+
+      case "pm2": {
+        const instances = step.instances || defaultInstances(framework);
+        const result = step.action === "start"
+          ? await this.pm2.start(framework, instances)
+          : await this.pm2[step.action](framework);
+
+        if (!result.success) {
+          throw new Error(result.message);
+        }
+        if (step.action !== "stop") {
+          await this.waitForInstances(framework, step.action === "start" ? instances : 1);
+        }
+        return;
+      }
+
+      case "wait":
+        await sleep(step.seconds * 1000, this.signal(run));
+        return;
+
+      case "warmup":
+      case "benchmark": {
+        // Captured per step and framework: a suite's pm2/redis steps change the environment between benchmarks
+        const environment = step.type === "benchmark" ? await this.environments.capture(framework) : null;
+
+        for (const { endpoint, method } of step.endpoints) {
+          for (const connections of step.connections) {
+            if (run.cancelRequested) return;
+
+            if (step.type === "warmup") {
+              await this.runSuiteBenchmark(run, step, { framework, endpoint, method, connections });
+              continue;
+            }
+
+            try {
+              const result = await this.runSuiteBenchmark(run, step, { framework, endpoint, method, connections });
+              await this.benchmarks.addToGroup(run.id, { ...result, suite: suite.name, environment });
+
+              run.completed = ++summary.completed;
+              summary.results.push({
+                framework,
+                endpoint,
+                method,
+                connections: result.connections,
+                reqPerSec: result.reqPerSec,
+                p99Latency: result.p99Latency,
+                errors: result.errors + result.timeouts + result.non2xx,
+                ...(result.status === "cancelled" ? { cancelled: true } : {}),
+                ...(result.integrity ? { integrity: result.integrity.status } : {}),
+              });
+            } catch (err) {
+              if (err.name === "CancelledError") return;
+              this.recordSuiteFailure(run, summary, step, framework, err, { endpoint, method, connections });
+            }
+          }
+        }
+        return;
+      }
+    }
+  }
+
+  /**
+   * One load generator run of a suite warmup/benchmark step
+   * @param {Object} run - Run descriptor
+   * @param {Object} step - Parsed warmup/benchmark step
+   * @param {Object} target - { framework, endpoint, method, connections }
+   * @returns {Promise<Object>} Benchmark result
+   */
+  async runSuiteBenchmark(run, step, { framework, endpoint, method, connections }) {
+    const instances = await this.pm2.getOnlineInstances(framework);
+    if (instances === 0) {
+      throw new Error(`${framework} is not running`);
+    }
+
+    return this.measure({
+      framework,
+      port: getFramework(framework).port,
+      host: "localhost",
+      endpoint,
+      method,
+      duration: step.duration,
+      connections,
+      workers: step.workers,
+      pipelining: step.pipelining,
+      rate: step.rate,
+      warmup: step.warmup,
+      warmupRate: step.warmupRate,
+      contract: getEndpoint(endpoint, method)?.contract,
+      instances,
+      signal: this.signal(run),
+      engine: step.engine,
+      onProgress: (progress) => {
+        if (progress.status === "complete") return;
+        this.publish(run, { ...progress, step: step.type, framework, endpoint, method, completed: run.completed });
+      },
+    });
+  }
+
+  /**
+   * Poll PM2 until a framework has the expected number of online instances
+   * @param {string} framework - Framework name
+   * @param {number} instances - Expected online instances
+   * @throws {Error} If they are not online within PM2_ONLINE_TIMEOUT_MS
+   */
+  async waitForInstances(framework, instances) {
+    const deadline = Date.now() + PM2_ONLINE_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+      if ((await this.pm2.getOnlineInstances(framework)) >= instances) return;
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+
+    throw new Error(`${framework}: ${instances} instances not online after ${PM2_ONLINE_TIMEOUT_MS / 1000}s`);
+  }
+
+  /**
+   * Record a failed suite step and publish it
+   */
+  recordSuiteFailure(run, summary, step, framework, err, target = {}) {
+    const failure = { step: step.type, action: step.action, framework, ...target, error: err.message };
+    summary.failures.push(failure);
+    this.publish(run, { status: "step-failed", ...failure });
+    logError(err, { action: "benchmark.suite", runId: run.id, step: step.type, stepAction: step.action, framework, ...target });
+  }
+
+  /**
+   * Execute a run task and publish progress (never rejects)
+   * @param {Object} run - Run descriptor
+   * @param {Function} task - Async function returning the run result
+   */
+  async execute(run, task) {
+    try {
+      run.result = await task();
+      run.status = run.cancelRequested ? "cancelled" : "complete";
+    } catch (err) {
+      if (run.cancelRequested && err.name === "CancelledError") {
+        run.status = "cancelled";
+      } else {
+        run.status = "failed";
+        run.error = err.message;
+        logError(err, { action: "benchmark.run", runId: run.id, framework: run.framework });
+      }
+    } finally {
+      run.finishedAt = new Date().toISOString();
+      this.controllers.delete(run.id);
+      this.activeRunId = null;
+      this.publish(run, { status: run.status, results: run.result, error: run.error });
+      this.pruneFinished();
+    }
+  }
+
+  /**
+   * Emit a progress event for a run
+   * @param {Object} run - Run descriptor
+   * @param {Object} progress - Progress payload from runBenchmark
+   */
+  publish(run, progress) {
+    this.emit("progress", {
+      runId: run.id,
+      mode: run.mode,
+      framework: run.framework,
+      endpoint: run.endpoint,
+      method: run.method,
+      ...progress,
+    });
+  }
+
+  /**
+   * Drop the oldest finished runs beyond MAX_FINISHED_RUNS
+   */
+  pruneFinished() {
+    const finished = [...this.runs.values()].filter(r => r.finishedAt);
+    for (const run of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_RUNS))) {
+      this.runs.delete(run.id);
+    }
+  }
+
+  /**
+   * Get a run by id
+   * @param {string} id - Run id
+   * @returns {Object|null} Run descriptor
+   */
+  get(id) {
+    return this.runs.get(id) || null;
+  }
+
+  /**
+   * Get the currently active run
+   * @returns {Object|null} Run descriptor
+   */
+  getActive() {
+    return this.activeRunId ? this.runs.get(this.activeRunId) : null;
+  }
+}
+
+/**
+ * Resolve the agents option of a run to load agent URLs
+ * @param {boolean|Array<string>|undefined} agents - true (all of LOAD_AGENTS) or a list of URLs
+ * @returns {Array<string>|null} URLs, or null to generate the load on this host
+ * @throws {Error} ValidationError if no agents are configured or a URL is not one of them
+ */
+function resolveAgents(agents) {
+  if (!agents) return null;
+
+  const configured = getLoadAgentURLs();
+  if (configured.length === 0) {
+    throw Object.assign(new Error("No load agents configured (set LOAD_AGENTS)"), { name: "ValidationError" });
+  }
+
+  if (agents === true) return configured;
+
+  if (!Array.isArray(agents) || agents.length === 0) {
+    throw Object.assign(new Error("agents must be true or a list of load agent URLs"), { name: "ValidationError" });
+  }
+
+  const urls = agents.map((url) => String(url).replace(/\/$/, ""));
+  const unknown = urls.find((url) => !configured.includes(url));
+  if (unknown) {
+    throw Object.assign(new Error(`Unknown load agent: ${unknown} (not in LOAD_AGENTS)`), { name: "ValidationError" });
+  }
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Wait, returning early when the signal aborts
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Fastest framework per endpoint/method/connections of a suite's results
+ * (a run that lost or duplicated writes does not count)
+ * @param {Array<Object>} results - Suite summary results
+ * @returns {Object} Map of "METHOD endpoint @connections" to { framework, reqPerSec, p99Latency }
+ */
+function bestBySuiteEndpoint(results) {
+  const best = {};
+
+  for (const r of results) {
+    if (r.cancelled || r.integrity === "lost" || r.integrity === "duplicated") continue;
+    const key = `${r.method} ${r.endpoint} @${r.connections}`;
+    if (!best[key] || r.reqPerSec > best[key].reqPerSec) {
+      best[key] = { framework: r.framework, reqPerSec: r.reqPerSec, p99Latency: r.p99Latency };
+    }
+  }
+
+  return best;
+}
+
+// Shared instance: routes and the WebSocket handler must see the same runs
+const defaultRunner = new BenchmarkRunService();
+
+export { defaultRunner as benchmarkRunner };
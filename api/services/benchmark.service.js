@@ -1,4 +1,170 @@
 import { BenchmarkHistory } from "../utils/benchmark-history.js";
+import { LatencyHistogram } from "../../shared/bench/latency-histogram.js";
+import { parseImport } from "../utils/import.js";
+
+/**
+ * Merge serialized histograms and describe the result: counts plus min/max/mean
+ * and the percentile distribution
+ * @param {Array<Object|null>} histograms - Serialized LatencyHistograms (nulls are skipped)
+ * @returns {Object|null} Null if there is nothing to merge
+ */
+function describeHistograms(histograms) {
+  const present = histograms.filter(Boolean);
+  if (present.length === 0) return null;
+
+  const merged = new LatencyHistogram();
+  present.forEach((histogram) => merged.merge(histogram.counts));
+
+  return {
+    ...merged.toJSON(),
+    min: merged.min(),
+    max: merged.max(),
+    mean: parseFloat(merged.mean().toFixed(3)),
+    percentiles: merged.distribution(),
+  };
+}
+
+// Limits on the labels PATCH /api/benchmark/:id (and /add) accept
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 64;
+const MAX_NOTES_LENGTH = 4000;
+
+/**
+ * Validate tags and notes, trimming tags and dropping duplicates
+ * @param {Object} changes - { tags?, notes? }; undefined fields are left out
+ * @returns {Object} { tags?: Array<string>, notes?: string|null }
+ * @throws {Error} ValidationError
+ */
+function normalizeLabels({ tags, notes }) {
+  const invalid = (message) => Object.assign(new Error(message), { name: "ValidationError" });
+  const labels = {};
+
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+      throw invalid("tags must be an array of strings");
+    }
+    labels.tags = [...new Set(tags.map((tag) => tag.trim()).filter(Boolean))];
+    if (labels.tags.length > MAX_TAGS) {
+      throw invalid(`At most ${MAX_TAGS} tags per result`);
+    }
+    const long = labels.tags.find((tag) => tag.length > MAX_TAG_LENGTH);
+    if (long) {
+      throw invalid(`Tag longer than ${MAX_TAG_LENGTH} characters: ${long.slice(0, 20)}...`);
+    }
+  }
+
+  if (notes !== undefined) {
+    if (notes !== null && typeof notes !== "string") {
+      throw invalid("notes must be a string or null");
+    }
+    if (notes && notes.length > MAX_NOTES_LENGTH) {
+      throw invalid(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+    }
+    labels.notes = notes?.trim() || null;
+  }
+
+  return labels;
+}
+
+// Results read per query while collecting an export
+const EXPORT_PAGE = 500;
+
+// Runs GET /api/benchmark/compare accepts
+const MIN_COMPARED = 2;
+const MAX_COMPARED = 4;
+
+// Metrics compared side by side; better is the direction of an improvement
+const COMPARED_METRICS = [
+  { metric: "reqPerSec", label: "Req/s", better: "higher" },
+  { metric: "avgLatency", label: "Avg latency (ms)", better: "lower" },
+  { metric: "p50Latency", label: "P50 (ms)", better: "lower" },
+  { metric: "p90Latency", label: "P90 (ms)", better: "lower" },
+  { metric: "p99Latency", label: "P99 (ms)", better: "lower" },
+  { metric: "p999Latency", label: "P99.9 (ms)", better: "lower" },
+  { metric: "p9999Latency", label: "P99.99 (ms)", better: "lower" },
+  { metric: "correctedP99Latency", label: "Corrected P99 (ms)", better: "lower" },
+  { metric: "totalReqs", label: "Total requests", better: "higher" },
+  { metric: "errors", label: "Errors", better: "lower" },
+  { metric: "timeouts", label: "Timeouts", better: "lower" },
+  { metric: "non2xx", label: "Non-2xx", better: "lower" },
+];
+
+// Load settings of a run and environment snapshot fields that make runs not like-for-like
+const RUN_FIELDS = [
+  { field: "connections", label: "Connections" },
+  { field: "pipelining", label: "Pipelining" },
+  { field: "workers", label: "Workers" },
+  { field: "duration", label: "Duration (s)" },
+  { field: "warmup", label: "Warmup (s)" },
+  { field: "loadModel", label: "Load model" },
+  { field: "targetRate", label: "Target rate" },
+  { field: "engine", label: "Engine" },
+  { field: "agents", label: "Load agents", value: (result) => result.agents?.length ?? 0 },
+];
+const ENVIRONMENT_FIELDS = [
+  { field: "pm2Instances", label: "Instances" },
+  { field: "redisNodes", label: "Redis nodes" },
+  { field: "redisMasters", label: "Redis masters" },
+  { field: "redisReplicas", label: "Redis replicas" },
+  { field: "redisVersion", label: "Redis version" },
+  { field: "redisHost", label: "Redis host" },
+  { field: "redisLocal", label: "Redis local" },
+  { field: "hostname", label: "Host" },
+  { field: "cpuModel", label: "CPU" },
+  { field: "cpuCores", label: "CPU cores" },
+  { field: "kernel", label: "Kernel" },
+  { field: "nodeVersion", label: "Node" },
+  { field: "bunVersion", label: "Bun" },
+  { field: "dotnetVersion", label: ".NET" },
+  { field: "gitCommit", label: "Git commit" },
+  { field: "gitDirty", label: "Git dirty" },
+  { field: "handlersHash", label: "Handlers hash" },
+];
+
+/**
+ * Align the metrics of runs and diff their settings and environments
+ * @param {Array<Object>} results - Results, the first being the reference of the deltas
+ * @param {Array<Object|null>} environments - Environment snapshot of each result (null if none was captured)
+ * @returns {Object} { reference, runs, metrics, differences }
+ *   metrics: [{ metric, label, better, values, deltas }], deltas[i] is { absolute, percent } against the
+ *   reference (null for the reference itself, or when either value is missing); metrics no run has are left out
+ *   differences: [{ field, label, source: "run"|"environment", values }], only for fields whose values differ
+ */
+function compareRuns(results, environments) {
+  const [reference] = results;
+
+  const metrics = COMPARED_METRICS
+    .map(({ metric, label, better }) => {
+      const values = results.map((result) => result[metric] ?? null);
+      const deltas = values.map((value, i) => {
+        if (i === 0 || value == null || values[0] == null) return null;
+        const absolute = parseFloat((value - values[0]).toFixed(2));
+        const percent = values[0] !== 0 ? parseFloat((((value - values[0]) / values[0]) * 100).toFixed(1)) : null;
+        return { absolute, percent };
+      });
+      return { metric, label, better, values, deltas };
+    })
+    .filter(({ values }) => values.some((value) => value != null));
+
+  const differing = (fields, source, sources) =>
+    fields
+      .map(({ field, label, value }) => ({
+        field,
+        label,
+        source,
+        values: sources.map((item) => (value ? value(item) : item?.[field] ?? null)),
+      }))
+      .filter(({ values }) => values.some((value) => value !== values[0]));
+
+  return {
+    reference: reference.id,
+    runs: results.map(({ id, timestamp, framework, endpoint, method, engine, loadModel, groupId, tags, environmentId }) => ({
+      id, timestamp, framework, endpoint, method, engine, loadModel, groupId, tags, environmentId,
+    })),
+    metrics,
+    differences: [...differing(RUN_FIELDS, "run", results), ...differing(ENVIRONMENT_FIELDS, "environment", environments)],
+  };
+}
 
 /**
  * Benchmark Service
@@ -10,12 +176,13 @@ export class BenchmarkService {
   }
 
   /**
-   * Get latest N benchmark results
-   * @param {number} count - Number of results to retrieve
-   * @returns {Promise<Array>} Benchmark results
+   * Query listed results, most recent run first
+   * @param {Object} [filter] - { framework, endpoint, method, from, to, tag, minReqPerSec, maxReqPerSec,
+   *   environmentId, hostname, status, limit, offset } (see BenchmarkHistory.query)
+   * @returns {Promise<{results: Array, total: number}>}
    */
-  async getLatest(count = 10) {
-    return await this.history.getLatest(count);
+  async query(filter) {
+    return await this.history.query(filter);
   }
 
   /**
@@ -28,41 +195,401 @@ export class BenchmarkService {
   }
 
   /**
-   * Get all benchmark results
-   * @returns {Promise<Array>} All benchmark results
+   * Get latest result for each framework+endpoint combination
+   * @returns {Promise<Object>} Map of "framework:endpoint:method" (":warmup=<s>" suffix for warmed-up runs) to result
+   *   (invalid: true when its error rate is over the threshold or it lost/duplicated writes)
    */
-  async getAll() {
-    return await this.history.getAll();
+  async getLatestByFramework() {
+    return await this.history.getLatestByFramework();
   }
 
   /**
-   * Get latest result for each framework+endpoint combination
-   * @returns {Promise<Object>} Map of "framework:endpoint:method" to result
+   * Add a new benchmark result
+   * @param {Object} result - Benchmark result object (tags and notes are validated)
+   * @returns {Promise<boolean>} Success status
    */
-  async getLatestByFramework() {
-    return await this.history.getLatestByFramework();
+  async add(result) {
+    return await this.history.add({ ...result, ...normalizeLabels(result) });
   }
 
   /**
-   * Get results for a specific framework
-   * @param {string} framework - Framework name
-   * @returns {Promise<Array>} Filtered results
+   * Import results from a JSON export or autocannon, wrk or oha output (see api/utils/import.js).
+   * Records that fail validation are rejected one by one; runs already in the history are skipped
+   * @param {Object} body - { format?, data, framework, endpoint, method, timestamp, ..., tags?, notes?, pin? }
+   *   (tags are added to every record, notes set on those without any)
+   * @returns {Promise<Object>} { imported: [{ index, id }], duplicates: [index], rejected: [{ index, error }] }
+   * @throws {Error} ValidationError when the data is missing or its format unknown
    */
-  async getByFramework(framework) {
-    return await this.history.getByFramework(framework);
+  async importResults(body = {}) {
+    const labels = normalizeLabels({ tags: body.tags, notes: body.notes });
+    const records = parseImport(body);
+    const rejected = [];
+    const accepted = [];
+
+    records.forEach(({ result, error }, index) => {
+      if (error) {
+        rejected.push({ index, error });
+        return;
+      }
+      try {
+        const tags = [...(result.tags || []), ...(labels.tags || [])];
+        accepted.push({ index, result: { ...result, ...normalizeLabels({ tags, notes: result.notes || labels.notes }) } });
+      } catch (err) {
+        rejected.push({ index, error: err.message });
+      }
+    });
+
+    const { imported, duplicates } = await this.history.importResults(
+      accepted.map(({ result }) => result),
+      { pinned: body.pin === true }
+    );
+
+    // Back from positions among the accepted records to positions in the import
+    return {
+      imported: imported.map(({ index, id }) => ({ index: accepted[index].index, id })),
+      duplicates: duplicates.map((index) => accepted[index].index),
+      rejected,
+    };
   }
 
   /**
-   * Add a new benchmark result
-   * @param {Object} result - Benchmark result object
-   * @returns {Promise<boolean>} Success status
+   * Get every result matching a filter for an export, with its timeline, histogram
+   * (counts and distribution, see getHistogram) and environment snapshot
+   * @param {Object} [filter] - See query(); without limit all matching results are returned
+   * @returns {Promise<Array<Object>>} Results, most recent first
    */
-  async add(result) {
-    return await this.history.add(result);
+  async getExport(filter = {}) {
+    let results = [];
+    if (filter.limit != null) {
+      ({ results } = await this.history.query(filter));
+    } else {
+      let total = 0;
+      do {
+        const page = await this.history.query({ ...filter, limit: EXPORT_PAGE, offset: (filter.offset || 0) + results.length });
+        results.push(...page.results);
+        total = page.results.length > 0 ? page.total - (filter.offset || 0) : results.length;
+      } while (results.length < total);
+    }
+
+    const environments = new Map();
+    for (const result of results) {
+      if (result.environmentId && !environments.has(result.environmentId)) {
+        environments.set(result.environmentId, await this.history.getEnvironment(result.environmentId));
+      }
+    }
+
+    return Promise.all(
+      results.map(async (result) => ({
+        ...result,
+        timeline: await this.history.getTimeline(result.id),
+        histogram: await this.getHistogram(result.id),
+        environment: environments.get(result.environmentId) ?? null,
+      }))
+    );
+  }
+
+  /**
+   * Get a result by id
+   * @param {number} id - Result id
+   * @returns {Promise<Object|null>} Result or null if it does not exist
+   */
+  async getResult(id) {
+    return await this.history.getResult(id);
+  }
+
+  /**
+   * Compare runs side by side
+   * @param {Array<number>} ids - Result ids, the first being the reference of the deltas
+   * @returns {Promise<Object>} See compareRuns
+   * @throws {Error} ValidationError for fewer than 2, more than 4 or repeated ids; NotFoundError for a missing result
+   */
+  async compare(ids) {
+    if (ids.length < MIN_COMPARED || ids.length > MAX_COMPARED) {
+      throw Object.assign(new Error(`Compare ${MIN_COMPARED} to ${MAX_COMPARED} runs (got ${ids.length})`), { name: "ValidationError" });
+    }
+    if (new Set(ids).size !== ids.length) {
+      throw Object.assign(new Error("Each run can only be compared once"), { name: "ValidationError" });
+    }
+
+    const results = await Promise.all(ids.map((id) => this.history.getResult(id)));
+    const missing = ids.filter((id, i) => !results[i]);
+    if (missing.length > 0) {
+      throw Object.assign(new Error(`Benchmark result not found: ${missing.join(", ")}`), { name: "NotFoundError" });
+    }
+
+    const environments = await Promise.all(
+      results.map((result) => (result.environmentId ? this.history.getEnvironment(result.environmentId) : null))
+    );
+    return compareRuns(results, environments);
+  }
+
+  /**
+   * Replace the tags and/or notes of a result
+   * @param {number} id - Result id
+   * @param {Object} changes - { tags?: Array<string>, notes?: string|null }
+   * @returns {Promise<Object|null>} Updated result, null if it does not exist
+   * @throws {Error} ValidationError for malformed tags or notes, or when neither is given
+   */
+  async updateResult(id, changes = {}) {
+    const labels = normalizeLabels(changes);
+    if (Object.keys(labels).length === 0) {
+      throw Object.assign(new Error("Nothing to update: pass tags and/or notes"), { name: "ValidationError" });
+    }
+    return await this.history.updateResult(id, labels);
+  }
+
+  /**
+   * Get the tags in use with their result counts
+   * @returns {Promise<Array<{tag: string, results: number}>>}
+   */
+  async getTags() {
+    return await this.history.getTags();
+  }
+
+  /**
+   * Get per-second samples of a result
+   * @param {number} id - Result id
+   * @returns {Promise<Array|null>} Samples, or null if the result does not exist
+   */
+  async getTimeline(id) {
+    return await this.history.getTimeline(id);
+  }
+
+  /**
+   * Get the whole-run latency histogram of a result, with its percentile distribution
+   * @param {number} id - Result id
+   * @returns {Promise<Object|null>} { latency, corrected } (each null when not recorded), or null if the result does not exist
+   */
+  async getHistogram(id) {
+    const histogram = await this.history.getHistogram(id);
+    if (!histogram) return null;
+
+    return {
+      latency: describeHistograms([histogram.latency]),
+      corrected: describeHistograms([histogram.corrected]),
+    };
+  }
+
+  /**
+   * Get the merged latency histogram of a group's complete results (e.g. a repeated run)
+   * @param {string} id - Group id
+   * @returns {Promise<Object|null>} { runs, latency, corrected }, or null if the group does not exist
+   */
+  async getGroupHistogram(id) {
+    const histograms = await this.history.getGroupHistograms(id);
+    if (!histograms) return null;
+
+    return {
+      runs: histograms.length,
+      latency: describeHistograms(histograms.map((h) => h.latency)),
+      corrected: describeHistograms(histograms.map((h) => h.corrected)),
+    };
+  }
+
+  /**
+   * Get the app/Redis/host resources sampled during a result's run
+   * @param {number} id - Result id
+   * @returns {Promise<Object|null>} { interval, samples, summary }, or null if the result does not exist
+   */
+  async getResources(id) {
+    return await this.history.getResources(id);
+  }
+
+  /**
+   * Get an environment snapshot
+   * @param {number} id - Environment id (environmentId of a result)
+   * @returns {Promise<Object|null>} Snapshot, or null if it does not exist
+   */
+  async getEnvironment(id) {
+    return await this.history.getEnvironment(id);
+  }
+
+  /**
+   * Get all environment snapshots with their result counts
+   * @returns {Promise<Array>} Snapshots, newest first
+   */
+  async getEnvironments() {
+    return await this.history.getEnvironments();
+  }
+
+  /**
+   * Store a group of linked results (e.g. SLO search probes)
+   * @param {Object} group - { id?, type, framework, endpoint, method, summary }
+   * @param {Array<Object>} results - Results belonging to the group
+   * @returns {Promise<string>} Group id
+   */
+  async addGroup(group, results) {
+    return await this.history.addGroup(group, results);
+  }
+
+  /**
+   * Add a result to an existing group
+   * @param {string} groupId - Group id
+   * @param {Object} result - Benchmark result
+   * @returns {Promise<number>} Result id
+   */
+  async addToGroup(groupId, result) {
+    return await this.history.addToGroup(groupId, result);
+  }
+
+  /**
+   * Replace the summary of a group
+   * @param {string} id - Group id
+   * @param {Object} summary - New summary
+   * @returns {Promise<boolean>} False if the group does not exist
+   */
+  async updateGroupSummary(id, summary) {
+    return await this.history.updateGroupSummary(id, summary);
+  }
+
+  /**
+   * Get latest result groups
+   * @param {string|null} type - Group type filter (e.g. "slo")
+   * @param {number} count - Number of groups to retrieve
+   * @returns {Promise<Array>} Groups (without their results)
+   */
+  async getGroups(type = null, count = 20) {
+    return await this.history.getGroups(type, count);
+  }
+
+  /**
+   * Get a result group with its results
+   * @param {string} id - Group id
+   * @returns {Promise<Object|null>} Group or null if not found
+   */
+  async getGroup(id) {
+    return await this.history.getGroup(id);
+  }
+
+  /**
+   * Set the baseline of a result's combination, or of every combination of a group's results
+   * @param {Object} source - { resultId } or { groupId }
+   * @returns {Promise<Array<Object>>} Baselines set
+   * @throws {Error} ValidationError if neither is given or no run is complete, NotFoundError if it does not exist
+   */
+  async setBaseline({ resultId, groupId } = {}) {
+    if ((resultId == null) === (groupId == null)) {
+      throw Object.assign(new Error("Either resultId or groupId is required"), { name: "ValidationError" });
+    }
+    if (resultId != null && !Number.isInteger(resultId)) {
+      throw Object.assign(new Error("resultId must be an integer"), { name: "ValidationError" });
+    }
+
+    const baselines = await this.history.setBaseline({ resultId, groupId });
+
+    if (!baselines) {
+      const what = resultId != null ? `Benchmark result not found: ${resultId}` : `Benchmark group not found: ${groupId}`;
+      throw Object.assign(new Error(what), { name: "NotFoundError" });
+    }
+    if (baselines.length === 0) {
+      throw Object.assign(new Error("A cancelled run cannot be a baseline"), { name: "ValidationError" });
+    }
+
+    return baselines;
+  }
+
+  /**
+   * Get the baselines, one per combination
+   * @returns {Promise<Array>}
+   */
+  async getBaselines() {
+    return await this.history.getBaselines();
+  }
+
+  /**
+   * Remove a baseline
+   * @param {number} id - Baseline id
+   * @returns {Promise<boolean>} False if it does not exist
+   */
+  async deleteBaseline(id) {
+    return await this.history.deleteBaseline(id);
+  }
+
+  /**
+   * Get the latest result of each combination with a baseline, filtered by verdict
+   * @param {string} [verdict="regressed"] - "regressed", "improved", "unchanged" or "all"
+   * @returns {Promise<Array>} Results with their regression verdict, newest first
+   */
+  async getRegressions(verdict = "regressed") {
+    return await this.history.getRegressions(verdict);
+  }
+
+  /**
+   * Pin or unpin a result (pinned results are never archived)
+   * @param {number} id - Result id
+   * @param {boolean} pinned
+   * @returns {Promise<boolean>} False if the result does not exist
+   */
+  async setPinned(id, pinned) {
+    return await this.history.setPinned(id, pinned);
+  }
+
+  /**
+   * Pin or unpin a group with its results
+   * @param {string} id - Group id
+   * @param {boolean} pinned
+   * @returns {Promise<boolean>} False if the group does not exist
+   */
+  async setGroupPinned(id, pinned) {
+    return await this.history.setGroupPinned(id, pinned);
+  }
+
+  /**
+   * Get the retention policy with live, pinned and archived counts
+   * @returns {Promise<Object>}
+   */
+  async getRetention() {
+    return await this.history.getRetention();
+  }
+
+  /**
+   * Get archived results, most recent run first
+   * @param {Object} [filter] - { framework, endpoint, method, limit, offset }
+   * @returns {Promise<{results: Array, total: number}>}
+   */
+  async getArchivedResults(filter) {
+    return await this.history.getArchivedResults(filter);
+  }
+
+  /**
+   * Get an archived result with its timeline
+   * @param {number} id - Result id
+   * @returns {Promise<Object|null>} Result or null if it is not archived
+   */
+  async getArchivedResult(id) {
+    return await this.history.getArchivedResult(id);
+  }
+
+  /**
+   * Get archived groups
+   * @param {string|null} type - Group type filter
+   * @param {number} count - Number of groups to retrieve
+   * @returns {Promise<Array>}
+   */
+  async getArchivedGroups(type = null, count = 20) {
+    return await this.history.getArchivedGroups(type, count);
+  }
+
+  /**
+   * Restore an archived result (pinned)
+   * @param {number} id - Result id
+   * @returns {Promise<Object|null>} Restored result or null if it is not archived
+   */
+  async restoreResult(id) {
+    return await this.history.restoreResult(id);
+  }
+
+  /**
+   * Restore an archived group with its results (pinned)
+   * @param {string} id - Group id
+   * @returns {Promise<Object|null>} Restored group or null if it is not archived
+   */
+  async restoreGroup(id) {
+    return await this.history.restoreGroup(id);
   }
 
   /**
-   * Clear all benchmark history
+   * Clear all benchmark history (archive included)
    * @returns {Promise<boolean>} Success status
    */
   async clear() {
@@ -0,0 +1,171 @@
+import { createHash } from "crypto";
+import { readdir, readFile } from "fs/promises";
+import os from "os";
+import { join, relative } from "path";
+import { execCommand, PROJECT_ROOT } from "../utils/exec.js";
+import { redisAgentClient } from "../utils/redis-agent.client.js";
+import { SystemService } from "./system.service.js";
+import { PM2Service } from "./pm2.service.js";
+
+/**
+ * Framework sources hashed into handlersHash
+ */
+const FRAMEWORKS_DIR = join(PROJECT_ROOT, "frameworks");
+
+/**
+ * Build output and dependencies under frameworks/ (not part of the handlers)
+ */
+const SKIPPED_DIRS = new Set(["node_modules", "bin", "obj", "build"]);
+
+/**
+ * How long to wait for the Redis agent before recording the Redis fields as unknown
+ */
+const REDIS_AGENT_TIMEOUT_MS = 3000;
+
+/**
+ * Environment Service
+ * Captures the environment a benchmark ran in: the API host (CPU, kernel, runtimes),
+ * the PM2 instances of the framework, the Redis cluster (from the Redis agent), where
+ * Redis runs relative to the frameworks, and the revision of the framework handlers.
+ * Two results with the same snapshot ran on the same setup; a difference in it explains
+ * a difference in numbers that the code under test does not.
+ */
+export class EnvironmentService {
+  constructor(
+    systemService = new SystemService(),
+    pm2Service = new PM2Service(),
+    redisClient = redisAgentClient,
+    execFn = execCommand
+  ) {
+    this.system = systemService;
+    this.pm2 = pm2Service;
+    this.redis = redisClient;
+    this.exec = execFn;
+  }
+
+  /**
+   * Capture the environment of a benchmark of a framework. Never rejects: parts
+   * that cannot be read (Redis agent down, not a git checkout...) are null.
+   * @param {string} framework - Framework under test
+   * @returns {Promise<Object>} Flat snapshot (see the environments table in benchmark-history.js)
+   */
+  async capture(framework) {
+    const [system, pm2Instances, redis, gitCommit, gitDirty, handlersHash] = await Promise.all([
+      this.system.getEnvironment().catch(() => ({})),
+      framework ? this.pm2.getOnlineInstances(framework) : null,
+      this.getRedisEnvironment(),
+      this.run("git rev-parse HEAD"),
+      this.run("git status --porcelain -- frameworks").then((out) => (out === null ? null : out !== "")),
+      hashHandlers().catch(() => null),
+    ]);
+
+    const redisHost = getRedisHost();
+
+    return {
+      hostname: system.hostname ?? null,
+      cpuModel: system.cpuModel ?? null,
+      cpuCores: system.cpuCores ?? null,
+      totalMemory: system.totalMemory ?? null,
+      kernel: system.kernel ?? null,
+      os: system.os ?? null,
+      nodeVersion: system.nodeVersion ?? null,
+      bunVersion: system.bunVersion ?? null,
+      dotnetVersion: system.dotnetVersion ?? null,
+      pm2Instances,
+      redisNodes: redis?.nodes ?? null,
+      redisMasters: redis?.masters ?? null,
+      redisReplicas: redis?.replicas ?? null,
+      redisVersion: redis?.version ?? null,
+      redisHostname: redis?.hostname ?? null,
+      redisHost,
+      redisLocal: isLocalHost(redisHost),
+      gitCommit,
+      gitDirty,
+      handlersHash,
+    };
+  }
+
+  /**
+   * Redis environment from the Redis agent, or null if it does not answer in time
+   * @returns {Promise<Object|null>}
+   */
+  async getRedisEnvironment() {
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(null), REDIS_AGENT_TIMEOUT_MS);
+    });
+
+    try {
+      return await Promise.race([this.redis.environment().catch(() => null), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run a command in the project root
+   * @param {string} command - Command
+   * @returns {Promise<string|null>} Trimmed stdout, or null if it failed
+   */
+  async run(command) {
+    try {
+      const { stdout } = await this.exec(command, { timeout: 5000 });
+      return stdout.trim();
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Redis host the frameworks connect to (same resolution as database/redis.js)
+ * @returns {string}
+ */
+function getRedisHost() {
+  const agentUrl = process.env.REDIS_AGENT_URL;
+  return process.env.REDIS_HOST || (agentUrl ? new URL(agentUrl).hostname : "127.0.0.1");
+}
+
+/**
+ * Whether a host is this machine (loopback, or one of its own addresses)
+ * @param {string} host - Hostname or IP
+ * @returns {boolean}
+ */
+function isLocalHost(host) {
+  if (host === "localhost" || host === os.hostname() || /^127\./.test(host) || host === "::1") {
+    return true;
+  }
+
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .some((iface) => iface?.address === host);
+}
+
+/**
+ * Hash of the framework sources (file paths and contents), to tell handler changes apart
+ * from environment changes
+ * @returns {Promise<string>} First 16 hex digits of a SHA-256
+ */
+async function hashHandlers() {
+  const files = [];
+
+  async function walk(dir) {
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.has(entry.name)) await walk(join(dir, entry.name));
+      } else if (entry.isFile()) {
+        files.push(join(dir, entry.name));
+      }
+    }
+  }
+
+  await walk(FRAMEWORKS_DIR);
+
+  const hash = createHash("sha256");
+  for (const file of files.sort()) {
+    hash.update(relative(FRAMEWORKS_DIR, file)).update("\0");
+    hash.update(await readFile(file)).update("\0");
+  }
+
+  return hash.digest("hex").slice(0, 16);
+}
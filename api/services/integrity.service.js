@@ -0,0 +1,144 @@
+import { setTimeout as sleep } from "timers/promises";
+import { PERFORMANCE } from "../config/constants.js";
+import { redisAgentClient } from "../utils/redis-agent.client.js";
+
+/**
+ * Integrity Service
+ * Verifies after a write benchmark (an endpoint with an `integrity` scheme in
+ * ENDPOINTS) that Redis holds every write the load generator saw acknowledged
+ * with a 201, and none twice: the counters of the scheme (codes:seq,
+ * codes:unique, sync queues) are snapshotted by the Redis agent right before
+ * the measured load and compared after it, and the records written in between
+ * are checked for existence. A framework that drops or duplicates writes under
+ * load gets a "lost" or "duplicated" verdict instead of a clean result.
+ *
+ * Assumes nothing else writes to or consumes the sync queues during the run.
+ */
+export class IntegrityService {
+  constructor(redisClient = redisAgentClient, settle = PERFORMANCE.integritySettle) {
+    this.redis = redisClient;
+    this.settle = settle;
+  }
+
+  /**
+   * Snapshot the counters of a write scheme before the measured load
+   * @param {string} scheme - "codes" or "sharded" (ENDPOINTS[...].integrity)
+   * @param {Object} [options]
+   * @param {boolean} [options.afterLoad=false] - Load (warmup) just ended: wait for its in-flight writes first
+   * @returns {Promise<Object>} { scheme, state }, or { scheme, error } if the Redis agent could not read them
+   */
+  async snapshot(scheme, { afterLoad = false } = {}) {
+    if (afterLoad) await sleep(this.settle);
+
+    try {
+      const { timestamp, ...state } = await this.redis.writeState(scheme);
+      return { scheme, state };
+    } catch (error) {
+      return { scheme, error: error.message };
+    }
+  }
+
+  /**
+   * Compare Redis with a finished run's responses. Never rejects: a failed check is "unverified"
+   * @param {Object} snapshot - snapshot() taken before the measured load
+   * @param {Object} result - Benchmark result (see buildResultData)
+   * @returns {Promise<Object>} Report (see compareWrites)
+   */
+  async verify(snapshot, result) {
+    if (snapshot.error) return unverified(snapshot.scheme, snapshot.error);
+
+    // Responses of requests in flight when the load generator stopped are not counted, but their writes still land
+    await sleep(this.settle);
+
+    try {
+      const { after, records } = await this.redis.verifyWrites(snapshot.scheme, snapshot.state);
+      return compareWrites(snapshot.scheme, snapshot.state, after, records, result);
+    } catch (error) {
+      return unverified(snapshot.scheme, error.message);
+    }
+  }
+}
+
+/**
+ * Compare the writes Redis holds with the writes a run saw acknowledged
+ * @param {string} scheme - "codes" or "sharded"
+ * @param {Object} before - Counters before the measured load
+ * @param {Object} after - Counters after it
+ * @param {Object} records - Record check { expected, checked, missing, duplicates, sampled }
+ * @param {Object} result - Benchmark result
+ * @returns {Object} { scheme, status, message, acknowledged, acknowledgedExact, stored, deltas, records,
+ *   inFlight, lost, duplicated, unacknowledged }
+ *   status is "ok", "lost", "duplicated" or "unverified" (other writers moved the counters)
+ */
+export function compareWrites(scheme, before, after, records, result) {
+  const statusCodes = result.errorBreakdown?.statusCodes;
+  // wrk only reports a non-2xx total
+  const acknowledgedExact = Boolean(statusCodes);
+  const acknowledged = acknowledgedExact
+    ? statusCodes["201"] || 0
+    : Math.max(0, (result.totalReqs || 0) - (result.non2xx || 0));
+
+  // A sampled record check is extrapolated to all the records written
+  const scale = records.sampled && records.checked > 0 ? records.expected / records.checked : 1;
+  const missing = Math.round(records.missing * scale);
+  const duplicateRecords = Math.round(records.duplicates * scale);
+
+  let deltas;
+  let stored;
+  let duplicated;
+
+  if (scheme === "codes") {
+    deltas = {
+      seq: after.seq - before.seq,
+      unique: after.unique - before.unique,
+      queue: after.queue - before.queue,
+    };
+    // A write is complete once its hash exists and its id was queued
+    stored = Math.max(0, Math.min(deltas.seq - missing, deltas.queue));
+    // Ids queued twice, or codes stored without passing the uniqueness check
+    duplicated = Math.max(0, deltas.queue - deltas.seq) + Math.max(0, deltas.seq - deltas.unique);
+  } else {
+    deltas = { queue: after.queue - before.queue };
+    stored = Math.max(0, records.expected - duplicateRecords - missing);
+    duplicated = duplicateRecords;
+  }
+
+  // Requests whose write may land without a counted response: in flight at the end, failed or timed out
+  const inFlight = (result.connections || 0) * (result.pipelining || 1) + (result.errors || 0) + (result.timeouts || 0);
+  const lost = Math.max(0, acknowledged - stored);
+  const unacknowledged = Math.max(0, stored - acknowledged);
+
+  const report = {
+    scheme,
+    acknowledged,
+    acknowledgedExact,
+    stored,
+    deltas,
+    records,
+    inFlight,
+    lost,
+    duplicated,
+    unacknowledged,
+  };
+
+  if (lost > 0) {
+    return { ...report, status: "lost", message: `${lost} of ${acknowledged} acknowledged writes missing from Redis` };
+  }
+  if (duplicated > 0) {
+    return { ...report, status: "duplicated", message: `${duplicated} writes stored twice (${acknowledged} acknowledged)` };
+  }
+  if (unacknowledged > inFlight) {
+    return {
+      ...report,
+      status: "unverified",
+      message: `${unacknowledged} more writes than acknowledged, above the ${inFlight} that could be in flight: another client wrote to Redis during the run`,
+    };
+  }
+
+  const extra = unacknowledged > 0 ? `, plus ${unacknowledged} whose response was not counted (in flight or timed out)` : "";
+  return { ...report, status: "ok", message: `${acknowledged} acknowledged writes stored${extra}` };
+}
+
+function unverified(scheme, reason) {
+  return { scheme, status: "unverified", message: `Write integrity not verified: ${reason}` };
+}
@@ -102,9 +102,10 @@ const DEBUG_PATHS = new Set([
   "/api/pm2/stats",
   "/api/redis/stats",
   "/api/system/stats",
-  "/api/benchmark/latest",
+  "/api/benchmark/results",
   "/api/benchmark/stats",
   "/health",
+  "/metrics",
 ]);
 
 /**
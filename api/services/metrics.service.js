@@ -0,0 +1,191 @@
+import { redisAgentClient } from "../utils/redis-agent.client.js";
+import { formatMetrics } from "../utils/prometheus.js";
+import { SystemService } from "./system.service.js";
+import { PM2Service } from "./pm2.service.js";
+import { BenchmarkService } from "./benchmark.service.js";
+import { benchmarkRunner } from "./benchmark-run.service.js";
+
+const PREFIX = "rps";
+
+// Latency percentiles of a result (ms columns) exported as quantiles of rps_benchmark_latency_seconds
+const QUANTILES = [
+  ["0.5", "p50Latency", "correctedP50Latency"],
+  ["0.9", "p90Latency", "correctedP90Latency"],
+  ["0.99", "p99Latency", "correctedP99Latency"],
+  ["0.999", "p999Latency", "correctedP999Latency"],
+  ["0.9999", "p9999Latency", "correctedP9999Latency"],
+];
+
+const gauge = (name, help, samples) => ({ name: `${PREFIX}_${name}`, type: "gauge", help, samples });
+const counter = (name, help, samples) => ({ name: `${PREFIX}_${name}`, type: "counter", help, samples });
+const seconds = (ms) => (ms != null ? ms / 1000 : null);
+
+/**
+ * Metrics Service
+ * Collects what the dashboard shows as formatted text (system, PM2 processes,
+ * Redis nodes) plus the latest benchmark result of each combination, for
+ * GET /metrics in the Prometheus text format. Each source is read on its own:
+ * one that fails (PM2 not installed, Redis agent down) only loses its metrics
+ * and reports rps_scrape_source_up 0.
+ */
+export class MetricsService {
+  constructor(
+    systemService = new SystemService(),
+    pm2Service = new PM2Service(),
+    redisClient = redisAgentClient,
+    benchmarkService = new BenchmarkService(),
+    runner = benchmarkRunner
+  ) {
+    this.system = systemService;
+    this.pm2 = pm2Service;
+    this.redis = redisClient;
+    this.benchmarks = benchmarkService;
+    this.runner = runner;
+  }
+
+  /**
+   * Read every source and render the exposition text
+   * @returns {Promise<string>}
+   */
+  async render() {
+    const started = process.hrtime.bigint();
+    const sources = {
+      system: () => this.collectSystem(),
+      pm2: () => this.collectPM2(),
+      redis: () => this.collectRedis(),
+      benchmark: () => this.collectBenchmarks(),
+    };
+
+    const collected = await Promise.all(
+      Object.entries(sources).map(async ([source, collect]) => {
+        try {
+          return { source, up: 1, families: await collect() };
+        } catch (error) {
+          return { source, up: 0, families: [] };
+        }
+      })
+    );
+
+    return formatMetrics([
+      ...collected.flatMap(({ families }) => families),
+      gauge(
+        "scrape_source_up",
+        "Whether the source could be read during this scrape (1) or not (0)",
+        collected.map(({ source, up }) => ({ labels: { source }, value: up }))
+      ),
+      gauge("scrape_duration_seconds", "Time spent collecting the metrics", [
+        { value: Number(process.hrtime.bigint() - started) / 1e9 },
+      ]),
+    ]);
+  }
+
+  /**
+   * Host CPU, memory and load (CPU usage is measured since the previous scrape)
+   */
+  async collectSystem() {
+    const [stats, cores] = await Promise.all([this.system.getStats(), this.system.getCPUCores()]);
+    const [load1, load5, load15] = stats.loadAvg.split(" ").map(parseFloat);
+    const MB = 1024 * 1024;
+
+    return [
+      gauge("system_cpu_usage_percent", "Host CPU usage since the previous scrape", [{ value: stats.cpu }]),
+      gauge("system_cpu_cores", "Host CPU cores", [{ value: cores }]),
+      gauge("system_memory_used_bytes", "Host memory in use (total minus available)", [
+        { value: Math.round(stats.memory * MB) },
+      ]),
+      gauge("system_memory_total_bytes", "Host memory", [{ value: stats.totalMemory * MB }]),
+      gauge("system_load_average", "Host load average", [
+        { labels: { period: "1m" }, value: load1 },
+        { labels: { period: "5m" }, value: load5 },
+        { labels: { period: "15m" }, value: load15 },
+      ]),
+    ];
+  }
+
+  /**
+   * CPU, memory, restarts and status of each PM2 process
+   */
+  async collectPM2() {
+    const processes = await this.pm2.getProcesses();
+    const labels = (proc) => ({ name: proc.name, pm_id: proc.id });
+
+    return [
+      gauge("pm2_process_up", "Whether the PM2 process is online (1) or not (0)",
+        processes.map((proc) => ({ labels: labels(proc), value: proc.status === "online" ? 1 : 0 }))),
+      gauge("pm2_process_cpu_percent", "PM2 process CPU usage",
+        processes.map((proc) => ({ labels: labels(proc), value: proc.cpu }))),
+      gauge("pm2_process_memory_bytes", "PM2 process resident memory",
+        processes.map((proc) => ({ labels: labels(proc), value: proc.memory }))),
+      counter("pm2_process_restarts_total", "PM2 restarts of the process",
+        processes.map((proc) => ({ labels: labels(proc), value: proc.restarts }))),
+      gauge("pm2_process_start_time_seconds", "Start time of the online PM2 process (Unix time)",
+        processes.map((proc) => ({ labels: labels(proc), value: proc.uptime != null ? proc.uptime / 1000 : null }))),
+    ];
+  }
+
+  /**
+   * Ops/sec, memory, clients and CPU of each Redis node (from the Redis agent)
+   */
+  async collectRedis() {
+    const { nodes } = await this.redis.metrics();
+    const labels = (node) => ({ port: node.port, role: node.role });
+
+    return [
+      gauge("redis_ops_per_second", "Redis instantaneous_ops_per_sec",
+        nodes.map((node) => ({ labels: labels(node), value: node.opsPerSec }))),
+      gauge("redis_memory_used_bytes", "Redis used_memory",
+        nodes.map((node) => ({ labels: labels(node), value: node.memory }))),
+      gauge("redis_connected_clients", "Redis connected_clients",
+        nodes.map((node) => ({ labels: labels(node), value: node.connections }))),
+      counter("redis_cpu_seconds_total", "Redis used_cpu_sys plus used_cpu_user",
+        nodes.map((node) => ({ labels: labels(node), value: node.cpuSeconds }))),
+    ];
+  }
+
+  /**
+   * Latest result of each combination (see GET /api/benchmark/latest-by-framework), and whether one is running
+   */
+  async collectBenchmarks() {
+    const results = Object.values(await this.benchmarks.getLatestByFramework());
+    const labels = (result) => ({
+      framework: result.framework,
+      endpoint: result.endpoint,
+      method: result.method,
+      engine: result.engine || "autocannon",
+      load_model: result.loadModel || "closed",
+      rate: result.loadModel === "open" ? result.targetRate : null,
+      warmup: result.warmup ? result.warmup : null,
+    });
+    const each = (value) => results.map((result) => ({ labels: labels(result), value: value(result) }));
+    const quantiles = (column) =>
+      results.flatMap((result) =>
+        QUANTILES.map(([quantile, measured, corrected]) => ({
+          labels: { ...labels(result), quantile },
+          value: seconds(result[column === "corrected" ? corrected : measured]),
+        }))
+      );
+
+    return [
+      gauge("benchmark_running", "Whether a benchmark, SLO search or suite is running on the API host",
+        [{ value: this.runner.getActive() ? 1 : 0 }]),
+      gauge("benchmark_requests_per_second", "Throughput of the latest run", each((r) => r.reqPerSec)),
+      gauge("benchmark_latency_seconds", "Latency percentiles of the latest run", quantiles("measured")),
+      gauge("benchmark_corrected_latency_seconds",
+        "Coordinated-omission corrected latency percentiles of the latest open-model run", quantiles("corrected")),
+      gauge("benchmark_latency_average_seconds", "Mean latency of the latest run", each((r) => seconds(r.avgLatency))),
+      gauge("benchmark_requests", "Requests sent by the latest run", each((r) => r.totalReqs)),
+      gauge("benchmark_failed_requests", "Failed requests of the latest run by kind",
+        results.flatMap((result) =>
+          ["errors", "timeouts", "non2xx"].map((kind) => ({ labels: { ...labels(result), kind }, value: result[kind] || 0 }))
+        )),
+      gauge("benchmark_connections", "Connections of the latest run", each((r) => r.connections)),
+      gauge("benchmark_valid",
+        "Whether the latest run is valid (0: too many failed requests, or lost/duplicated writes)",
+        each((r) => (r.invalid ? 0 : 1))),
+      gauge("benchmark_regressed", "Whether the latest run regressed against its baseline (only runs with a baseline)",
+        each((r) => (r.regression ? Number(r.regression.verdict === "regressed") : null))),
+      gauge("benchmark_timestamp_seconds", "Time the latest run was recorded (Unix time)",
+        each((r) => new Date(r.timestamp).getTime() / 1000)),
+    ];
+  }
+}
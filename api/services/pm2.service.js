@@ -73,6 +73,64 @@ export class PM2Service {
     };
   }
 
+  /**
+   * Count online PM2 instances of a framework
+   * @param {string} framework - Framework name (PM2 process name)
+   * @returns {Promise<number>} Number of online instances (0 on error)
+   */
+  async getOnlineInstances(framework) {
+    try {
+      const { stdout } = await this.exec("pm2 jlist");
+      const processes = JSON.parse(stdout);
+      return processes.filter(
+        proc => proc.name === framework && proc.pm2_env?.status === "online"
+      ).length;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Per-process CPU and memory of a framework's online instances
+   * @param {string} framework - Framework name (PM2 process name)
+   * @returns {Promise<Array<{id: number, pid: number, cpu: number, memory: number}>>} CPU in %, memory (RSS) in bytes ([] on error)
+   */
+  async getProcessStats(framework) {
+    try {
+      const { stdout } = await this.exec("pm2 jlist");
+      return JSON.parse(stdout)
+        .filter(proc => proc.name === framework && proc.pm2_env?.status === "online")
+        .map(proc => ({
+          id: proc.pm_id,
+          pid: proc.pid,
+          cpu: proc.monit?.cpu ?? 0,
+          memory: proc.monit?.memory ?? 0,
+        }));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Every PM2 process with its resources and restart count (for GET /metrics)
+   * @returns {Promise<Array<{name: string, id: number, pid: number, status: string, cpu: number, memory: number,
+   *   restarts: number, uptime: number|null}>>} CPU in %, memory (RSS) in bytes, uptime start in ms since epoch
+   * @throws {Error} If pm2 cannot be queried
+   */
+  async getProcesses() {
+    const { stdout } = await this.exec("pm2 jlist");
+    return JSON.parse(stdout).map(proc => ({
+      name: proc.name,
+      id: proc.pm_id,
+      pid: proc.pid,
+      status: proc.pm2_env?.status || "unknown",
+      cpu: proc.monit?.cpu ?? 0,
+      memory: proc.monit?.memory ?? 0,
+      restarts: proc.pm2_env?.restart_time ?? 0,
+      uptime: proc.pm2_env?.status === "online" ? proc.pm2_env?.pm_uptime ?? null : null,
+    }));
+  }
+
   /**
    * Start a framework with PM2
    * @param {string} framework - Framework name (cpeak, express, fastify)
@@ -0,0 +1,234 @@
+import os from "os";
+import { PERFORMANCE } from "../config/constants.js";
+import { redisAgentClient } from "../utils/redis-agent.client.js";
+import { SystemService } from "./system.service.js";
+import { PM2Service } from "./pm2.service.js";
+
+/**
+ * Average CPU (%) from which a process or the host counts as saturated
+ */
+const SATURATED_CPU = 90;
+
+/**
+ * Resource Service
+ * Samples the server side of a benchmark while it runs: CPU/RSS of each PM2
+ * instance of the framework, ops/sec, memory and CPU of each Redis node (from
+ * the Redis agent) and host CPU/load, at a fixed interval. The summary tells
+ * which of them was saturated, which req/s and latency alone cannot.
+ */
+export class ResourceService {
+  constructor(pm2Service = new PM2Service(), systemService = new SystemService(), redisClient = redisAgentClient) {
+    this.pm2 = pm2Service;
+    this.system = systemService;
+    this.redis = redisClient;
+  }
+
+  /**
+   * Create a sampler for one load generator run (call start() when the measured load begins)
+   * @param {string} framework - Framework under test
+   * @param {Object} [options]
+   * @param {number} [options.interval] - Milliseconds between samples
+   * @param {boolean} [options.localLoad=true] - The load generator runs on this host (not on load agents)
+   * @returns {ResourceSampler}
+   */
+  createSampler(framework, { interval = PERFORMANCE.resourceSampleInterval, localLoad = true } = {}) {
+    return new ResourceSampler(this, framework, { interval, localLoad });
+  }
+
+  /**
+   * Read the raw counters once
+   * @param {string} framework - Framework under test
+   * @param {number} timeout - Milliseconds to wait for the Redis agent
+   * @returns {Promise<Object>} { time, system: { cpu, memory, load1 }, app: [...], redis: [...]|null }
+   */
+  async read(framework, timeout) {
+    let timer;
+    const agentTimeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(null), timeout);
+    });
+
+    const [stats, app, redis] = await Promise.all([
+      this.system.getStats(),
+      this.pm2.getProcessStats(framework),
+      Promise.race([this.redis.metrics().then((res) => res.nodes).catch(() => null), agentTimeout]),
+    ]);
+    clearTimeout(timer);
+
+    return {
+      time: Date.now(),
+      system: { cpu: stats.cpu, memory: stats.memory, load1: parseFloat(stats.loadAvg) || 0 },
+      app,
+      redis,
+    };
+  }
+}
+
+/**
+ * Samples resources at a fixed interval between start() and stop()
+ */
+class ResourceSampler {
+  constructor(service, framework, { interval, localLoad }) {
+    this.service = service;
+    this.framework = framework;
+    this.interval = interval;
+    this.localLoad = localLoad;
+    this.samples = [];
+    this.startedAt = null;
+    this.previous = null;
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Start sampling. The first read is a baseline for host and Redis CPU, which are
+   * deltas between reads; samples follow every interval
+   */
+  start() {
+    if (this.startedAt || this.stopped) return;
+
+    this.startedAt = Date.now();
+    this.tick(0);
+  }
+
+  async tick(index) {
+    const raw = await this.service.read(this.framework, this.interval).catch(() => null);
+    if (this.stopped) return;
+
+    if (raw && this.previous) {
+      this.samples.push(this.toSample(raw));
+    }
+    if (raw) this.previous = raw;
+
+    // Fixed schedule; a slow read delays the next sample instead of overlapping with it
+    const next = this.startedAt + (index + 1) * this.interval;
+    this.timer = setTimeout(() => this.tick(index + 1), Math.max(0, next - Date.now()));
+  }
+
+  /**
+   * Sample from a raw read, with Redis CPU derived from the previous read
+   * @param {Object} raw - Read (see ResourceService.read)
+   * @returns {Object} { second, system, app, redis }
+   */
+  toSample(raw) {
+    const elapsed = (raw.time - this.previous.time) / 1000;
+    const previousRedis = new Map((this.previous.redis || []).map((node) => [node.port, node.cpuSeconds]));
+
+    return {
+      second: round((raw.time - this.startedAt) / 1000),
+      system: raw.system,
+      app: raw.app.map(({ id, cpu, memory }) => ({ id, cpu, memory })),
+      redis: raw.redis
+        ? raw.redis.map(({ cpuSeconds, ...node }) => ({
+            ...node,
+            cpu: previousRedis.has(node.port) && elapsed > 0
+              ? round(Math.max(0, ((cpuSeconds - previousRedis.get(node.port)) / elapsed) * 100))
+              : null,
+          }))
+        : null,
+    };
+  }
+
+  /**
+   * Stop sampling (a read still in flight is discarded)
+   * @returns {Object|null} { interval, samples, summary }, or null if nothing was sampled
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+
+    if (this.samples.length === 0) return null;
+
+    return {
+      interval: this.interval,
+      samples: this.samples,
+      summary: summarizeResources(this.samples, { localLoad: this.localLoad }),
+    };
+  }
+}
+
+/**
+ * Summarize resource samples and name the saturated resource, if any
+ * @param {Array<Object>} samples - Samples (see ResourceSampler.toSample)
+ * @param {Object} [options]
+ * @param {boolean} [options.localLoad=true] - The load generator ran on the sampled host
+ * @returns {Object} { samples, system, app, redis, bottleneck, verdict }
+ *   bottleneck is "redis", "app", "host" or null
+ */
+export function summarizeResources(samples, { localLoad = true } = {}) {
+  const system = {
+    cpu: stat(samples.map((s) => s.system.cpu)),
+    load1: Math.max(...samples.map((s) => s.system.load1)),
+    cores: os.cpus().length,
+  };
+
+  // Per-instance CPU: a worker at 100% is saturated whatever the number of workers
+  const appSamples = samples.filter((s) => s.app.length > 0);
+  const app = {
+    instances: Math.max(0, ...samples.map((s) => s.app.length)),
+    cpu: {
+      avg: appSamples.length ? round(mean(appSamples.map((s) => mean(s.app.map((p) => p.cpu))))) : 0,
+      max: round(Math.max(0, ...samples.flatMap((s) => s.app.map((p) => p.cpu)))),
+    },
+    memory: Math.max(0, ...samples.map((s) => s.app.reduce((sum, p) => sum + p.memory, 0))),
+  };
+
+  const nodes = new Map();
+  for (const sample of samples) {
+    for (const node of sample.redis || []) {
+      if (!nodes.has(node.port)) nodes.set(node.port, { port: node.port, role: node.role, cpu: [], opsPerSec: [], memory: 0 });
+      const entry = nodes.get(node.port);
+      if (node.cpu != null) entry.cpu.push(node.cpu);
+      entry.opsPerSec.push(node.opsPerSec);
+      entry.memory = Math.max(entry.memory, node.memory);
+    }
+  }
+  const redis = [...nodes.values()].map((node) => ({ ...node, cpu: stat(node.cpu), opsPerSec: stat(node.opsPerSec) }));
+
+  return { samples: samples.length, system, app, redis, ...verdict(system, app, redis, localLoad) };
+}
+
+/**
+ * Name the saturated resource: Redis first (it caps every framework the same way), then the app, then the host
+ */
+function verdict(system, app, redis, localLoad) {
+  const hottest = [...redis].sort((a, b) => b.cpu.avg - a.cpu.avg)[0];
+  const redisCpu = hottest ? `Redis max ${hottest.cpu.avg}%` : "Redis not sampled";
+
+  if (hottest && hottest.cpu.avg >= SATURATED_CPU && app.cpu.avg < SATURATED_CPU) {
+    return {
+      bottleneck: "redis",
+      verdict: `Redis ${hottest.role} ${hottest.port} at ${hottest.cpu.avg}% CPU while app workers idle at ${app.cpu.avg}%`,
+    };
+  }
+
+  if (app.instances > 0 && app.cpu.avg >= SATURATED_CPU) {
+    return {
+      bottleneck: "app",
+      verdict: `App workers at ${app.cpu.avg}% CPU (${redisCpu}): the framework is CPU-bound`,
+    };
+  }
+
+  if (system.cpu.avg >= SATURATED_CPU) {
+    return {
+      bottleneck: "host",
+      verdict: `Host CPU at ${system.cpu.avg}% while app workers run at ${app.cpu.avg}%${localLoad ? ": the load generator competes with the app for CPU" : ""}`,
+    };
+  }
+
+  return {
+    bottleneck: null,
+    verdict: `Nothing saturated: host ${system.cpu.avg}%, app workers ${app.cpu.avg}%, ${redisCpu} CPU`,
+  };
+}
+
+function stat(values) {
+  return values.length ? { avg: round(mean(values)), max: round(Math.max(...values)) } : { avg: 0, max: 0 };
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(1));
+}
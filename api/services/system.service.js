@@ -1,5 +1,6 @@
 import { execCommand } from "../utils/exec.js";
 import { readFile } from "fs/promises";
+import os from "os";
 
 /**
  * System Service
@@ -13,6 +14,7 @@ export class SystemService {
     this.cache = {
       totalMemory: null,
       cpuCores: null,
+      cpuModel: null,
       nodeVersion: null,
       lastCpuStats: null,
       lastCpuTime: 0
@@ -267,6 +269,67 @@ export class SystemService {
     }
   }
 
+  /**
+   * Get the CPU model name (cached after first call)
+   * @returns {Promise<string>} Model (e.g., "AMD EPYC 7763 64-Core Processor")
+   */
+  async getCPUModel() {
+    if (this.cache.cpuModel !== null) {
+      return this.cache.cpuModel;
+    }
+
+    try {
+      const cpuInfo = await readFile('/proc/cpuinfo', 'utf8');
+      const match = cpuInfo.match(/^model name\s*:\s*(.+)$/m);
+      this.cache.cpuModel = match ? match[1].trim() : os.cpus()[0]?.model || "Unknown";
+    } catch (error) {
+      this.cache.cpuModel = os.cpus()[0]?.model || "Unknown";
+    }
+    return this.cache.cpuModel;
+  }
+
+  /**
+   * Get the version of a runtime binary (not cached: runtimes get upgraded under a running API)
+   * @param {string} command - Version command (e.g., "bun --version")
+   * @returns {Promise<string|null>} Version, or null if the runtime is not installed
+   */
+  async getRuntimeVersion(command) {
+    try {
+      const { stdout } = await this.exec(command, { timeout: 5000 });
+      return stdout.trim().split('\n')[0] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Describe the machine and runtimes for the benchmark environment snapshot
+   * @returns {Promise<Object>} { hostname, cpuModel, cpuCores, totalMemory, kernel, os, nodeVersion, bunVersion, dotnetVersion }
+   */
+  async getEnvironment() {
+    // Versions of the interpreters PM2 starts the frameworks with (from PATH, see frameworks.config.js)
+    const [cpuModel, cpuCores, totalMemory, nodeVersion, bunVersion, dotnetVersion] = await Promise.all([
+      this.getCPUModel(),
+      this.getCPUCores(),
+      this.getTotalMemory(),
+      this.getRuntimeVersion("node --version"),
+      this.getRuntimeVersion("bun --version"),
+      this.getRuntimeVersion("dotnet --version"),
+    ]);
+
+    return {
+      hostname: os.hostname(),
+      cpuModel,
+      cpuCores,
+      totalMemory: parseInt(totalMemory, 10) || 0,
+      kernel: os.release(),
+      os: `${os.platform()} ${os.arch()}`,
+      nodeVersion,
+      bunVersion,
+      dotnetVersion,
+    };
+  }
+
   /**
    * Get Node.js version (cached after first call)
    * @returns {Promise<string>} Node version (e.g., "v18.17.0")
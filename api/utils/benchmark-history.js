@@ -1,23 +1,35 @@
 #!/usr/bin/env node
 
 import Database from "better-sqlite3";
-import { existsSync, mkdirSync } from "fs";
-import { join, dirname } from "path";
-import { fileURLToPath } from "url";
+import { randomUUID, createHash } from "crypto";
 import { getFrameworkNames } from "../config/frameworks.config.js";
+import { RETENTION, REGRESSION } from "../config/constants.js";
+import { info } from "../services/logger.service.js";
+import { DB_FILE, migrate } from "./migrations.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const apiRoot = join(__dirname, "..");
+// Results returned by load()
+const LOADED_RESULTS = 20;
 
-const dataDir = join(apiRoot, "data");
-const DB_FILE = join(dataDir, "benchmark-history.db");
-const MAX_RESULTS = 20;
+// SLO search probes are stored with their group, not listed as standalone results
+const LISTED = `(groupId IS NULL OR groupId NOT IN (SELECT id FROM benchmark_groups WHERE type = 'slo'))`;
 
-// Ensure data directory exists
-if (!existsSync(dataDir)) {
-  mkdirSync(dataDir, { recursive: true });
-}
+// Suite results are listed, but kept (and archived) with their suite run rather than rotated one by one
+const ROTATED = `(groupId IS NULL OR groupId NOT IN (SELECT id FROM benchmark_groups WHERE type IN ('slo', 'suite')))`;
+
+// Same partition as comboKey(): keepLast applies to each combination latest-by-framework reports
+const COMBO_PARTITION = `framework, endpoint, method, COALESCE(warmup, 0),
+  CASE WHEN loadModel = 'open' THEN targetRate END, COALESCE(engine, 'autocannon')`;
+
+// A run whose failed requests (errors, timeouts, non-2xx) exceed this share of its requests is flagged invalid
+const MAX_ERROR_RATE = parseFloat(process.env.BENCHMARK_MAX_ERROR_RATE) || 0.01;
+
+// Environment snapshot fields (EnvironmentService.capture), one column each in the environments table
+const ENVIRONMENT_FIELDS = [
+  "hostname", "cpuModel", "cpuCores", "totalMemory", "kernel", "os",
+  "nodeVersion", "bunVersion", "dotnetVersion", "pm2Instances",
+  "redisNodes", "redisMasters", "redisReplicas", "redisVersion", "redisHostname", "redisHost", "redisLocal",
+  "gitCommit", "gitDirty", "handlersHash",
+];
 
 /**
  * Benchmark History Manager backed by SQLite (better-sqlite3)
@@ -32,55 +44,193 @@ export class BenchmarkHistory {
     this.db = new Database(DB_FILE);
     this.db.pragma("journal_mode = WAL");
 
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS benchmark_results (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        timestamp TEXT NOT NULL,
-        framework TEXT NOT NULL,
-        endpoint TEXT,
-        method TEXT,
-        reqPerSec INTEGER,
-        avgLatency REAL,
-        p50Latency REAL,
-        p90Latency REAL,
-        p99Latency REAL,
-        totalReqs INTEGER,
-        duration REAL,
-        connections INTEGER,
-        workers INTEGER,
-        pipelining INTEGER,
-        errors INTEGER DEFAULT 0,
-        timeouts INTEGER DEFAULT 0,
-        non2xx INTEGER DEFAULT 0
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_bench_timestamp
-      ON benchmark_results(timestamp DESC, id DESC);
-
-      CREATE INDEX IF NOT EXISTS idx_bench_framework
-      ON benchmark_results(framework);
-
-      CREATE INDEX IF NOT EXISTS idx_bench_combo
-      ON benchmark_results(framework, endpoint, method, timestamp DESC);
-    `);
+    const { from, to, applied, backup } = migrate(this.db);
+    if (applied.length > 0) {
+      info(`Benchmark history schema migrated from version ${from} to ${to}`, {
+        action: "benchmark.migrate",
+        applied,
+        backup,
+      });
+    }
 
     this.initialized = true;
   }
 
+  /**
+   * Apply the retention policy (RETENTION in api/config/constants.js), moving what no rule
+   * keeps to the archive tables. A result stays while it is pinned (or its group is), among
+   * the keepLast latest of its combination (see comboKey), or younger than keepDays. SLO
+   * searches and suite runs are kept or archived whole: the keepSloGroups/keepSuiteGroups
+   * latest, pinned and recent ones stay.
+   * @returns {{results: number, groups: number}} Archived counts
+   */
   static rotate() {
-    this.db.exec(`
-      DELETE FROM benchmark_results
-      WHERE id NOT IN (
-        SELECT id
-        FROM benchmark_results
-        ORDER BY timestamp DESC, id DESC
-        LIMIT ${MAX_RESULTS}
-      )
-    `);
+    const cutoff = RETENTION.keepDays > 0
+      ? new Date(Date.now() - RETENTION.keepDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+    const expired = cutoff ? "timestamp < @cutoff" : "1";
+
+    const groupIds = this.db
+      .prepare(`
+        SELECT id FROM (
+          SELECT id, type, timestamp, pinned,
+            ROW_NUMBER() OVER (PARTITION BY type ORDER BY timestamp DESC) AS rank
+          FROM benchmark_groups
+          WHERE type IN ('slo', 'suite')
+        )
+        WHERE NOT pinned AND ${expired}
+          AND rank > CASE type WHEN 'slo' THEN @keepSloGroups ELSE @keepSuiteGroups END
+      `)
+      .pluck()
+      .all({ cutoff, keepSloGroups: RETENTION.keepSloGroups, keepSuiteGroups: RETENTION.keepSuiteGroups });
+
+    const resultIds = this.db
+      .prepare(`
+        SELECT id FROM (
+          SELECT id, timestamp, pinned, groupId,
+            ROW_NUMBER() OVER (PARTITION BY ${COMBO_PARTITION} ORDER BY timestamp DESC, id DESC) AS rank
+          FROM benchmark_results
+          WHERE ${ROTATED}
+        )
+        WHERE NOT pinned AND ${expired} AND rank > @keepLast
+          AND (groupId IS NULL OR groupId NOT IN (SELECT id FROM benchmark_groups WHERE pinned))
+      `)
+      .pluck()
+      .all({ cutoff, keepLast: RETENTION.keepLast });
+
+    const archivedAt = new Date().toISOString();
+    let groups = 0;
+
+    this.db.transaction(() => {
+      for (const id of groupIds) {
+        this.archiveGroup(id, archivedAt);
+      }
+      for (const id of resultIds) {
+        this.archiveResult(id, archivedAt);
+      }
+
+      // Repeated-run groups whose last result was archived
+      const emptyGroupIds = this.db
+        .prepare(`
+          SELECT id FROM benchmark_groups
+          WHERE type NOT IN ('slo', 'suite') AND id NOT IN (
+            SELECT DISTINCT groupId FROM benchmark_results WHERE groupId IS NOT NULL
+          )
+        `)
+        .pluck()
+        .all();
+      for (const id of emptyGroupIds) {
+        this.archiveGroup(id, archivedAt);
+      }
+      groups = groupIds.length + emptyGroupIds.length;
+
+      this.db.exec(`
+        DELETE FROM benchmark_timeline
+        WHERE resultId NOT IN (SELECT id FROM benchmark_results);
+
+        DELETE FROM benchmark_histograms
+        WHERE resultId NOT IN (SELECT id FROM benchmark_results);
+
+        DELETE FROM benchmark_resources
+        WHERE resultId NOT IN (SELECT id FROM benchmark_results);
+      `);
+    })();
+
+    return { results: resultIds.length, groups };
+  }
+
+  /**
+   * Move a result to archived_results, with its timeline, histogram and resources
+   * (stored as their raw rows, so restoring does not depend on the current mapping)
+   * @param {number} id - Result id
+   * @param {string} archivedAt - ISO timestamp
+   */
+  static archiveResult(id, archivedAt) {
+    const row = this.db.prepare("SELECT * FROM benchmark_results WHERE id = ?").get(id);
+    if (!row) return;
+
+    const data = {
+      result: row,
+      timeline: this.db.prepare("SELECT * FROM benchmark_timeline WHERE resultId = ? ORDER BY second").all(id),
+      histogram: this.db.prepare("SELECT * FROM benchmark_histograms WHERE resultId = ?").get(id) ?? null,
+      resources: this.db.prepare("SELECT * FROM benchmark_resources WHERE resultId = ?").get(id) ?? null,
+    };
+
+    this.db
+      .prepare(`
+        INSERT OR REPLACE INTO archived_results (id, archivedAt, timestamp, framework, endpoint, method, groupId, data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+      .run(id, archivedAt, row.timestamp, row.framework, row.endpoint, row.method, row.groupId, JSON.stringify(data));
+    this.db.prepare("DELETE FROM benchmark_results WHERE id = ?").run(id);
+  }
+
+  /**
+   * Move a group and all its results to the archive tables
+   * @param {string} id - Group id
+   * @param {string} archivedAt - ISO timestamp
+   */
+  static archiveGroup(id, archivedAt) {
+    const row = this.db.prepare("SELECT * FROM benchmark_groups WHERE id = ?").get(id);
+    if (!row) return;
+
+    const resultIds = this.db.prepare("SELECT id FROM benchmark_results WHERE groupId = ?").pluck().all(id);
+    for (const resultId of resultIds) {
+      this.archiveResult(resultId, archivedAt);
+    }
+
+    this.db
+      .prepare("INSERT OR REPLACE INTO archived_groups (id, archivedAt, type, timestamp, data) VALUES (?, ?, ?, ?, ?)")
+      .run(id, archivedAt, row.type, row.timestamp, JSON.stringify(row));
+    this.db.prepare("DELETE FROM benchmark_groups WHERE id = ?").run(id);
+  }
+
+  /**
+   * Insert a raw row, skipping columns the table no longer has
+   * @param {string} table - Table name
+   * @param {Object} row - Column values
+   */
+  static insertRaw(table, row) {
+    const columns = new Set(this.db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name));
+    const names = Object.keys(row).filter((name) => columns.has(name));
+
+    this.db
+      .prepare(`INSERT OR REPLACE INTO ${table} (${names.join(", ")}) VALUES (${names.map((name) => `@${name}`).join(", ")})`)
+      .run(Object.fromEntries(names.map((name) => [name, row[name]])));
+  }
+
+  /**
+   * Move an archived result back, with its timeline, histogram and resources
+   * @param {Object} archived - archived_results row
+   */
+  static unarchiveResult(archived) {
+    const data = JSON.parse(archived.data);
+
+    this.insertRaw("benchmark_results", data.result);
+    data.timeline.forEach((row) => this.insertRaw("benchmark_timeline", row));
+    if (data.histogram) this.insertRaw("benchmark_histograms", data.histogram);
+    if (data.resources) this.insertRaw("benchmark_resources", data.resources);
+
+    this.db.prepare("DELETE FROM archived_results WHERE id = ?").run(archived.id);
+  }
+
+  /**
+   * Move an archived group back (without its results), pinned
+   * @param {string} id - Group id
+   * @returns {boolean} False if the group is not archived
+   */
+  static unarchiveGroup(id) {
+    const archived = this.db.prepare("SELECT * FROM archived_groups WHERE id = ?").get(id);
+    if (!archived) return false;
+
+    this.insertRaw("benchmark_groups", { ...JSON.parse(archived.data), pinned: 1 });
+    this.db.prepare("DELETE FROM archived_groups WHERE id = ?").run(id);
+    return true;
   }
 
   static mapRow(row) {
     return {
+      id: row.id,
       timestamp: row.timestamp,
       framework: row.framework,
       endpoint: row.endpoint,
@@ -90,6 +240,8 @@ export class BenchmarkHistory {
       p50Latency: row.p50Latency,
       p90Latency: row.p90Latency,
       p99Latency: row.p99Latency,
+      p999Latency: row.p999Latency,
+      p9999Latency: row.p9999Latency,
       totalReqs: row.totalReqs,
       duration: row.duration,
       connections: row.connections,
@@ -98,6 +250,49 @@ export class BenchmarkHistory {
       errors: row.errors,
       timeouts: row.timeouts,
       non2xx: row.non2xx,
+      groupId: row.groupId,
+      targetRate: row.targetRate,
+      warmup: row.warmup ?? 0,
+      warmupRate: row.warmupRate,
+      loadModel: row.loadModel ?? "closed",
+      correctedAvgLatency: row.correctedAvgLatency,
+      correctedP50Latency: row.correctedP50Latency,
+      correctedP90Latency: row.correctedP90Latency,
+      correctedP99Latency: row.correctedP99Latency,
+      correctedP999Latency: row.correctedP999Latency,
+      correctedP9999Latency: row.correctedP9999Latency,
+      suite: row.suite,
+      status: row.status ?? "complete",
+      agents: row.agents ? JSON.parse(row.agents) : null,
+      engine: row.engine ?? "autocannon",
+      environmentId: row.environmentId ?? null,
+      errorBreakdown: row.errorBreakdown ? JSON.parse(row.errorBreakdown) : null,
+      integrity: row.integrity ? JSON.parse(row.integrity) : null,
+      pinned: Boolean(row.pinned),
+      regression: row.regression ? JSON.parse(row.regression) : null,
+      tags: row.tags ? JSON.parse(row.tags) : [],
+      notes: row.notes ?? null,
+    };
+  }
+
+  static mapEnvironment(row) {
+    return {
+      ...row,
+      redisLocal: row.redisLocal === null ? null : Boolean(row.redisLocal),
+      gitDirty: row.gitDirty === null ? null : Boolean(row.gitDirty),
+    };
+  }
+
+  static mapGroup(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      timestamp: row.timestamp,
+      framework: row.framework,
+      endpoint: row.endpoint,
+      method: row.method,
+      summary: row.summary ? JSON.parse(row.summary) : null,
+      pinned: Boolean(row.pinned),
     };
   }
 
@@ -106,8 +301,8 @@ export class BenchmarkHistory {
    */
   static async load() {
     this.init();
-    const total = this.db.prepare("SELECT COUNT(*) AS total FROM benchmark_results").get().total;
-    const latest = await this.getLatest(MAX_RESULTS);
+    const total = this.db.prepare(`SELECT COUNT(*) AS total FROM benchmark_results WHERE ${LISTED}`).get().total;
+    const { results: latest } = await this.query({ limit: LOADED_RESULTS });
 
     return {
       version: "2.0-sqlite",
@@ -140,21 +335,110 @@ export class BenchmarkHistory {
       return false;
     }
 
+    this.insertResult(result);
+    this.rotate();
+    return true;
+  }
+
+  /**
+   * Store imported results, skipping runs already in the history (live or archived) or
+   * earlier in the batch: a run is identified by its timestamp, framework and endpoint.
+   * Imported runs are not compared with the baselines (their regression is null). They are
+   * inserted oldest first, so that ids follow time as they do for live runs (exports list the newest first)
+   * @param {Array<Object>} results - Validated results (see api/utils/import.js)
+   * @param {Object} [options]
+   * @param {boolean} [options.pinned=false] - Pin the imported results so retention keeps them
+   * @returns {Promise<{imported: Array<{index: number, id: number}>, duplicates: Array<number>}>}
+   *   Indexes into results
+   */
+  static async importResults(results, { pinned = false } = {}) {
+    this.init();
+
+    const exists = this.db.prepare(`
+      SELECT 1 FROM benchmark_results WHERE timestamp = @timestamp AND framework = @framework AND endpoint = @endpoint
+      UNION ALL
+      SELECT 1 FROM archived_results WHERE timestamp = @timestamp AND framework = @framework AND endpoint = @endpoint
+    `);
+    const pin = this.db.prepare("UPDATE benchmark_results SET pinned = 1 WHERE id = ?");
+    const imported = [];
+    const duplicates = [];
+
+    // Stable sort: runs with the same timestamp keep their order in the batch
+    const oldestFirst = results
+      .map((result, index) => ({ result, index }))
+      .sort((a, b) => Date.parse(a.result.timestamp) - Date.parse(b.result.timestamp));
+
+    this.db.transaction(() => {
+      oldestFirst.forEach(({ result, index }) => {
+        const run = { timestamp: result.timestamp, framework: result.framework, endpoint: result.endpoint || "/" };
+        if (exists.get(run)) {
+          duplicates.push(index);
+          return;
+        }
+
+        const id = Number(this.insertResult(result, null, { compare: false }));
+        if (pinned) pin.run(id);
+        imported.push({ index, id });
+      });
+    })();
+
+    if (imported.length > 0) this.rotate();
+    imported.sort((a, b) => a.index - b.index);
+    duplicates.sort((a, b) => a - b);
+    return { imported, duplicates };
+  }
+
+  /**
+   * Store a result with its timeline, histogram, resources and environment
+   * @param {Object} result - Benchmark result
+   * @param {string|null} [groupId=null]
+   * @param {Object} [options]
+   * @param {boolean} [options.compare=true] - Compare with the current baseline (imported runs are not:
+   *   the baseline may postdate them, so a verdict would be meaningless)
+   * @returns {number} Result id
+   */
+  static insertResult(result, groupId = null, { compare = true } = {}) {
+    const environmentId = result.environment ? this.insertEnvironment(result.environment) : null;
+    const regression = compare ? this.compareToBaseline(result) : null;
+    const { lastInsertRowid } = this.insertResultRow({ ...result, regression }, groupId, environmentId);
+
+    if (Array.isArray(result.timeline) && result.timeline.length > 0) {
+      this.insertTimeline(lastInsertRowid, result.timeline);
+    }
+
+    if (result.histogram?.latency) {
+      this.insertHistogram(lastInsertRowid, result.histogram);
+    }
+
+    if (result.resources?.samples?.length) {
+      this.insertResources(lastInsertRowid, result.resources);
+    }
+
+    return lastInsertRowid;
+  }
+
+  static insertResultRow(result, groupId, environmentId = null) {
     const insert = this.db.prepare(`
       INSERT INTO benchmark_results (
         timestamp, framework, endpoint, method,
         reqPerSec, avgLatency, p50Latency, p90Latency, p99Latency,
         totalReqs, duration, connections, workers, pipelining,
-        errors, timeouts, non2xx
+        errors, timeouts, non2xx, groupId, targetRate, warmup, warmupRate,
+        loadModel, correctedAvgLatency, correctedP50Latency, correctedP90Latency, correctedP99Latency, suite, status, agents, engine,
+        p999Latency, p9999Latency, correctedP999Latency, correctedP9999Latency, environmentId, errorBreakdown, integrity, regression,
+        tags, notes
       ) VALUES (
         @timestamp, @framework, @endpoint, @method,
         @reqPerSec, @avgLatency, @p50Latency, @p90Latency, @p99Latency,
         @totalReqs, @duration, @connections, @workers, @pipelining,
-        @errors, @timeouts, @non2xx
+        @errors, @timeouts, @non2xx, @groupId, @targetRate, @warmup, @warmupRate,
+        @loadModel, @correctedAvgLatency, @correctedP50Latency, @correctedP90Latency, @correctedP99Latency, @suite, @status, @agents, @engine,
+        @p999Latency, @p9999Latency, @correctedP999Latency, @correctedP9999Latency, @environmentId, @errorBreakdown, @integrity, @regression,
+        @tags, @notes
       )
     `);
 
-    insert.run({
+    return insert.run({
       timestamp: result.timestamp || new Date().toISOString(),
       framework: result.framework,
       endpoint: result.endpoint || "/",
@@ -172,45 +456,428 @@ export class BenchmarkHistory {
       errors: result.errors ?? 0,
       timeouts: result.timeouts ?? 0,
       non2xx: result.non2xx ?? 0,
+      groupId,
+      targetRate: result.targetRate ?? null,
+      warmup: result.warmup ?? 0,
+      warmupRate: result.warmupRate ?? null,
+      loadModel: result.loadModel === "open" ? "open" : "closed",
+      correctedAvgLatency: result.correctedAvgLatency ?? null,
+      correctedP50Latency: result.correctedP50Latency ?? null,
+      correctedP90Latency: result.correctedP90Latency ?? null,
+      correctedP99Latency: result.correctedP99Latency ?? null,
+      suite: result.suite ?? null,
+      status: result.status === "cancelled" ? "cancelled" : "complete",
+      agents: result.agents?.length ? JSON.stringify(result.agents) : null,
+      engine: result.engine || "autocannon",
+      p999Latency: result.p999Latency ?? null,
+      p9999Latency: result.p9999Latency ?? null,
+      correctedP999Latency: result.correctedP999Latency ?? null,
+      correctedP9999Latency: result.correctedP9999Latency ?? null,
+      environmentId,
+      errorBreakdown: result.errorBreakdown ? JSON.stringify(result.errorBreakdown) : null,
+      integrity: result.integrity ? JSON.stringify(result.integrity) : null,
+      regression: result.regression ? JSON.stringify(result.regression) : null,
+      tags: result.tags?.length ? JSON.stringify(result.tags) : null,
+      notes: result.notes || null,
     });
+  }
+
+  /**
+   * Store an environment snapshot, once per distinct snapshot
+   * @param {Object} environment - Snapshot (see EnvironmentService.capture)
+   * @returns {number} Environment row id (existing row if the same snapshot was stored before)
+   */
+  static insertEnvironment(environment) {
+    const values = Object.fromEntries(
+      ENVIRONMENT_FIELDS.map((field) => {
+        const value = environment[field] ?? null;
+        return [field, typeof value === "boolean" ? Number(value) : value];
+      })
+    );
+    const fingerprint = createHash("sha256").update(JSON.stringify(values)).digest("hex");
+
+    this.db
+      .prepare(`
+        INSERT OR IGNORE INTO environments (fingerprint, createdAt, ${ENVIRONMENT_FIELDS.join(", ")})
+        VALUES (@fingerprint, @createdAt, ${ENVIRONMENT_FIELDS.map((field) => `@${field}`).join(", ")})
+      `)
+      .run({ ...values, fingerprint, createdAt: new Date().toISOString() });
+
+    return this.db.prepare("SELECT id FROM environments WHERE fingerprint = ?").get(fingerprint).id;
+  }
+
+  /**
+   * Get an environment snapshot
+   * @param {number} id - Environment row id
+   * @returns {Promise<Object|null>} Snapshot, or null if it does not exist
+   */
+  static async getEnvironment(id) {
+    this.init();
+
+    const row = this.db.prepare("SELECT * FROM environments WHERE id = ?").get(id);
+    return row ? this.mapEnvironment(row) : null;
+  }
+
+  /**
+   * Environment snapshots, newest first, with how many stored results ran in each
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getEnvironments() {
+    this.init();
+
+    return this.db
+      .prepare(`
+        SELECT e.*, (SELECT COUNT(*) FROM benchmark_results r WHERE r.environmentId = e.id) AS results
+        FROM environments e
+        ORDER BY e.createdAt DESC, e.id DESC
+      `)
+      .all()
+      .map((row) => this.mapEnvironment(row));
+  }
+
+  static insertTimeline(resultId, timeline) {
+    const insert = this.db.prepare(`
+      INSERT OR REPLACE INTO benchmark_timeline (resultId, second, requests, p50Latency, p99Latency, errors, non2xx)
+      VALUES (@resultId, @second, @requests, @p50Latency, @p99Latency, @errors, @non2xx)
+    `);
+
+    this.db.transaction(() => {
+      for (const sample of timeline) {
+        insert.run({
+          resultId,
+          second: sample.second,
+          requests: sample.requests ?? 0,
+          p50Latency: sample.p50Latency ?? 0,
+          p99Latency: sample.p99Latency ?? 0,
+          errors: sample.errors ?? 0,
+          non2xx: sample.non2xx ?? 0,
+        });
+      }
+    })();
+  }
+
+  /**
+   * Per-second samples of a result
+   * @param {number} resultId - Result row id
+   * @returns {Promise<Array<Object>|null>} Samples ordered by second, or null if the result does not exist
+   */
+  static async getTimeline(resultId) {
+    this.init();
+
+    const exists = this.db.prepare("SELECT 1 FROM benchmark_results WHERE id = ?").get(resultId);
+    if (!exists) {
+      return null;
+    }
+
+    return this.db
+      .prepare(`
+        SELECT second, requests, p50Latency, p99Latency, errors, non2xx
+        FROM benchmark_timeline
+        WHERE resultId = ?
+        ORDER BY second ASC
+      `)
+      .all(resultId);
+  }
+
+  static insertHistogram(resultId, histogram) {
+    this.db
+      .prepare("INSERT OR REPLACE INTO benchmark_histograms (resultId, latency, corrected) VALUES (?, ?, ?)")
+      .run(resultId, JSON.stringify(histogram.latency), histogram.corrected ? JSON.stringify(histogram.corrected) : null);
+  }
+
+  static mapHistogram(row) {
+    return {
+      latency: row?.latency ? JSON.parse(row.latency) : null,
+      corrected: row?.corrected ? JSON.parse(row.corrected) : null,
+    };
+  }
+
+  /**
+   * Whole-run latency histograms of a result
+   * @param {number} resultId - Result row id
+   * @returns {Promise<Object|null>} { latency, corrected } (null when not recorded), or null if the result does not exist
+   */
+  static async getHistogram(resultId) {
+    this.init();
+
+    const exists = this.db.prepare("SELECT 1 FROM benchmark_results WHERE id = ?").get(resultId);
+    if (!exists) {
+      return null;
+    }
+
+    const row = this.db.prepare("SELECT latency, corrected FROM benchmark_histograms WHERE resultId = ?").get(resultId);
+    return this.mapHistogram(row);
+  }
+
+  static insertResources(resultId, resources) {
+    this.db
+      .prepare("INSERT OR REPLACE INTO benchmark_resources (resultId, interval, samples, summary) VALUES (?, ?, ?, ?)")
+      .run(resultId, resources.interval, JSON.stringify(resources.samples), resources.summary ? JSON.stringify(resources.summary) : null);
+  }
+
+  /**
+   * App/Redis/host resources sampled during a result's run
+   * @param {number} resultId - Result row id
+   * @returns {Promise<Object|null>} { interval, samples, summary } (samples [] when none were recorded),
+   *   or null if the result does not exist
+   */
+  static async getResources(resultId) {
+    this.init();
+
+    const exists = this.db.prepare("SELECT 1 FROM benchmark_results WHERE id = ?").get(resultId);
+    if (!exists) {
+      return null;
+    }
+
+    const row = this.db.prepare("SELECT interval, samples, summary FROM benchmark_resources WHERE resultId = ?").get(resultId);
+    return {
+      interval: row?.interval ?? null,
+      samples: row ? JSON.parse(row.samples) : [],
+      summary: row?.summary ? JSON.parse(row.summary) : null,
+    };
+  }
+
+  /**
+   * Histograms of the complete results of a group, for merging
+   * @param {string} groupId - Group id
+   * @returns {Promise<Array<Object>|null>} [{ resultId, latency, corrected }], or null if the group does not exist
+   */
+  static async getGroupHistograms(groupId) {
+    this.init();
+
+    const exists = this.db.prepare("SELECT 1 FROM benchmark_groups WHERE id = ?").get(groupId);
+    if (!exists) {
+      return null;
+    }
+
+    return this.db
+      .prepare(`
+        SELECT h.resultId, h.latency, h.corrected
+        FROM benchmark_histograms h
+        JOIN benchmark_results r ON r.id = h.resultId
+        WHERE r.groupId = ? AND (r.status IS NULL OR r.status != 'cancelled')
+        ORDER BY r.timestamp ASC, r.id ASC
+      `)
+      .all(groupId)
+      .map((row) => ({ resultId: row.resultId, ...this.mapHistogram(row) }));
+  }
+
+  /**
+   * Store a group of linked results (e.g. the probes of an SLO search)
+   * @param {Object} group - { id?, type, timestamp?, framework, endpoint, method, summary }
+   * @param {Array<Object>} results - Results belonging to the group
+   * @returns {Promise<string>} Group id
+   */
+  static async addGroup(group, results = []) {
+    this.init();
+
+    const id = group.id || randomUUID();
+
+    const insertGroup = this.db.prepare(`
+      INSERT INTO benchmark_groups (id, type, timestamp, framework, endpoint, method, summary)
+      VALUES (@id, @type, @timestamp, @framework, @endpoint, @method, @summary)
+    `);
+
+    this.db.transaction(() => {
+      insertGroup.run({
+        id,
+        type: group.type,
+        timestamp: group.timestamp || new Date().toISOString(),
+        framework: group.framework,
+        endpoint: group.endpoint || "/",
+        method: group.method || "GET",
+        summary: group.summary ? JSON.stringify(group.summary) : null,
+      });
+
+      for (const result of results) {
+        this.insertResult(result, id);
+      }
+    })();
 
     this.rotate();
-    return true;
+    return id;
   }
 
-  static async reload() {
+  /**
+   * Add a result to an existing group (e.g. a suite run, stored as it progresses)
+   * @param {string} groupId - Group id
+   * @param {Object} result - Benchmark result
+   * @returns {Promise<number>} Result id
+   */
+  static async addToGroup(groupId, result) {
     this.init();
-    return this.load();
+    return this.insertResult(result, groupId);
   }
 
-  static async getLatest(count = 3) {
+  /**
+   * Replace the summary of a group
+   * @param {string} id - Group id
+   * @param {Object} summary - New summary
+   * @returns {Promise<boolean>} False if the group does not exist
+   */
+  static async updateGroupSummary(id, summary) {
     this.init();
 
-    const rows = this.db
+    const { changes } = this.db
+      .prepare("UPDATE benchmark_groups SET summary = ? WHERE id = ?")
+      .run(JSON.stringify(summary), id);
+
+    return changes > 0;
+  }
+
+  static async getGroups(type = null, count = 20) {
+    this.init();
+
+    const rows = type
+      ? this.db
+          .prepare("SELECT * FROM benchmark_groups WHERE type = ? ORDER BY timestamp DESC LIMIT ?")
+          .all(type, count)
+      : this.db
+          .prepare("SELECT * FROM benchmark_groups ORDER BY timestamp DESC LIMIT ?")
+          .all(count);
+
+    return rows.map((row) => this.mapGroup(row));
+  }
+
+  static async getGroup(id) {
+    this.init();
+
+    const row = this.db.prepare("SELECT * FROM benchmark_groups WHERE id = ?").get(id);
+    if (!row) {
+      return null;
+    }
+
+    const results = this.db
       .prepare(`
         SELECT *
         FROM benchmark_results
-        ORDER BY timestamp DESC, id DESC
-        LIMIT ?
+        WHERE groupId = ?
+        ORDER BY timestamp ASC, id ASC
       `)
-      .all(count);
+      .all(id);
 
-    return rows.map((row) => this.mapRow(row));
+    return {
+      ...this.mapGroup(row),
+      results: results.map((r) => this.mapRow(r)),
+    };
   }
 
-  static async getByFramework(framework) {
+  static async reload() {
     this.init();
+    return this.load();
+  }
 
+  /**
+   * Listed results matching a filter, most recent run first
+   * @param {Object} [filter]
+   * @param {string} [filter.framework]
+   * @param {string} [filter.endpoint]
+   * @param {string} [filter.method]
+   * @param {string} [filter.from] - ISO timestamp, inclusive
+   * @param {string} [filter.to] - ISO timestamp, inclusive
+   * @param {string} [filter.tag] - Results carrying this tag
+   * @param {number} [filter.minReqPerSec]
+   * @param {number} [filter.maxReqPerSec]
+   * @param {number} [filter.environmentId] - Results captured in this environment snapshot
+   * @param {string} [filter.hostname] - Results captured on this host (any snapshot)
+   * @param {string} [filter.status] - "complete" or "cancelled"
+   * @param {number} [filter.limit=50]
+   * @param {number} [filter.offset=0]
+   * @returns {Promise<{results: Array<Object>, total: number}>}
+   */
+  static async query(filter = {}) {
+    this.init();
+
+    const { limit = 50, offset = 0 } = filter;
+    const conditions = [LISTED];
+    const params = {};
+    const where = (condition, name, value) => {
+      if (value == null || value === "") return;
+      conditions.push(condition);
+      params[name] = value;
+    };
+
+    where("framework = @framework", "framework", filter.framework);
+    where("endpoint = @endpoint", "endpoint", filter.endpoint);
+    where("method = @method", "method", filter.method);
+    where("timestamp >= @from", "from", filter.from);
+    where("timestamp <= @to", "to", filter.to);
+    where("EXISTS (SELECT 1 FROM json_each(benchmark_results.tags) WHERE value = @tag)", "tag", filter.tag);
+    where("reqPerSec >= @minReqPerSec", "minReqPerSec", filter.minReqPerSec);
+    where("reqPerSec <= @maxReqPerSec", "maxReqPerSec", filter.maxReqPerSec);
+    where("environmentId = @environmentId", "environmentId", filter.environmentId);
+    where("environmentId IN (SELECT id FROM environments WHERE hostname = @hostname)", "hostname", filter.hostname);
+    where("COALESCE(status, 'complete') = @status", "status", filter.status);
+
+    const clause = conditions.join(" AND ");
     const rows = this.db
       .prepare(`
         SELECT *
         FROM benchmark_results
-        WHERE framework = ?
+        WHERE ${clause}
         ORDER BY timestamp DESC, id DESC
+        LIMIT @limit OFFSET @offset
       `)
-      .all(framework);
+      .all({ ...params, limit, offset });
+    const total = this.db.prepare(`SELECT COUNT(*) FROM benchmark_results WHERE ${clause}`).pluck().get(params);
 
-    return rows.map((row) => this.mapRow(row));
+    return { results: rows.map((row) => this.mapRow(row)), total };
+  }
+
+  /**
+   * A listed or grouped result by id
+   * @param {number} id - Result id
+   * @returns {Promise<Object|null>}
+   */
+  static async getResult(id) {
+    this.init();
+
+    const row = this.db.prepare("SELECT * FROM benchmark_results WHERE id = ?").get(id);
+    return row ? this.mapRow(row) : null;
+  }
+
+  /**
+   * Replace the tags and/or notes of a result (fields left undefined are kept)
+   * @param {number} id - Result id
+   * @param {Object} changes - { tags?: Array<string>, notes?: string|null }
+   * @returns {Promise<Object|null>} Updated result, null if it does not exist
+   */
+  static async updateResult(id, { tags, notes }) {
+    this.init();
+
+    const sets = [];
+    const params = { id };
+    if (tags !== undefined) {
+      sets.push("tags = @tags");
+      params.tags = tags.length ? JSON.stringify(tags) : null;
+    }
+    if (notes !== undefined) {
+      sets.push("notes = @notes");
+      params.notes = notes || null;
+    }
+
+    if (sets.length > 0) {
+      this.db.prepare(`UPDATE benchmark_results SET ${sets.join(", ")} WHERE id = @id`).run(params);
+    }
+    return this.getResult(id);
+  }
+
+  /**
+   * Tags in use on listed results, most used first
+   * @returns {Promise<Array<{tag: string, results: number}>>}
+   */
+  static async getTags() {
+    this.init();
+
+    return this.db
+      .prepare(`
+        SELECT t.value AS tag, COUNT(*) AS results
+        FROM benchmark_results, json_each(benchmark_results.tags) t
+        WHERE ${LISTED}
+        GROUP BY t.value
+        ORDER BY results DESC, tag ASC
+      `)
+      .all();
   }
 
   static async getAll() {
@@ -220,6 +887,7 @@ export class BenchmarkHistory {
       .prepare(`
         SELECT *
         FROM benchmark_results
+        WHERE ${LISTED}
         ORDER BY timestamp DESC, id DESC
       `)
       .all();
@@ -227,6 +895,36 @@ export class BenchmarkHistory {
     return rows.map((row) => this.mapRow(row));
   }
 
+  /**
+   * Key for "latest per combination" lookups. Warmed-up runs get their own key
+   * (":warmup=<seconds>") so they never replace or get compared with cold runs,
+   * and so do open-model runs (":open=<rate>"), whose req/s is set by the target rate,
+   * and runs with another load generator than autocannon (":engine=<name>").
+   */
+  static comboKey(result) {
+    let key = `${result.framework}:${result.endpoint}:${result.method}`;
+    if (result.warmup > 0) key += `:warmup=${result.warmup}`;
+    if (result.loadModel === "open") key += `:open=${result.targetRate}`;
+    if (result.engine && result.engine !== "autocannon") key += `:engine=${result.engine}`;
+    return key;
+  }
+
+  /**
+   * Share of a result's requests that failed (errors, timeouts, non-2xx), at most 1
+   * @param {Object} result - Result row
+   * @returns {number}
+   */
+  static errorRate(result) {
+    const failed = (result.errors || 0) + (result.timeouts || 0) + (result.non2xx || 0);
+    if (failed === 0) return 0;
+    return result.totalReqs > 0 ? Math.min(1, failed / result.totalReqs) : 1;
+  }
+
+  /**
+   * Latest complete result per comboKey(). Results whose error rate exceeds
+   * MAX_ERROR_RATE, or that lost or duplicated writes (integrity), are still
+   * returned, flagged invalid (with errorRate and invalidReason)
+   */
   static async getLatestByFramework() {
     this.init();
 
@@ -234,36 +932,403 @@ export class BenchmarkHistory {
     const latest = {};
 
     for (const result of rows) {
-      const key = `${result.framework}:${result.endpoint}:${result.method}`;
+      // A cancelled run's partial numbers must not stand in for the framework
+      if (result.status === "cancelled") continue;
+
+      const key = this.comboKey(result);
       if (!latest[key]) {
-        latest[key] = result;
+        const errorRate = this.errorRate(result);
+        const failedWrites = ["lost", "duplicated"].includes(result.integrity?.status);
+        const invalidReason = errorRate > MAX_ERROR_RATE
+          ? `${parseFloat((errorRate * 100).toFixed(2))}% of requests failed (max ${MAX_ERROR_RATE * 100}%)`
+          : failedWrites ? result.integrity.message : null;
+        latest[key] = invalidReason ? { ...result, invalid: true, errorRate, invalidReason } : result;
       }
     }
 
     return latest;
   }
 
+  /**
+   * p99 a result is compared on: the corrected p99 for open-model runs, the measured one otherwise
+   * @param {Object} result - Result row
+   * @returns {number|null}
+   */
+  static comparedP99(result) {
+    return result.loadModel === "open" && result.correctedP99Latency != null
+      ? result.correctedP99Latency
+      : result.p99Latency ?? null;
+  }
+
+  static mapBaseline(row) {
+    return {
+      id: row.id,
+      comboKey: row.comboKey,
+      framework: row.framework,
+      endpoint: row.endpoint,
+      method: row.method,
+      resultId: row.resultId,
+      groupId: row.groupId,
+      runs: row.runs,
+      reqPerSec: row.reqPerSec,
+      p99Latency: row.p99Latency,
+      createdAt: row.createdAt,
+    };
+  }
+
+  /**
+   * Make a result, or every combination of a group's results (the mean of their complete
+   * runs), the baseline of its comboKey(), replacing the previous one. The result or group
+   * is pinned so the retention policy keeps it.
+   * @param {Object} source - { resultId } or { groupId }
+   * @returns {Promise<Array<Object>|null>} Baselines set (none if every run was cancelled), or null if the
+   *   result/group does not exist
+   */
+  static async setBaseline({ resultId, groupId }) {
+    this.init();
+
+    const rows = resultId != null
+      ? this.db.prepare("SELECT * FROM benchmark_results WHERE id = ?").all(resultId)
+      : this.db.prepare("SELECT * FROM benchmark_results WHERE groupId = ?").all(groupId);
+    if (rows.length === 0) return null;
+
+    const combos = new Map();
+    for (const row of rows.map((r) => this.mapRow(r)).filter((r) => r.status !== "cancelled")) {
+      const key = this.comboKey(row);
+      if (!combos.has(key)) combos.set(key, []);
+      combos.get(key).push(row);
+    }
+    if (combos.size === 0) return [];
+
+    const upsert = this.db.prepare(`
+      INSERT INTO benchmark_baselines (comboKey, framework, endpoint, method, resultId, groupId, runs, reqPerSec, p99Latency, createdAt)
+      VALUES (@comboKey, @framework, @endpoint, @method, @resultId, @groupId, @runs, @reqPerSec, @p99Latency, @createdAt)
+      ON CONFLICT(comboKey) DO UPDATE SET
+        resultId = excluded.resultId, groupId = excluded.groupId, runs = excluded.runs,
+        reqPerSec = excluded.reqPerSec, p99Latency = excluded.p99Latency, createdAt = excluded.createdAt
+    `);
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const createdAt = new Date().toISOString();
+
+    this.db.transaction(() => {
+      for (const [comboKey, results] of combos) {
+        upsert.run({
+          comboKey,
+          framework: results[0].framework,
+          endpoint: results[0].endpoint,
+          method: results[0].method,
+          resultId: resultId ?? null,
+          groupId: groupId ?? null,
+          runs: results.length,
+          reqPerSec: mean(results.map((r) => r.reqPerSec || 0)),
+          p99Latency: mean(results.map((r) => this.comparedP99(r) || 0)),
+          createdAt,
+        });
+      }
+
+      if (resultId != null) {
+        this.db.prepare("UPDATE benchmark_results SET pinned = 1 WHERE id = ?").run(resultId);
+      } else {
+        this.db.prepare("UPDATE benchmark_groups SET pinned = 1 WHERE id = ?").run(groupId);
+      }
+    })();
+
+    return [...combos.keys()].map((key) =>
+      this.mapBaseline(this.db.prepare("SELECT * FROM benchmark_baselines WHERE comboKey = ?").get(key))
+    );
+  }
+
+  static async getBaselines() {
+    this.init();
+    return this.db.prepare("SELECT * FROM benchmark_baselines ORDER BY comboKey").all().map((row) => this.mapBaseline(row));
+  }
+
+  /**
+   * Remove a baseline (its result or group stays pinned)
+   * @param {number} id - Baseline id
+   * @returns {Promise<boolean>} False if the baseline does not exist
+   */
+  static async deleteBaseline(id) {
+    this.init();
+    return this.db.prepare("DELETE FROM benchmark_baselines WHERE id = ?").run(id).changes > 0;
+  }
+
+  /**
+   * Compare a result with the baseline of its comboKey() using the REGRESSION thresholds:
+   * "regressed" if req/s dropped or p99 rose beyond them, "improved" if either moved
+   * beyond them the other way (and nothing regressed), "unchanged" otherwise
+   * @param {Object} result - Benchmark result
+   * @returns {Object|null} { verdict, baselineId, reqPerSec, p99Latency, reasons }, null without a
+   *   baseline (or for a cancelled run); reqPerSec/p99Latency are { baseline, value, change }
+   */
+  static compareToBaseline(result) {
+    if (result.status === "cancelled") return null;
+
+    const baseline = this.db.prepare("SELECT * FROM benchmark_baselines WHERE comboKey = ?").get(this.comboKey(result));
+    if (!baseline) return null;
+
+    const metric = (baselineValue, value) => ({
+      baseline: parseFloat(baselineValue.toFixed(2)),
+      value,
+      change: baselineValue > 0 && value != null ? parseFloat(((value - baselineValue) / baselineValue).toFixed(4)) : null,
+    });
+    const reqPerSec = metric(baseline.reqPerSec, result.reqPerSec ?? 0);
+    const p99Latency = metric(baseline.p99Latency, this.comparedP99(result));
+    const pct = (change) => `${change > 0 ? "+" : ""}${parseFloat((change * 100).toFixed(1))}%`;
+
+    const regressed = [];
+    const improved = [];
+    if (reqPerSec.change != null) {
+      if (reqPerSec.change < -REGRESSION.reqPerSec) regressed.push(`req/s ${pct(reqPerSec.change)}`);
+      if (reqPerSec.change > REGRESSION.reqPerSec) improved.push(`req/s ${pct(reqPerSec.change)}`);
+    }
+    if (p99Latency.change != null) {
+      if (p99Latency.change > REGRESSION.p99Latency) regressed.push(`p99 ${pct(p99Latency.change)}`);
+      if (p99Latency.change < -REGRESSION.p99Latency) improved.push(`p99 ${pct(p99Latency.change)}`);
+    }
+
+    return {
+      verdict: regressed.length ? "regressed" : improved.length ? "improved" : "unchanged",
+      baselineId: baseline.id,
+      reqPerSec,
+      p99Latency,
+      reasons: regressed.length ? regressed : improved,
+    };
+  }
+
+  /**
+   * Latest result per comboKey() compared with a baseline, filtered by verdict
+   * @param {string} [verdict="regressed"] - "regressed", "improved", "unchanged" or "all"
+   * @returns {Promise<Array<Object>>} Results, newest first
+   */
+  static async getRegressions(verdict = "regressed") {
+    const latest = Object.values(await this.getLatestByFramework());
+
+    return latest
+      .filter((result) => result.regression && (verdict === "all" || result.regression.verdict === verdict))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+
+  /**
+   * Pin or unpin a result (pinned results are never archived)
+   * @param {number} id - Result id
+   * @param {boolean} pinned
+   * @returns {Promise<boolean>} False if the result does not exist
+   */
+  static async setPinned(id, pinned) {
+    this.init();
+
+    const { changes } = this.db.prepare("UPDATE benchmark_results SET pinned = ? WHERE id = ?").run(pinned ? 1 : 0, id);
+    if (!pinned) this.rotate();
+    return changes > 0;
+  }
+
+  /**
+   * Pin or unpin a group (the group and its results are never archived)
+   * @param {string} id - Group id
+   * @param {boolean} pinned
+   * @returns {Promise<boolean>} False if the group does not exist
+   */
+  static async setGroupPinned(id, pinned) {
+    this.init();
+
+    const { changes } = this.db.prepare("UPDATE benchmark_groups SET pinned = ? WHERE id = ?").run(pinned ? 1 : 0, id);
+    if (!pinned) this.rotate();
+    return changes > 0;
+  }
+
+  /**
+   * Retention policy with live, pinned and archived counts
+   * @returns {Promise<Object>} { policy, results, pinned, groups, archived: { results, groups } }
+   */
+  static async getRetention() {
+    this.init();
+
+    const count = (sql) => this.db.prepare(sql).pluck().get();
+
+    return {
+      policy: RETENTION,
+      results: count("SELECT COUNT(*) FROM benchmark_results"),
+      pinned: count("SELECT COUNT(*) FROM benchmark_results WHERE pinned"),
+      groups: count("SELECT COUNT(*) FROM benchmark_groups"),
+      archived: {
+        results: count("SELECT COUNT(*) FROM archived_results"),
+        groups: count("SELECT COUNT(*) FROM archived_groups"),
+      },
+    };
+  }
+
+  static mapArchived(row) {
+    return { ...this.mapRow(JSON.parse(row.data).result), archivedAt: row.archivedAt };
+  }
+
+  /**
+   * Archived results, most recent run first
+   * @param {Object} [filter] - { framework, endpoint, method, limit = 50, offset = 0 }
+   * @returns {Promise<{results: Array<Object>, total: number}>}
+   */
+  static async getArchivedResults({ framework, endpoint, method, limit = 50, offset = 0 } = {}) {
+    this.init();
+
+    const conditions = [];
+    const params = {};
+    for (const [column, value] of Object.entries({ framework, endpoint, method })) {
+      if (value) {
+        conditions.push(`${column} = @${column}`);
+        params[column] = value;
+      }
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const rows = this.db
+      .prepare(`SELECT * FROM archived_results ${where} ORDER BY timestamp DESC, id DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset });
+    const total = this.db.prepare(`SELECT COUNT(*) FROM archived_results ${where}`).pluck().get(params);
+
+    return { results: rows.map((row) => this.mapArchived(row)), total };
+  }
+
+  /**
+   * An archived result, with the timeline it was archived with
+   * @param {number} id - Result id
+   * @returns {Promise<Object|null>}
+   */
+  static async getArchivedResult(id) {
+    this.init();
+
+    const row = this.db.prepare("SELECT * FROM archived_results WHERE id = ?").get(id);
+    if (!row) return null;
+
+    const data = JSON.parse(row.data);
+    return {
+      ...this.mapArchived(row),
+      timeline: data.timeline.map(({ resultId, ...sample }) => sample),
+      hasHistogram: Boolean(data.histogram),
+      hasResources: Boolean(data.resources),
+    };
+  }
+
+  /**
+   * Archived groups, most recent first, with their archived result counts
+   * @param {string|null} type - Group type filter (e.g. "suite")
+   * @param {number} count - Number of groups to retrieve
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getArchivedGroups(type = null, count = 20) {
+    this.init();
+
+    const rows = this.db
+      .prepare(`
+        SELECT g.*, (SELECT COUNT(*) FROM archived_results r WHERE r.groupId = g.id) AS results
+        FROM archived_groups g
+        ${type ? "WHERE g.type = @type" : ""}
+        ORDER BY g.timestamp DESC
+        LIMIT @count
+      `)
+      .all({ ...(type ? { type } : {}), count });
+
+    return rows.map((row) => ({
+      ...this.mapGroup(JSON.parse(row.data)),
+      archivedAt: row.archivedAt,
+      results: row.results,
+    }));
+  }
+
+  /**
+   * Move an archived result back into the history, pinned so the next rotation keeps it
+   * (its group is restored too if it was archived)
+   * @param {number} id - Result id
+   * @returns {Promise<Object|null>} Restored result, or null if it is not archived
+   */
+  static async restoreResult(id) {
+    this.init();
+
+    const archived = this.db.prepare("SELECT * FROM archived_results WHERE id = ?").get(id);
+    if (!archived) return null;
+
+    this.db.transaction(() => {
+      if (archived.groupId) this.unarchiveGroup(archived.groupId);
+      this.unarchiveResult(archived);
+      this.db.prepare("UPDATE benchmark_results SET pinned = 1 WHERE id = ?").run(id);
+    })();
+
+    return this.mapRow(this.db.prepare("SELECT * FROM benchmark_results WHERE id = ?").get(id));
+  }
+
+  /**
+   * Move an archived group and its archived results back into the history, pinned
+   * @param {string} id - Group id
+   * @returns {Promise<Object|null>} Restored group with its results, or null if it is not archived
+   */
+  static async restoreGroup(id) {
+    this.init();
+
+    const restored = this.db.transaction(() => {
+      if (!this.unarchiveGroup(id)) return false;
+
+      const archived = this.db.prepare("SELECT * FROM archived_results WHERE groupId = ?").all(id);
+      archived.forEach((row) => this.unarchiveResult(row));
+      return true;
+    })();
+
+    return restored ? this.getGroup(id) : null;
+  }
+
+  /**
+   * Delete all benchmark history, archive and baselines included
+   */
   static async clear() {
     this.init();
-    this.db.exec("DELETE FROM benchmark_results");
+    this.db.exec(
+      "DELETE FROM benchmark_results; DELETE FROM benchmark_groups; DELETE FROM benchmark_timeline; DELETE FROM benchmark_histograms; DELETE FROM benchmark_resources; DELETE FROM environments; DELETE FROM archived_results; DELETE FROM archived_groups; DELETE FROM benchmark_baselines;"
+    );
     return true;
   }
 
+  /**
+   * Latest repeated-run aggregate for each framework+endpoint combination
+   * @returns {Promise<Object>} Map of comboKey() to { groupId, timestamp, ...aggregate }
+   */
+  static async getLatestAggregates() {
+    this.init();
+
+    const groups = this.db
+      .prepare("SELECT * FROM benchmark_groups WHERE type = 'repeat' ORDER BY timestamp DESC")
+      .all()
+      .map((row) => this.mapGroup(row));
+
+    const latest = {};
+
+    for (const group of groups) {
+      if (group.summary?.cancelled) continue;
+
+      const key = this.comboKey({ ...group, warmup: group.summary?.warmup, engine: group.summary?.engine });
+      if (!latest[key]) {
+        latest[key] = { groupId: group.id, timestamp: group.timestamp, ...group.summary };
+      }
+    }
+
+    return latest;
+  }
+
   static async getStats() {
     this.init();
 
-    const results = await this.getAll();
+    // Cancelled runs are partial - kept in the history, left out of the numbers
+    const results = (await this.getAll()).filter((r) => r.status !== "cancelled");
 
     if (results.length === 0) {
       return {
         total: 0,
         byFramework: {},
+        aggregates: {},
       };
     }
 
     const stats = {
       total: results.length,
       byFramework: {},
+      aggregates: await this.getLatestAggregates(),
     };
 
     for (const framework of getFrameworkNames()) {
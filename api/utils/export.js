@@ -0,0 +1,308 @@
+/**
+ * Benchmark History Export
+ *
+ * Renders results from the history (GET /api/benchmark/export) as:
+ *
+ *   csv   one row per result, with the histogram distribution (p50...p99.999, max) as columns
+ *   json  the results with their timeline, histogram (counts and distribution) and environment
+ *         snapshot; each result can be posted back to /api/benchmark/add as is
+ *   md    a Markdown table for release notes
+ *   html  a single offline report: inline SVG charts of req/s and latency percentiles per
+ *         framework/endpoint (latest run of each), then the results table
+ *
+ * Results are expected most recent first, with `histogram` (see BenchmarkService.getHistogram)
+ * and `environment` attached.
+ */
+
+import { BenchmarkHistory } from "./benchmark-history.js";
+import { getFramework } from "../config/frameworks.config.js";
+import { DISTRIBUTION_PERCENTILES } from "../../shared/bench/latency-histogram.js";
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+};
+
+// Scalar result fields, in CSV column order
+const CSV_FIELDS = [
+  "id", "timestamp", "framework", "endpoint", "method", "engine", "loadModel", "targetRate", "warmup",
+  "duration", "connections", "workers", "pipelining", "reqPerSec", "avgLatency", "p50Latency", "p90Latency",
+  "p99Latency", "p999Latency", "p9999Latency", "correctedP99Latency", "totalReqs", "errors", "timeouts",
+  "non2xx", "status", "groupId", "suite", "environmentId",
+];
+
+// Latency percentiles charted in the HTML report
+const CHARTED_PERCENTILES = [
+  { field: "p50Latency", label: "p50", color: "#4e79a7" },
+  { field: "p90Latency", label: "p90", color: "#f28e2b" },
+  { field: "p99Latency", label: "p99", color: "#e15759" },
+  { field: "p999Latency", label: "p99.9", color: "#76b7b2" },
+];
+
+// Framework colors (frameworks.config.js, terminal names) as chart fills
+const CHART_COLORS = {
+  green: "#3a9d5d",
+  blue: "#3b6fd4",
+  magenta: "#b0479f",
+  yellow: "#c9a227",
+  cyan: "#2aa3b5",
+  red: "#d24b4b",
+  white: "#8c8c8c",
+};
+
+/**
+ * Render results in an export format
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Array<Object>} results - Results, most recent first, with histogram and environment
+ * @param {Object} [meta] - { filter, exportedAt }
+ * @returns {string}
+ */
+export function renderExport(format, results, { filter = {}, exportedAt = new Date().toISOString() } = {}) {
+  switch (format) {
+    case "csv":
+      return toCSV(results);
+    case "json":
+      return JSON.stringify({ version: 1, exportedAt, filter, count: results.length, results }, null, 2);
+    case "md":
+      return toMarkdown(results, { filter, exportedAt });
+    case "html":
+      return toHTML(results, { filter, exportedAt });
+    default:
+      throw Object.assign(new Error(`Unknown export format: ${format}`), { name: "ValidationError" });
+  }
+}
+
+/**
+ * Label of a result's combination, e.g. "fastify GET /simple [wrk]"
+ */
+function comboLabel(result) {
+  let label = `${result.framework} ${result.method} ${result.endpoint}`;
+  if (result.warmup > 0) label += ` warmup ${result.warmup}s`;
+  if (result.loadModel === "open") label += ` @${result.targetRate}/s`;
+  if (result.engine && result.engine !== "autocannon") label += ` [${result.engine}]`;
+  return label;
+}
+
+/**
+ * Latest complete result of each combination (comboKey), in first-seen order
+ */
+function latestPerCombination(results) {
+  const latest = new Map();
+  for (const result of results) {
+    if (result.status === "cancelled") continue;
+    const key = BenchmarkHistory.comboKey(result);
+    if (!latest.has(key)) latest.set(key, result);
+  }
+  return [...latest.values()];
+}
+
+function percentileLabel(percentile) {
+  return percentile >= 100 ? "max" : `p${percentile}`;
+}
+
+function toCSV(results) {
+  const histogramColumns = DISTRIBUTION_PERCENTILES.map((p) => `histogram_${percentileLabel(p)}`);
+  const headers = [...CSV_FIELDS, "tags", "notes", "regression", "integrity", "hostname", "gitCommit", ...histogramColumns];
+
+  const escape = (value) => {
+    if (value == null) return "";
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = results.map((result) => {
+    const distribution = new Map(
+      (result.histogram?.latency?.percentiles || []).map(({ percentile, latency }) => [percentile, latency])
+    );
+    return [
+      ...CSV_FIELDS.map((field) => result[field]),
+      (result.tags || []).join(";"),
+      result.notes,
+      result.regression?.verdict,
+      result.integrity?.status,
+      result.environment?.hostname,
+      result.environment?.gitCommit,
+      ...DISTRIBUTION_PERCENTILES.map((p) => distribution.get(p)),
+    ]
+      .map(escape)
+      .join(",");
+  });
+
+  return [headers.join(","), ...rows].join("\n") + "\n";
+}
+
+/**
+ * Cells of the results table shared by the Markdown and HTML formats
+ */
+function tableRows(results) {
+  const ms = (value) => (value != null ? `${value}` : "—");
+  return results.map((r) => [
+    r.timestamp.slice(0, 16).replace("T", " "),
+    r.status === "cancelled" ? `${r.framework} (cancelled)` : r.framework,
+    `${r.method} ${r.endpoint}${r.engine && r.engine !== "autocannon" ? ` [${r.engine}]` : ""}`,
+    Math.round(r.reqPerSec || 0).toLocaleString("en-US"),
+    ms(r.avgLatency),
+    ms(r.p50Latency),
+    ms(r.p90Latency),
+    ms(r.p99Latency),
+    ms(r.p999Latency),
+    `${(r.errors || 0) + (r.timeouts || 0) + (r.non2xx || 0)}`,
+    `${r.connections ?? "—"}`,
+    (r.tags || []).join(", "),
+  ]);
+}
+
+const TABLE_HEADERS = [
+  "Date (UTC)", "Framework", "Endpoint", "Req/s", "Avg (ms)", "P50 (ms)", "P90 (ms)", "P99 (ms)", "P99.9 (ms)",
+  "Failed", "Conns", "Tags",
+];
+
+/**
+ * Filter as a readable line, e.g. "framework=fastify, tag=release-2.3"
+ */
+function describeFilter(filter) {
+  const parts = Object.entries(filter)
+    .filter(([, value]) => value != null && value !== "")
+    .map(([key, value]) => `${key}=${value}`);
+  return parts.length ? parts.join(", ") : "all results";
+}
+
+function toMarkdown(results, { filter, exportedAt }) {
+  const cell = (text) => String(text).replace(/\|/g, "\\|");
+  const lines = [
+    "# Benchmark results",
+    "",
+    `Exported ${exportedAt} (${describeFilter(filter)}), ${results.length} results.`,
+    "",
+    `| ${TABLE_HEADERS.join(" | ")} |`,
+    `|${TABLE_HEADERS.map((_, i) => (i >= 3 && i <= 10 ? " ---: " : " --- ")).join("|")}|`,
+    ...tableRows(results).map((row) => `| ${row.map(cell).join(" | ")} |`),
+  ];
+
+  const noted = results.filter((r) => r.notes);
+  if (noted.length > 0) {
+    lines.push("", "## Notes", "");
+    noted.forEach((r) => lines.push(`- **${cell(comboLabel(r))}** (${r.timestamp.slice(0, 10)}): ${r.notes}`));
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Horizontal grouped bar chart as inline SVG
+ * @param {Object} chart
+ * @param {string} chart.title
+ * @param {string} chart.unit - Appended to value labels
+ * @param {Array<{label: string, bars: Array<{value: number, color: string}>}>} chart.groups
+ * @param {Array<{label: string, color: string}>} [chart.legend]
+ * @returns {string} <svg> element
+ */
+function barChart({ title, unit, groups, legend = [] }) {
+  const labelWidth = 300;
+  const plotWidth = 520;
+  const valueWidth = 110;
+  const barHeight = 14;
+  const groupGap = 10;
+  const top = 40 + (legend.length ? 20 : 0);
+
+  const max = Math.max(1, ...groups.flatMap((g) => g.bars.map((b) => b.value || 0)));
+  const groupHeight = (g) => g.bars.length * barHeight + groupGap;
+  const height = top + groups.reduce((sum, g) => sum + groupHeight(g), 0) + 10;
+  const width = labelWidth + plotWidth + valueWidth;
+  const format = (value) => `${value.toLocaleString("en-US", { maximumFractionDigits: 2 })}${unit}`;
+
+  const parts = [
+    `<text x="0" y="20" class="title">${escapeHTML(title)}</text>`,
+    ...legend.map(
+      (item, i) =>
+        `<rect x="${labelWidth + i * 80}" y="32" width="12" height="12" fill="${item.color}"/><text x="${labelWidth + i * 80 + 16}" y="42">${escapeHTML(item.label)}</text>`
+    ),
+  ];
+
+  let y = top;
+  for (const group of groups) {
+    const middle = y + (group.bars.length * barHeight) / 2 + 4;
+    parts.push(`<text x="${labelWidth - 8}" y="${middle}" text-anchor="end">${escapeHTML(group.label)}</text>`);
+    group.bars.forEach((bar, i) => {
+      if (bar.value == null) return;
+      const barWidth = Math.max(1, (bar.value / max) * plotWidth);
+      const barY = y + i * barHeight;
+      parts.push(
+        `<rect x="${labelWidth}" y="${barY}" width="${barWidth.toFixed(1)}" height="${barHeight - 2}" fill="${bar.color}"/>`,
+        `<text x="${(labelWidth + barWidth + 4).toFixed(1)}" y="${barY + barHeight - 4}" class="value">${format(bar.value)}</text>`
+      );
+    });
+    y += groupHeight(group);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${parts.join("")}</svg>`;
+}
+
+function toHTML(results, { filter, exportedAt }) {
+  const latest = latestPerCombination(results);
+  const color = (framework) => CHART_COLORS[getFramework(framework)?.color] || CHART_COLORS.white;
+
+  const rpsChart = barChart({
+    title: "Req/s per framework and endpoint (latest run)",
+    unit: "",
+    groups: latest.map((r) => ({ label: comboLabel(r), bars: [{ value: r.reqPerSec, color: color(r.framework) }] })),
+  });
+
+  const percentiles = CHARTED_PERCENTILES.filter(({ field }) => latest.some((r) => r[field] != null));
+  const latencyChart = barChart({
+    title: "Latency percentiles (latest run, ms)",
+    unit: " ms",
+    legend: percentiles,
+    groups: latest.map((r) => ({
+      label: comboLabel(r),
+      bars: percentiles.map(({ field, color: fill }) => ({ value: r[field], color: fill })),
+    })),
+  });
+
+  const rows = tableRows(results)
+    .map((row) => `<tr>${row.map((cell, i) => `<td${i >= 3 && i <= 10 ? ' class="num"' : ""}>${escapeHTML(cell)}</td>`).join("")}</tr>`)
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Benchmark results</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+  h1 { font-size: 1.5em; }
+  .meta { color: #666; }
+  svg { display: block; margin: 1.5em 0; font-size: 12px; }
+  svg text { fill: #333; }
+  svg .title { font-size: 14px; font-weight: bold; }
+  svg .value { fill: #555; font-size: 11px; }
+  table { border-collapse: collapse; font-size: 13px; }
+  th, td { border-bottom: 1px solid #ddd; padding: 4px 8px; text-align: left; white-space: nowrap; }
+  th { background: #f4f4f4; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+</style>
+</head>
+<body>
+<h1>Benchmark results</h1>
+<p class="meta">Exported ${escapeHTML(exportedAt)} (${escapeHTML(describeFilter(filter))}), ${results.length} results.</p>
+${latest.length ? `${rpsChart}\n${latencyChart}` : "<p>No complete results to chart.</p>"}
+<table>
+<thead><tr>${TABLE_HEADERS.map((h) => `<th>${escapeHTML(h)}</th>`).join("")}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,301 @@
+/**
+ * Benchmark History Import
+ *
+ * Maps files from outside the history into benchmark_results records for
+ * POST /api/benchmark/import:
+ *
+ *   export      a JSON export of this tool (GET /api/benchmark/export?format=json)
+ *   autocannon  `autocannon -j` output
+ *   wrk         wrk/wrk2 text output (run with --latency for the distribution), or the
+ *               WRK_SUMMARY line of wrk-summary.lua
+ *   oha         `oha --json` output
+ *
+ * Tool outputs do not say what was benchmarked, so the framework, endpoint and
+ * method come with the import (autocannon's endpoint defaults to the path of its
+ * url; wrk and oha outputs have no date either, so timestamp is required for them). Each record is validated on its own: one
+ * bad record is reported without failing the others.
+ */
+
+import { buildResultData } from "../../shared/bench/benchmark.js";
+import { mapWrkSummary, mapWrkHistogram } from "../../shared/bench/engines/wrk.engine.js";
+import { mapOhaReport } from "../../shared/bench/engines/oha.engine.js";
+import { LatencyHistogram } from "../../shared/bench/latency-histogram.js";
+
+export const IMPORT_FORMATS = ["export", "autocannon", "wrk", "oha"];
+
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"];
+
+// Result fields that must be non-negative numbers when present
+const NUMERIC_FIELDS = [
+  "reqPerSec", "avgLatency", "p50Latency", "p90Latency", "p99Latency", "p999Latency", "p9999Latency",
+  "totalReqs", "duration", "connections", "workers", "pipelining", "errors", "timeouts", "non2xx",
+];
+
+// wrk prints times and durations with these units
+const UNIT_MS = { us: 0.001, ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+function invalid(message) {
+  return Object.assign(new Error(message), { name: "ValidationError" });
+}
+
+/**
+ * Guess the format of an import from its data
+ * @param {Object|string} data - Parsed JSON or raw text
+ * @returns {string|null} One of IMPORT_FORMATS, or null if unrecognized
+ */
+export function detectFormat(data) {
+  if (typeof data === "string") {
+    return /WRK_SUMMARY|Requests\/sec:/.test(data) ? "wrk" : null;
+  }
+  if (!data || typeof data !== "object") return null;
+  if (Array.isArray(data.results)) return "export";
+  if (data.summary && (data.latencyPercentiles || data.statusCodeDistribution)) return "oha";
+  if (data.requests && data.latency && "connections" in data) return "autocannon";
+  return null;
+}
+
+/**
+ * Map an import to result records
+ * @param {Object} body - { format?, data, framework, endpoint, method, timestamp, connections, workers,
+ *   pipelining, rate, warmup, engine, environment } (metadata for tool outputs; an export carries its own)
+ * @returns {Array<{result: Object}|{error: string}>} One entry per record, in order
+ * @throws {Error} ValidationError when the data is missing or its format unknown
+ */
+export function parseImport(body) {
+  let { data } = body;
+  if (data == null) throw invalid("Missing required field: data");
+
+  // A JSON file pasted as text
+  if (typeof data === "string" && /^\s*[{[]/.test(data)) {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      throw invalid("data is not valid JSON");
+    }
+  }
+
+  const format = body.format || detectFormat(data);
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw invalid(
+      body.format
+        ? `Unknown import format: ${body.format} (expected ${IMPORT_FORMATS.join(", ")})`
+        : "Unrecognized data: expected a JSON export, autocannon -j, wrk or oha --json output"
+    );
+  }
+
+  if (format === "export") {
+    if (!Array.isArray(data.results)) throw invalid("An export must have a results array");
+    return data.results.map((record) => toRecord(() => fromExport(record)));
+  }
+
+  return [toRecord(() => fromToolOutput(format, data, body))];
+}
+
+function toRecord(map) {
+  try {
+    return { result: validateResult(map()) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * A result from a JSON export, without the ids that only meant something in the source history
+ */
+function fromExport(record) {
+  if (!record || typeof record !== "object") throw invalid("Record is not an object");
+
+  const { id, groupId, environmentId, pinned, regression, histogram, ...result } = record;
+  return {
+    ...result,
+    histogram: histogram?.latency
+      ? {
+          latency: LatencyHistogram.from(histogram.latency).toJSON(),
+          corrected: histogram.corrected ? LatencyHistogram.from(histogram.corrected).toJSON() : null,
+        }
+      : null,
+  };
+}
+
+/**
+ * A result from autocannon, wrk or oha output and the import's metadata
+ */
+function fromToolOutput(format, data, meta) {
+  if (!meta.framework) throw invalid("Missing required field: framework");
+
+  const endpoint = meta.endpoint || (format === "autocannon" ? urlPath(data.url) : null);
+  if (!endpoint) throw invalid(`Missing required field: endpoint (${format} output does not name it)`);
+
+  let engineResult;
+  let histogram = null;
+  let timestamp = meta.timestamp;
+  let engine = meta.engine;
+
+  if (format === "autocannon") {
+    engineResult = mapAutocannonReport(data);
+    timestamp ??= data.finish || data.start;
+    engine ??= "autocannon";
+  } else if (format === "oha") {
+    if (typeof data !== "object") throw invalid("oha output must be its --json report");
+    engineResult = mapOhaReport(data, Boolean(meta.rate));
+    engine ??= "oha";
+  } else {
+    if (typeof data !== "string") throw invalid("wrk output must be text");
+    const summaryLine = data.split("\n").find((line) => line.startsWith("WRK_SUMMARY"));
+    const fixedRate = Boolean(meta.rate);
+    if (summaryLine) {
+      const summary = JSON.parse(summaryLine.slice("WRK_SUMMARY".length));
+      engineResult = mapWrkSummary(summary, fixedRate);
+      histogram = mapWrkHistogram(summary.histogram, fixedRate);
+    } else {
+      engineResult = parseWrkText(data, fixedRate);
+    }
+    engine ??= fixedRate || /HdrHistogram/.test(data) ? "wrk2" : "wrk";
+  }
+
+  if (!timestamp) throw invalid(`Missing required field: timestamp (${format} output has no date)`);
+
+  return {
+    ...buildResultData(engineResult, {
+      framework: meta.framework,
+      endpoint,
+      method: (meta.method || "GET").toUpperCase(),
+      connections: meta.connections ?? data.connections ?? engineResult.connections ?? null,
+      workers: meta.workers ?? data.workers ?? engineResult.workers ?? null,
+      pipelining: meta.pipelining ?? data.pipelining ?? 1,
+      loadModel: meta.rate ? "open" : "closed",
+      rate: meta.rate,
+      warmup: meta.warmup,
+      engine,
+      histogram,
+    }),
+    timestamp,
+    environment: meta.environment || null,
+  };
+}
+
+/**
+ * Path of a URL, or null if it is not one
+ */
+function urlPath(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Map `autocannon -j` output to the engine result shape (it already is, bar the error breakdown)
+ */
+function mapAutocannonReport(report) {
+  if (!report.requests || !report.latency) throw invalid("autocannon output must have requests and latency");
+
+  const statusCodes = report.statusCodeStats
+    ? Object.fromEntries(Object.entries(report.statusCodeStats).map(([code, stats]) => [code, stats.count]))
+    : null;
+
+  return {
+    ...report,
+    errorBreakdown: statusCodes ? { statusCodes, errors: {}, samples: [] } : null,
+  };
+}
+
+/**
+ * Parse wrk's text output. Latency percentiles come from its distribution (--latency);
+ * wrk2 prints an HdrHistogram distribution with more percentiles, which are used when present
+ * @param {string} text - wrk stdout
+ * @param {boolean} corrected - wrk2 at a fixed rate (latencies corrected for coordinated omission)
+ * @returns {Object} Engine result
+ */
+export function parseWrkText(text, corrected) {
+  const toMs = (value, unit) => parseFloat(value) * UNIT_MS[unit.toLowerCase()];
+  const time = "([\\d.]+)(us|ms|s|m|h)";
+
+  const average = text.match(new RegExp(`Latency\\s+${time}`));
+  const requests = text.match(new RegExp(`(\\d+) requests in ${time}`));
+  const rate = text.match(/Requests\/sec:\s+([\d.]+)/);
+  if (!average || !requests || !rate) throw invalid("Not wrk output: expected its Latency, requests and Requests/sec lines");
+
+  const percentiles = new Map();
+  for (const [, percentile, value, unit] of text.matchAll(new RegExp(`^\\s*([\\d.]+)%\\s+${time}\\s*$`, "gm"))) {
+    percentiles.set(parseFloat(percentile), toMs(value, unit));
+  }
+  if (!percentiles.has(50) || !percentiles.has(90) || !percentiles.has(99)) {
+    throw invalid("wrk output has no latency distribution: run wrk with --latency");
+  }
+
+  const round = (ms) => (ms != null ? parseFloat(ms.toFixed(3)) : undefined);
+  const latency = {
+    average: toMs(average[1], average[2]),
+    p50: percentiles.get(50),
+    p90: percentiles.get(90),
+    p99: percentiles.get(99),
+    p99_9: round(percentiles.get(99.9)),
+    p99_99: round(percentiles.get(99.99)),
+  };
+
+  const socketErrors = text.match(/Socket errors: connect (\d+), read (\d+), write (\d+), timeout (\d+)/);
+  const [connect, read, write, timeout] = socketErrors ? socketErrors.slice(1).map(Number) : [0, 0, 0, 0];
+  const non2xx = text.match(/Non-2xx or 3xx responses: (\d+)/);
+  const threads = text.match(/(\d+) threads and (\d+) connections/);
+
+  return {
+    requests: { average: parseFloat(rate[1]), total: parseInt(requests[1]) },
+    latency,
+    correctedLatency: corrected ? latency : undefined,
+    duration: toMs(requests[2], requests[3]) / 1000,
+    errors: connect + read + write,
+    timeouts: timeout,
+    non2xx: non2xx ? parseInt(non2xx[1]) : 0,
+    workers: threads ? parseInt(threads[1]) : null,
+    connections: threads ? parseInt(threads[2]) : null,
+    errorBreakdown: {
+      statusCodes: null,
+      errors: Object.fromEntries(
+        Object.entries({ connect, read, write, timeout }).filter(([, count]) => count > 0)
+      ),
+      samples: [],
+    },
+  };
+}
+
+/**
+ * Check a mapped record against the benchmark_results schema
+ * @param {Object} result - Mapped result
+ * @returns {Object} The result, with its timestamp normalized to ISO
+ * @throws {Error} ValidationError naming the first invalid field
+ */
+export function validateResult(result) {
+  if (typeof result.framework !== "string" || !result.framework.trim()) {
+    throw invalid("framework must be a non-empty string");
+  }
+  if (typeof result.endpoint !== "string" || !result.endpoint.startsWith("/")) {
+    throw invalid(`endpoint must be a path starting with "/" (got ${JSON.stringify(result.endpoint)})`);
+  }
+  if (!METHODS.includes(result.method)) {
+    throw invalid(`method must be one of ${METHODS.join(", ")} (got ${JSON.stringify(result.method)})`);
+  }
+
+  const date = new Date(result.timestamp);
+  if (result.timestamp == null || isNaN(date)) {
+    throw invalid(`Invalid timestamp: ${JSON.stringify(result.timestamp)}`);
+  }
+
+  if (typeof result.reqPerSec !== "number") throw invalid("reqPerSec is required");
+  for (const field of NUMERIC_FIELDS) {
+    const value = result[field];
+    if (value != null && (typeof value !== "number" || !Number.isFinite(value) || value < 0)) {
+      throw invalid(`${field} must be a non-negative number (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  if (result.status != null && !["complete", "cancelled"].includes(result.status)) {
+    throw invalid(`status must be complete or cancelled (got ${JSON.stringify(result.status)})`);
+  }
+  if (result.tags != null && (!Array.isArray(result.tags) || result.tags.some((tag) => typeof tag !== "string"))) {
+    throw invalid("tags must be an array of strings");
+  }
+
+  return { ...result, framework: result.framework.trim(), timestamp: date.toISOString() };
+}
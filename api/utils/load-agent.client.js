@@ -0,0 +1,93 @@
+/**
+ * Load Agent Client Library
+ * Provides interface for the API to coordinate load agents (agent/load-agent.js).
+ * Agents are optional - configure them with LOAD_AGENTS (comma-separated URLs).
+ */
+
+export class LoadAgentClient {
+  constructor(baseURL) {
+    this.baseURL = baseURL.replace(/\/$/, "");
+  }
+
+  /**
+   * Get the Load Agent URL
+   */
+  getBaseURL() {
+    return this.baseURL;
+  }
+
+  /**
+   * Make HTTP request to the Load Agent
+   */
+  async request(method, path, body = null) {
+    const url = `${this.baseURL}${path}`;
+    const init = {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+      },
+      signal: AbortSignal.timeout(10000),
+    };
+
+    if (body && typeof body === "object") {
+      init.body = JSON.stringify(body);
+    }
+
+    const res = await fetch(url, init);
+
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Load Agent ${this.baseURL} error (${res.status}): ${text || res.statusText}`);
+    }
+
+    return res.json();
+  }
+
+  // ==================== Load Operations ====================
+
+  /**
+   * Health check ({ status, busy })
+   */
+  async health() {
+    return this.request("GET", "/health");
+  }
+
+  /**
+   * Agent clock (epoch ms)
+   */
+  async clock() {
+    return (await this.request("GET", "/api/load/clock")).now;
+  }
+
+  /**
+   * Start a job at startAt (agent clock)
+   */
+  async startJob(id, startAt, options) {
+    return (await this.request("POST", "/api/load/jobs", { id, startAt, options })).job;
+  }
+
+  /**
+   * Get a job, with samples from index `since`
+   */
+  async getJob(id, since = 0) {
+    return (await this.request("GET", `/api/load/jobs/${id}?since=${since}`)).job;
+  }
+
+  /**
+   * Cancel a job
+   */
+  async cancelJob(id) {
+    return (await this.request("DELETE", `/api/load/jobs/${id}`)).job;
+  }
+}
+
+/**
+ * URLs of the configured load agents (LOAD_AGENTS)
+ * @returns {Array<string>}
+ */
+export function getLoadAgentURLs() {
+  return (process.env.LOAD_AGENTS || "")
+    .split(",")
+    .map((url) => url.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+}
@@ -0,0 +1,187 @@
+/**
+ * Benchmark History Schema Migrations
+ *
+ * The schema of api/data/benchmark-history.db is built by the numbered files in
+ * api/migrations/ (001-initial.js, 002-groups.js, ...), applied in order. Each
+ * exports a description and up(db, { addColumn }); the versions applied are
+ * recorded in the schema_version table. To change the schema, add the next
+ * numbered file: never edit one that has shipped.
+ *
+ * Databases created before migrations existed have no schema_version table but
+ * any subset of the later tables and columns, so migrations create tables with
+ * IF NOT EXISTS and add columns through addColumn, which skips existing ones.
+ *
+ * Before applying anything to an existing database, a copy is written to
+ * api/data/backups/.
+ */
+
+import { existsSync, mkdirSync, readdirSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const apiRoot = join(__dirname, "..");
+
+const dataDir = join(apiRoot, "data");
+export const DB_FILE = join(dataDir, "benchmark-history.db");
+export const BACKUP_DIR = join(dataDir, "backups");
+const MIGRATIONS_DIR = join(apiRoot, "migrations");
+
+// 001-initial.js: version 1, name "initial"
+const MIGRATION_FILE = /^(\d{3})-([a-z0-9-]+)\.js$/;
+
+// Ensure data directory exists
+if (!existsSync(dataDir)) {
+  mkdirSync(dataDir, { recursive: true });
+}
+
+/**
+ * Load the migration files, checking they are numbered 1, 2, 3... without gaps
+ * @returns {Promise<Array<{version: number, name: string, description: string, up: Function}>>}
+ */
+async function loadMigrations() {
+  const files = readdirSync(MIGRATIONS_DIR).filter((file) => MIGRATION_FILE.test(file)).sort();
+  const migrations = [];
+
+  for (const [index, file] of files.entries()) {
+    const [, number, name] = file.match(MIGRATION_FILE);
+    const version = parseInt(number, 10);
+    if (version !== index + 1) {
+      throw new Error(`Migration ${file} is out of sequence: expected version ${index + 1}`);
+    }
+
+    const migration = await import(pathToFileURL(join(MIGRATIONS_DIR, file)).href);
+    if (typeof migration.up !== "function") {
+      throw new Error(`Migration ${file} does not export an up() function`);
+    }
+    migrations.push({ version, name, description: migration.description || "", up: migration.up });
+  }
+
+  return migrations;
+}
+
+export const MIGRATIONS = await loadMigrations();
+export const LATEST_VERSION = MIGRATIONS.length;
+
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt TEXT NOT NULL
+    )
+  `);
+}
+
+function currentVersion(db) {
+  return db.prepare("SELECT COALESCE(MAX(version), 0) FROM schema_version").pluck().get();
+}
+
+/**
+ * Add a column to an existing table if it is missing
+ */
+function addColumn(db, table, column, type) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+}
+
+/**
+ * Copy the database to BACKUP_DIR (VACUUM INTO writes a consistent copy, WAL included)
+ * @param {Database} db - better-sqlite3 connection
+ * @param {number} version - Schema version of the copy
+ * @returns {string} Backup file path
+ */
+export function backupDatabase(db, version) {
+  if (!existsSync(BACKUP_DIR)) {
+    mkdirSync(BACKUP_DIR, { recursive: true });
+  }
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const file = join(BACKUP_DIR, `benchmark-history-v${version}-${stamp}.db`);
+  db.prepare("VACUUM INTO ?").run(file);
+  return file;
+}
+
+/**
+ * Schema version of a database and the migrations applied or pending
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {Object} { version, latest, legacy, applied: [{ version, name, appliedAt }],
+ *   pending: [{ version, name, description }] }
+ *   legacy: the database has tables but predates schema_version
+ */
+export function getStatus(db) {
+  const tracked = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'").get();
+  const applied = tracked ? db.prepare("SELECT * FROM schema_version ORDER BY version").all() : [];
+  const version = applied.length > 0 ? applied[applied.length - 1].version : 0;
+  const tables = db.prepare("SELECT COUNT(*) FROM sqlite_master WHERE type = 'table'").pluck().get();
+
+  return {
+    version,
+    latest: LATEST_VERSION,
+    legacy: !tracked && tables > 0,
+    applied,
+    pending: MIGRATIONS.filter((m) => m.version > version).map(({ version, name, description }) => ({ version, name, description })),
+  };
+}
+
+/**
+ * Bring a database up to a schema version, each migration in its own transaction.
+ * An existing database is backed up before the first migration is applied
+ * @param {Database} db - better-sqlite3 connection
+ * @param {Object} [options]
+ * @param {number} [options.to=LATEST_VERSION] - Target version
+ * @returns {{from: number, to: number, applied: Array<string>, backup: string|null}}
+ *   applied lists the migration files run (e.g. "017-labels"), backup the copy taken first
+ * @throws {Error} If the database is newer than this code, or a migration fails (its changes are rolled back)
+ */
+export function migrate(db, { to = LATEST_VERSION } = {}) {
+  const existing = db.prepare("SELECT COUNT(*) FROM sqlite_master WHERE type = 'table'").pluck().get() > 0;
+  ensureVersionTable(db);
+
+  const from = currentVersion(db);
+  if (from > LATEST_VERSION) {
+    throw new Error(
+      `Benchmark history schema is at version ${from}, newer than this code (${LATEST_VERSION}). ` +
+        `Update the code, or restore a backup from ${BACKUP_DIR}`
+    );
+  }
+  if (!Number.isInteger(to) || to < from || to > LATEST_VERSION) {
+    throw new Error(`Invalid target version ${to}: the database is at ${from}, the latest is ${LATEST_VERSION}`);
+  }
+
+  const pending = MIGRATIONS.filter((m) => m.version > from && m.version <= to);
+  const result = { from, to: from, applied: [], backup: null };
+  if (pending.length === 0) return result;
+
+  if (existing) {
+    result.backup = backupDatabase(db, from);
+  }
+
+  const record = db.prepare("INSERT INTO schema_version (version, name, appliedAt) VALUES (?, ?, ?)");
+  const context = { addColumn: (table, column, type) => addColumn(db, table, column, type) };
+
+  for (const migration of pending) {
+    const file = `${String(migration.version).padStart(3, "0")}-${migration.name}`;
+
+    // IMMEDIATE: another process migrating the same file waits, then sees the version applied
+    const applied = db.transaction(() => {
+      if (currentVersion(db) >= migration.version) return false;
+      migration.up(db, context);
+      record.run(migration.version, migration.name, new Date().toISOString());
+      return true;
+    });
+
+    try {
+      if (applied.immediate()) result.applied.push(file);
+    } catch (error) {
+      const backup = result.backup ? `; the database before migrating is in ${result.backup}` : "";
+      throw new Error(`Migration ${file} failed: ${error.message}${backup}`);
+    }
+    result.to = migration.version;
+  }
+
+  return result;
+}
@@ -0,0 +1,53 @@
+/**
+ * Prometheus Text Format
+ *
+ * Renders metric families in the Prometheus text exposition format (0.0.4),
+ * which OpenMetrics scrapers accept as well:
+ *
+ *   # HELP rps_system_cpu_usage_percent System CPU usage since the previous scrape
+ *   # TYPE rps_system_cpu_usage_percent gauge
+ *   rps_system_cpu_usage_percent 12.5
+ */
+
+export const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Label values escape backslashes, double quotes and newlines; HELP text only backslashes and newlines
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const escapeHelp = (text) => text.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  if (Number.isNaN(value)) return "NaN";
+  return String(value);
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {}).filter(([, value]) => value != null);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+/**
+ * Render metric families. Samples without a numeric value are skipped, and so
+ * are families left without samples
+ * @param {Array<{name: string, type: string, help: string, samples: Array<{labels?: Object, value: number}>}>} families
+ *   type is "gauge" or "counter"; null label values are left out
+ * @returns {string} Exposition text, newline-terminated
+ */
+export function formatMetrics(families) {
+  const lines = [];
+
+  for (const { name, type, help, samples } of families) {
+    const present = samples.filter((sample) => typeof sample.value === "number");
+    if (present.length === 0) continue;
+
+    lines.push(`# HELP ${name} ${escapeHelp(help)}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    for (const { labels, value } of present) {
+      lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  }
+
+  return lines.length > 0 ? `${lines.join("\n")}\n` : "";
+}
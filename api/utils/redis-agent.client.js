@@ -79,6 +79,34 @@ export class RedisAgentClient {
     return this.get("/api/redis/status");
   }
 
+  /**
+   * Get per-node metrics (ops/sec, memory, connections, cumulative CPU seconds)
+   */
+  async metrics() {
+    return this.get("/api/redis/metrics");
+  }
+
+  /**
+   * Get the Redis environment (cluster shape, version, host) for benchmark results
+   */
+  async environment() {
+    return this.get("/api/redis/environment");
+  }
+
+  /**
+   * Snapshot the counters of a write scheme ("codes" or "sharded") before a write benchmark
+   */
+  async writeState(scheme) {
+    return this.get(`/api/redis/writes/${scheme}`);
+  }
+
+  /**
+   * Read the counters again and check the records written since a writeState() snapshot
+   */
+  async verifyWrites(scheme, before, limit) {
+    return this.post(`/api/redis/writes/${scheme}/verify`, { before, limit });
+  }
+
   /**
    * Setup Redis cluster
    */
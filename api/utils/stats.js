@@ -0,0 +1,90 @@
+/**
+ * Two-sided 95% Student's t critical values for 1..30 degrees of freedom
+ * (repeat counts are small, so the normal 1.96 would understate the interval)
+ */
+const T_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086,
+  2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+/**
+ * Metrics aggregated across repeated runs, with their rounding precision
+ */
+const AGGREGATED_METRICS = {
+  reqPerSec: 0,
+  avgLatency: 2,
+  p50Latency: 2,
+  p90Latency: 2,
+  p99Latency: 2,
+};
+
+/**
+ * Coordinated-omission corrected latencies, aggregated for open-model runs only
+ */
+const CORRECTED_METRICS = {
+  correctedAvgLatency: 2,
+  correctedP50Latency: 2,
+  correctedP90Latency: 2,
+  correctedP99Latency: 2,
+};
+
+/**
+ * Extreme percentiles, aggregated when every run recorded them (older results and some engines did not)
+ */
+const EXTREME_METRICS = {
+  p999Latency: 2,
+  p9999Latency: 2,
+};
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Summarize a sample: mean, sample stddev, min/max and 95% confidence interval of the mean
+ * @param {number[]} values - Sample values
+ * @param {number} [decimals=2] - Rounding precision
+ * @returns {{mean: number, stddev: number, min: number, max: number, ci95: {low: number, high: number}}}
+ */
+export function summarize(values, decimals = 2) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+  const stddev = Math.sqrt(variance);
+  const t = T_95[n - 2] ?? 1.96;
+  const margin = n > 1 ? (t * stddev) / Math.sqrt(n) : 0;
+
+  return {
+    mean: round(mean, decimals),
+    stddev: round(stddev, decimals),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    ci95: {
+      low: round(mean - margin, decimals),
+      high: round(mean + margin, decimals),
+    },
+  };
+}
+
+/**
+ * Aggregate repeated benchmark results of the same configuration
+ * @param {Array<Object>} results - Benchmark results
+ * @returns {Object} { runs, reqPerSec, avgLatency, p50Latency, p90Latency, p99Latency } (each a summarize() object),
+ *   plus p999Latency/p9999Latency when recorded and correctedAvgLatency...correctedP99Latency for open-model runs
+ */
+export function aggregateResults(results) {
+  const aggregate = { runs: results.length };
+  const metrics = {
+    ...AGGREGATED_METRICS,
+    ...(results.every((r) => r.p999Latency != null) ? EXTREME_METRICS : {}),
+    ...(results.every((r) => r.correctedP99Latency != null) ? CORRECTED_METRICS : {}),
+  };
+
+  for (const [metric, decimals] of Object.entries(metrics)) {
+    aggregate[metric] = summarize(results.map((r) => r[metric] ?? 0), decimals);
+  }
+
+  return aggregate;
+}
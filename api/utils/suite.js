@@ -0,0 +1,308 @@
+/**
+ * Benchmark Suites
+ *
+ * A suite is a JSON file in suites/ describing an unattended benchmark session:
+ *
+ *   {
+ *     "name": "release",
+ *     "setup":    [ { "type": "redis", "action": "setup", "nodes": 6 } ],
+ *     "frameworks": "enabled",            // or ["fastify", "bun"]; steps run once per framework
+ *     "steps": [
+ *       { "type": "pm2", "action": "start" },           // instances default to frameworks.config.js
+ *       { "type": "warmup", "duration": 10 },
+ *       { "type": "benchmark", "endpoints": "all", "connections": [100, 500, 1000], "duration": 20 },
+ *       { "type": "benchmark", "endpoints": "all", "engine": "wrk2", "rate": 50000 },  // see engines.js
+ *       { "type": "pm2", "action": "stop" }
+ *     ],
+ *     "teardown": [ { "type": "redis", "action": "stop" } ]
+ *   }
+ *
+ * Step types: redis (setup|clean|stop|resume), pm2 (start|stop|restart),
+ * warmup (discarded run), benchmark (saved runs) and wait (seconds). Setup and
+ * teardown only take redis, pm2 and wait steps; teardown always runs.
+ */
+
+import { readFile, readdir } from "fs/promises";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import {
+  getFramework,
+  getFrameworkNames,
+  getEndpoint,
+  getBenchmarkableEndpoints,
+  isValidFramework,
+} from "../config/frameworks.config.js";
+import { validateEngineOptions } from "../../shared/bench/engines.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, "../..");
+
+export const SUITES_DIR = join(projectRoot, "suites");
+
+const SUITE_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+const STEP_ACTIONS = {
+  redis: ["setup", "clean", "stop", "resume"],
+  pm2: ["start", "stop", "restart"],
+};
+
+function invalid(message) {
+  return Object.assign(new Error(message), { name: "ValidationError" });
+}
+
+function positiveInt(value, label, { optional = true } = {}) {
+  if (value == null && optional) return undefined;
+  if (!Number.isInteger(value) || value < 1) {
+    throw invalid(`${label} must be a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * Resolve "GET /code-fast", "/simple" or { endpoint, method } to a configured endpoint
+ */
+function resolveEndpoint(spec, label) {
+  let path = spec;
+  let method = "GET";
+
+  if (typeof spec === "object" && spec !== null) {
+    path = spec.endpoint;
+    method = (spec.method || "GET").toUpperCase();
+  } else if (typeof spec === "string" && spec.includes(" ")) {
+    [method, path] = spec.trim().split(/\s+/);
+    method = method.toUpperCase();
+  }
+
+  if (!getEndpoint(path, method)) {
+    throw invalid(`${label}: unknown endpoint ${method} ${path}`);
+  }
+
+  return { endpoint: path, method };
+}
+
+/**
+ * Endpoints of a warmup/benchmark step: "all", a list, or endpoint + method
+ */
+function resolveEndpoints(step, label) {
+  if (step.endpoints === "all") {
+    return getBenchmarkableEndpoints().map((e) => ({ endpoint: e.path, method: e.method }));
+  }
+
+  if (Array.isArray(step.endpoints)) {
+    if (step.endpoints.length === 0) throw invalid(`${label}: endpoints is empty`);
+    return step.endpoints.map((e) => resolveEndpoint(e, label));
+  }
+
+  return [resolveEndpoint({ endpoint: step.endpoint || "/simple", method: step.method }, label)];
+}
+
+/**
+ * Load generator of a warmup/benchmark step, checked against the step's rates
+ */
+function resolveEngine(step, label) {
+  if (step.engine == null) return undefined;
+
+  try {
+    validateEngineOptions(step.engine, { rate: step.rate });
+    if (step.warmup) validateEngineOptions(step.engine, { rate: step.warmupRate });
+  } catch (err) {
+    throw invalid(`${label}.engine: ${err.message}`);
+  }
+  return step.engine;
+}
+
+/**
+ * Validate one step and fill in defaults
+ * @param {Object} step - Raw step
+ * @param {string} label - Position for error messages (e.g. "steps[2]")
+ * @param {boolean} perFramework - Whether the framework comes from the suite's frameworks list
+ * @returns {Object} Normalized step
+ */
+function parseStep(step, label, perFramework) {
+  if (!step || typeof step !== "object") {
+    throw invalid(`${label} must be an object`);
+  }
+
+  const { type } = step;
+
+  if (step.framework != null && !isValidFramework(step.framework)) {
+    throw invalid(`${label}: unknown or disabled framework ${step.framework}`);
+  }
+
+  const needsFramework = type === "pm2" || type === "warmup" || type === "benchmark";
+  if (needsFramework && !step.framework && !perFramework) {
+    throw invalid(`${label}: framework is required outside of per-framework steps`);
+  }
+
+  switch (type) {
+    case "redis":
+    case "pm2": {
+      if (!STEP_ACTIONS[type].includes(step.action)) {
+        throw invalid(`${label}: ${type} action must be one of ${STEP_ACTIONS[type].join(", ")}`);
+      }
+      if (type === "redis" && step.action === "setup") {
+        positiveInt(step.nodes, `${label}.nodes`, { optional: false });
+      }
+      return {
+        type,
+        action: step.action,
+        framework: step.framework,
+        nodes: step.nodes,
+        instances: positiveInt(step.instances, `${label}.instances`),
+      };
+    }
+
+    case "wait":
+      return { type, seconds: positiveInt(step.seconds, `${label}.seconds`, { optional: false }) };
+
+    case "warmup":
+    case "benchmark": {
+      const connections = Array.isArray(step.connections) ? step.connections : [step.connections];
+      connections.forEach((c) => positiveInt(c, `${label}.connections`));
+
+      return {
+        type,
+        framework: step.framework,
+        endpoints: resolveEndpoints(step, label),
+        connections,
+        duration: positiveInt(step.duration, `${label}.duration`) ?? (type === "warmup" ? 10 : 20),
+        workers: positiveInt(step.workers, `${label}.workers`),
+        pipelining: positiveInt(step.pipelining, `${label}.pipelining`),
+        rate: positiveInt(step.rate, `${label}.rate`),
+        warmup: type === "benchmark" ? positiveInt(step.warmup, `${label}.warmup`) : undefined,
+        warmupRate: type === "benchmark" ? positiveInt(step.warmupRate, `${label}.warmupRate`) : undefined,
+        engine: resolveEngine(step, label),
+      };
+    }
+
+    default:
+      throw invalid(`${label}: unknown step type ${type}`);
+  }
+}
+
+function parseSteps(steps, key, perFramework) {
+  if (steps == null) return [];
+  if (!Array.isArray(steps)) throw invalid(`${key} must be an array`);
+
+  return steps.map((step, i) => {
+    const parsed = parseStep(step, `${key}[${i}]`, perFramework);
+    // Setup and teardown prepare the environment; runs belong in steps
+    if (key !== "steps" && (parsed.type === "warmup" || parsed.type === "benchmark")) {
+      throw invalid(`${key}[${i}]: ${parsed.type} steps belong in steps`);
+    }
+    return parsed;
+  });
+}
+
+/**
+ * Validate a suite definition and fill in defaults
+ * @param {Object} suite - Raw suite (parsed JSON)
+ * @returns {Object} { name, description, frameworks, setup, steps, teardown }
+ * @throws {Error} ValidationError describing the first problem found
+ */
+export function parseSuite(suite) {
+  if (!suite || typeof suite !== "object") {
+    throw invalid("Suite must be a JSON object");
+  }
+
+  if (typeof suite.name !== "string" || !SUITE_NAME.test(suite.name)) {
+    throw invalid("Suite name is required (letters, digits, - and _)");
+  }
+
+  let frameworks = null;
+  if (suite.frameworks === "enabled") {
+    frameworks = getFrameworkNames();
+  } else if (Array.isArray(suite.frameworks)) {
+    frameworks = suite.frameworks;
+    const unknown = frameworks.find((fw) => !isValidFramework(fw));
+    if (unknown) throw invalid(`frameworks: unknown or disabled framework ${unknown}`);
+  } else if (suite.frameworks != null) {
+    throw invalid('frameworks must be "enabled" or an array of framework names');
+  }
+
+  const parsed = {
+    name: suite.name,
+    description: suite.description || "",
+    frameworks,
+    setup: parseSteps(suite.setup, "setup", false),
+    steps: parseSteps(suite.steps, "steps", frameworks !== null),
+    teardown: parseSteps(suite.teardown, "teardown", false),
+  };
+
+  if (countBenchmarks(parsed) === 0) {
+    throw invalid("Suite has no benchmark steps");
+  }
+
+  return parsed;
+}
+
+/**
+ * Number of saved benchmark runs a parsed suite will perform
+ * @param {Object} suite - Parsed suite
+ * @returns {number}
+ */
+export function countBenchmarks(suite) {
+  const perPass = suite.steps
+    .filter((s) => s.type === "benchmark")
+    .reduce((sum, s) => sum + s.endpoints.length * s.connections.length, 0);
+
+  return perPass * (suite.frameworks ? suite.frameworks.length : 1);
+}
+
+/**
+ * Default PM2 instance count of a framework
+ * @param {string} framework - Framework name
+ * @returns {number}
+ */
+export function defaultInstances(framework) {
+  return getFramework(framework)?.instances || 1;
+}
+
+/**
+ * Load and validate a suite from suites/<name>.json
+ * @param {string} name - Suite file name (without .json)
+ * @returns {Promise<Object>} Parsed suite
+ * @throws {Error} NotFoundError if the file does not exist, ValidationError if it is invalid
+ */
+export async function loadSuite(name) {
+  if (!SUITE_NAME.test(name || "")) {
+    throw invalid(`Invalid suite name: ${name}`);
+  }
+
+  let raw;
+  try {
+    raw = await readFile(join(SUITES_DIR, `${name}.json`), "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw Object.assign(new Error(`Suite not found: ${name}`), { name: "NotFoundError" });
+    }
+    throw error;
+  }
+
+  try {
+    return parseSuite(JSON.parse(raw));
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw invalid(`suites/${name}.json: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List suite files in suites/
+ * @returns {Promise<Array<string>>} Suite names
+ */
+export async function listSuites() {
+  try {
+    const files = await readdir(SUITES_DIR);
+    return files
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => f.slice(0, -".json".length))
+      .sort();
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
@@ -85,6 +85,14 @@ export const CHART_STYLES = {
   memory: {
     line: "cyan",
     title: "Memory Usage (MB)"
+  },
+  timelineRps: {
+    line: "green",
+    title: "Req/s per second"
+  },
+  timelineP99: {
+    line: "red",
+    title: "P99 latency per second (ms)"
   }
 };
 
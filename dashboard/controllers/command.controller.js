@@ -66,12 +66,10 @@ export class CommandController {
         message = this.parseOutput(cleanOutput, command);
 
         // Check if benchmark completed and refresh summary
+        // (bench.js saves its own result to history)
         if (command.includes("bench.js")) {
           const benchmarkResult = this.extractBenchmarkResult(cleanOutput);
           if (benchmarkResult) {
-            if (this.benchmarkService) {
-              await this.benchmarkService.add(benchmarkResult);
-            }
             await this.updateController.updateBenchmark();
           }
         }
@@ -28,7 +28,7 @@ import { createActivityLog } from "./ui/widgets/activityLog.js";
 import { createMenuOverlay, showMenu, hideMenu } from "./ui/overlays/menu.overlay.js";
 import { createBenchmarkOverlay, showBenchmarkDetails, hideBenchmarkDetails } from "./ui/overlays/benchmark.overlay.js";
 import { openSelectionOverlay, closeSelectionOverlay, getLogContent } from "./ui/overlays/selection.overlay.js";
-import { promptRedisSetup, promptPM2Setup, promptAPIConnect } from "./ui/overlays/prompt.overlay.js";
+import { promptRedisSetup, promptPM2Setup, promptAPIConnect, promptSloTarget } from "./ui/overlays/prompt.overlay.js";
 
 // Controllers
 import { UpdateController } from "./controllers/update.controller.js";
@@ -45,9 +45,6 @@ import { initConfig, resetConfig, getFrameworkPort } from "./config/frameworksCo
 // Logger service
 import { info as logInfo, error as logError, closeLogger } from "./services/logger.service.js";
 
-// Benchmark service (local, not adapter)
-import { runBenchmark } from "./services/benchmark.service.js";
-
 // ==================== INITIALIZATION ====================
 
 // Initialize API client
@@ -136,6 +133,18 @@ const navigationController = new NavigationController(screen, focusablePanels);
 
 const commandController = new CommandController(updateController, redisService, benchmarkService);
 
+// Last logged progress quarter per benchmark run (see handleBenchmarkProgress)
+const benchmarkProgressQuarters = new Map();
+
+// Run started from this dashboard that is still in progress (X cancels it)
+let activeBenchmarkRunId = null;
+
+apiClient.onMetric((stream, data) => {
+  if (stream === "benchmark:progress") {
+    handleBenchmarkProgress(data);
+  }
+});
+
 // ==================== OVERLAYS ====================
 
 const menuComponents = createMenuOverlay(screen);
@@ -215,14 +224,13 @@ async function handleMenuCommand(command, label) {
     // API action - call apiClient method
     await executeAPIAction(command, label);
   } else if (command.startsWith("BENCH:")) {
-    // Benchmark action - run benchmark directly using service
+    // Benchmark action - run on the API host, progress arrives over WebSocket
     const parts = command.split(":");
     const framework = parts[1];
     const endpoint = parts[2];
     const method = parts[3];
-    const port = getFrameworkPort(framework);
     
-    if (!port) {
+    if (!getFrameworkPort(framework)) {
       logError(`Unknown framework: ${framework}`, { action: "benchmark" });
       return;
     }
@@ -230,42 +238,184 @@ async function handleMenuCommand(command, label) {
     logInfo(`Starting benchmark: ${framework} ${method} ${endpoint}`, { source: "ui", action: "benchmark", framework, endpoint, method });
     
     try {
-      const result = await runBenchmark({
-        apiClient,  // Pass API client for PM2 status check
+      await subscribeBenchmarkProgress();
+      
+      const { runId, run } = await apiClient.benchmarkRun({
         framework,
-        port,
         endpoint,
         method,
         duration: 20,
-        onProgress: (progress) => {
-          if (progress.status === "starting") {
-            logInfo(`Benchmark: ${progress.url} - ${progress.connections} connections, ${progress.workers} workers`, { source: "ui", action: "benchmark" });
-          }
-        },
-      });
-      
-      // Send result to API for storage
-      await apiClient.benchmarkAdd(result);
-      
-      logInfo(`Benchmark complete: ${result.reqPerSec.toLocaleString()} req/s, ${result.avgLatency}ms avg latency`, { 
-        source: "ui",
-        action: "benchmark", 
-        framework,
-        reqPerSec: result.reqPerSec,
-        avgLatency: result.avgLatency,
       });
+      activeBenchmarkRunId = runId;
       
-      // Refresh benchmark table
-      updateController.updateBenchmark();
+      logInfo(`Benchmark ${runId.slice(0, 8)} running on API host (${run.instances} instances)`, { source: "ui", action: "benchmark", framework, runId });
     } catch (err) {
-      logError(`Benchmark failed: ${err.message}`, { action: "benchmark", framework });
+      logError(`Benchmark failed: ${err.message || err}`, { action: "benchmark", framework });
     }
+  } else if (command.startsWith("PROMPT_SLO:")) {
+    // Max-throughput search under a p99 target - runs on the API host like BENCH
+    const [, framework, endpoint, method] = command.split(":");
+
+    promptSloTarget(screen, `${framework} ${method} ${endpoint}`, async (targetP99) => {
+      logInfo(`Starting max RPS search: ${framework} ${method} ${endpoint} @ p99<${targetP99}ms`, { source: "ui", action: "benchmark_slo", framework, endpoint, method, targetP99 });
+
+      try {
+        await subscribeBenchmarkProgress();
+
+        const { runId } = await apiClient.benchmarkSloSearch({ framework, endpoint, method, targetP99 });
+        activeBenchmarkRunId = runId;
+
+        logInfo(`Search ${runId.slice(0, 8)} running on API host (10s probes)`, { source: "ui", action: "benchmark_slo", framework, runId });
+      } catch (err) {
+        logError(`Max RPS search failed: ${err.message || err}`, { action: "benchmark_slo", framework });
+      }
+    });
   } else {
     // Regular shell command (fallback)
     await commandController.execute(command, label);
   }
 }
 
+/**
+ * Make sure the WebSocket is connected and subscribed to benchmark progress
+ */
+async function subscribeBenchmarkProgress() {
+  if (!apiClient.wsConnected) {
+    await apiClient.connectWebSocket();
+  }
+  apiClient.subscribeToStream("benchmark:progress");
+}
+
+/**
+ * Handle a "benchmark:progress" message for a run started from the menu
+ * @param {Object} progress - { runId, mode, status, framework, ... }
+ */
+function handleBenchmarkProgress(progress) {
+  const { runId, framework, status } = progress;
+  const shortId = runId.slice(0, 8);
+
+  if (["complete", "failed", "cancelled"].includes(status) && runId === activeBenchmarkRunId) {
+    activeBenchmarkRunId = null;
+  }
+
+  if (status === "cancelling") {
+    logInfo(`Benchmark ${shortId}: cancelling, waiting for the partial result`, { source: "ui", action: "benchmark_cancel", framework, runId });
+    return;
+  }
+
+  if (progress.mode === "slo") {
+    handleSloProgress(progress, shortId);
+    return;
+  }
+
+  if (status === "starting") {
+    const load = progress.loadModel === "open" ? `, open model @ ${progress.rate.toLocaleString()} req/s` : "";
+    const agents = progress.agents ? ` on ${progress.agents.length} load agents` : "";
+    const engine = progress.engine && progress.engine !== "autocannon" ? ` (${progress.engine})` : "";
+    logInfo(`Benchmark ${shortId}: ${progress.url} - ${progress.connections} connections, ${progress.workers} workers${load}${agents}${engine}`, { source: "ui", action: "benchmark", framework, runId });
+  } else if (status === "preflight") {
+    logInfo(`Benchmark ${shortId}: checking ${progress.requests} responses against the endpoint contract`, { source: "ui", action: "benchmark", framework, runId });
+  } else if (status === "warmup") {
+    logInfo(`Benchmark ${shortId}: warming up ${progress.warmup}s${progress.warmupRate ? ` @ ${progress.warmupRate.toLocaleString()} req/s` : ""} (not recorded)`, { source: "ui", action: "benchmark", framework, runId });
+  } else if (status === "running" && progress.percent != null && !progress.repeat) {
+    // Ticks arrive every second - only log every 25%
+    const quarter = Math.floor(progress.percent / 25);
+    if (quarter > 0 && quarter < 4 && quarter !== benchmarkProgressQuarters.get(runId)) {
+      benchmarkProgressQuarters.set(runId, quarter);
+      logInfo(`Benchmark ${shortId}: ${progress.elapsed}s / ${progress.duration}s (${progress.percent}%)`, { source: "ui", action: "benchmark", framework, runId });
+    }
+  } else if (status === "iteration") {
+    logInfo(`Benchmark ${shortId} run ${progress.iteration}/${progress.repeat}: ${progress.reqPerSec.toLocaleString()} req/s, p99 ${progress.p99Latency}ms`, { source: "ui", action: "benchmark", framework, runId, iteration: progress.iteration });
+  } else if (status === "cooldown") {
+    logInfo(`Benchmark ${shortId}: cooling down ${progress.seconds}s before run ${progress.iteration}/${progress.repeat}`, { source: "ui", action: "benchmark", framework, runId });
+  } else if (progress.mode === "suite" && ["complete", "cancelled"].includes(status)) {
+    // Suite runs (started here or by another client) finish with the suite summary, not a result
+    benchmarkProgressQuarters.delete(runId);
+    const summary = progress.results || {};
+    const failures = summary.failures?.length ? `, ${summary.failures.length} failed step(s)` : "";
+    logInfo(`Suite ${summary.suite || shortId} ${status}: ${summary.completed ?? 0}/${summary.planned ?? 0} benchmarks${failures}`, {
+      source: "ui",
+      action: "benchmark_suite",
+      runId,
+      completed: summary.completed,
+      planned: summary.planned,
+      failures: summary.failures?.length || 0,
+    });
+    updateController.updateBenchmark();
+  } else if (status === "complete" && progress.results?.runs) {
+    const { reqPerSec, avgLatency, runs } = progress.results;
+    logInfo(`Benchmark complete (${runs} runs): ${reqPerSec.mean.toLocaleString()} req/s ± ${reqPerSec.stddev.toLocaleString()} (95% CI ${reqPerSec.ci95.low.toLocaleString()}–${reqPerSec.ci95.high.toLocaleString()}), ${avgLatency.mean}ms avg latency`, {
+      source: "ui",
+      action: "benchmark",
+      framework,
+      runId,
+      runs,
+      reqPerSec: reqPerSec.mean,
+      avgLatency: avgLatency.mean,
+    });
+    updateController.updateBenchmark();
+  } else if (status === "complete" && progress.results?.reqPerSec != null) {
+    benchmarkProgressQuarters.delete(runId);
+    const result = progress.results;
+    logInfo(`Benchmark complete: ${result.reqPerSec.toLocaleString()} req/s, ${result.avgLatency}ms avg latency`, {
+      source: "ui",
+      action: "benchmark",
+      framework,
+      runId,
+      reqPerSec: result.reqPerSec,
+      avgLatency: result.avgLatency,
+    });
+    updateController.updateBenchmark();
+  } else if (status === "complete") {
+    benchmarkProgressQuarters.delete(runId);
+    logInfo(`Benchmark ${shortId} complete`, { source: "ui", action: "benchmark", framework, runId });
+    updateController.updateBenchmark();
+  } else if (status === "cancelled") {
+    benchmarkProgressQuarters.delete(runId);
+    const result = progress.results;
+    const partial = result?.reqPerSec != null && !result.runs
+      ? `: partial result ${result.reqPerSec.toLocaleString()} req/s over ${result.duration}s saved`
+      : "";
+    logInfo(`Benchmark ${shortId} cancelled${partial}`, { source: "ui", action: "benchmark_cancel", framework, runId });
+    updateController.updateBenchmark();
+  } else if (status === "failed") {
+    benchmarkProgressQuarters.delete(runId);
+    logError(`Benchmark failed: ${progress.error}`, { action: "benchmark", framework, runId });
+  }
+}
+
+/**
+ * Handle progress of a max-throughput search: one line per probe, then the headline
+ * @param {Object} progress - "benchmark:progress" message with mode "slo"
+ * @param {string} shortId - Short run id for log lines
+ */
+function handleSloProgress(progress, shortId) {
+  const { runId, framework, status } = progress;
+
+  if (status === "probe") {
+    const rate = progress.rate ? `${progress.rate.toLocaleString()} req/s` : "unthrottled";
+    if (progress.error) {
+      logError(`Search ${shortId} probe ${progress.probe} (${rate}) failed: ${progress.error}`, { action: "benchmark_slo", framework, runId, rate: progress.rate });
+      return;
+    }
+    const verdict = progress.passed ? "✓" : "✗";
+    logInfo(`Search ${shortId} probe ${progress.probe} (${rate}): ${progress.reqPerSec.toLocaleString()} req/s, p99 ${progress.p99Latency}ms ${verdict}`, { source: "ui", action: "benchmark_slo", framework, runId, rate: progress.rate, passed: progress.passed });
+  } else if (status === "complete") {
+    logInfo(progress.results.headline, {
+      source: "ui",
+      action: "benchmark_slo",
+      framework,
+      runId,
+      maxSustainableRps: progress.results.maxSustainableRps,
+      targetP99: progress.results.targetP99,
+    });
+  } else if (status === "cancelled") {
+    logInfo(progress.results?.headline || `Search ${shortId} cancelled`, { source: "ui", action: "benchmark_slo", framework, runId });
+  } else if (status === "failed") {
+    logError(`Max RPS search failed: ${progress.error}`, { action: "benchmark_slo", framework, runId });
+  }
+}
+
 /**
  * Execute an API action from menu
  */
@@ -428,6 +578,22 @@ screen.key(["left", "right"], function (_, key) {
   }
 });
 
+// X - Cancel the benchmark started from this dashboard
+screen.key(["x", "X"], async function () {
+  if (dashboardState.hasBlockingOverlay()) return;
+
+  if (!activeBenchmarkRunId) {
+    logInfo("No benchmark running", { source: "ui", action: "benchmark_cancel" });
+    return;
+  }
+
+  try {
+    await apiClient.benchmarkCancel(activeBenchmarkRunId);
+  } catch (err) {
+    logError(`Cancel failed: ${err.message || err}`, { action: "benchmark_cancel", runId: activeBenchmarkRunId });
+  }
+});
+
 // S / C - Open log selection overlay
 screen.key(["s", "c"], function () {
   if (!isLogPanelActive() || dashboardState.hasBlockingOverlay()) return;
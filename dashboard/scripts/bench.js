@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+
+/**
+ * Headless benchmark CLI
+ *
+ * Runs the same benchmark as the dashboard's BENCH menu (PM2 pre-check via the
+ * API, autoScaleParams for unset parameters) without the blessed UI, so it can
+ * be used from CI and SSH sessions. Prints a human summary followed by a final
+ * JSON line (consumable by BenchmarkServiceAdapter.parseBenchmarkOutput) and
+ * saves the result to the API's benchmark history. Ctrl-C stops the load
+ * generator and keeps the partial result, saved with status "cancelled".
+ */
+
+import { initAPIClient } from "../services/api.client.js";
+import { BenchmarkServiceAdapter } from "../services/adapters.js";
+import { runBenchmark, checkPM2Framework } from "../../shared/bench/benchmark.js";
+import { closeLogger } from "../services/logger.service.js";
+import {
+  initConfig,
+  getFrameworkPort,
+  getBenchmarkableEndpoints,
+} from "../config/frameworksConfig.js";
+import { validateFramework, validateEndpoint } from "../utils/validators.js";
+import { formatNumber, progressBar } from "../utils/format.js";
+
+// Colors
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  red: "\x1b[31m",
+  cyan: "\x1b[36m",
+  gray: "\x1b[90m",
+  bold: "\x1b[1m",
+};
+
+function log(msg, color = "reset") {
+  console.log(`${colors[color]}${msg}${colors.reset}`);
+}
+
+function showUsage() {
+  log("\n╔═══════════════════════════════════════════════════════════╗", "cyan");
+  log("║          Benchmark Runner - Headless CLI                 ║", "cyan");
+  log("╚═══════════════════════════════════════════════════════════╝", "cyan");
+
+  log("\nUsage: node dashboard/scripts/bench.js -f <framework> [options]", "bold");
+
+  log("\nOptions:", "yellow");
+  log("  -f, --framework <name>     Framework to benchmark (required)");
+  log("  -e, --endpoint <path>      Endpoint path (default: /simple)");
+  log("  -m, --method <method>      HTTP method (default: GET)");
+  log("  -d, --duration <sec>       Duration in seconds (default: 20)");
+  log("  -c, --connections <num>    Connections (default: auto-scaled)");
+  log("  -w, --workers <num>        autocannon workers (default: auto-scaled)");
+  log("  -p, --pipelining <num>     Pipelined requests (default: auto-scaled)");
+  log("  -R, --rate <rps>           Fixed arrival rate (open model, coordinated-omission corrected)");
+  log("  --engine <name>            Load generator: autocannon, wrk, wrk2 or oha (default: autocannon)");
+  log("  --warmup <sec>             Warmup before the measured window, discarded (default: 0)");
+  log("  --warmup-rate <rps>        Fixed request rate during warmup (default: unthrottled)");
+  log("  --no-preflight             Skip the response contract check before load");
+  log("  --no-save                  Do not save the result to benchmark history");
+  log("  -h, --help                 Show this help message");
+
+  log("\nEnvironment:", "yellow");
+  log("  API_SERVER                 API URL (default: http://localhost:3100)");
+  log("  API_KEY                    API key, if the API requires one");
+  log("  WRK_PATH, WRK2_PATH, OHA_PATH  Load generator binaries (default: found on PATH)");
+
+  log("\nExamples:", "yellow");
+  log("  node dashboard/scripts/bench.js -f fastify", "gray");
+  log("  node dashboard/scripts/bench.js -f bun -e /code -m POST -d 30", "gray");
+  log("  node dashboard/scripts/bench.js -f fastify -c 500 -w 8 -p 10 --no-save", "gray");
+  log("  node dashboard/scripts/bench.js -f csharp --warmup 10 --warmup-rate 50000", "gray");
+  log("  node dashboard/scripts/bench.js -f fastify -R 100000 -d 60", "gray");
+  log("  node dashboard/scripts/bench.js -f bun --engine wrk2 -R 100000", "gray");
+  log("");
+}
+
+/**
+ * Parse a positive integer option or exit
+ */
+function parsePositiveInt(value, name) {
+  const num = parseInt(value, 10);
+  if (isNaN(num) || num < 1) {
+    log(`Invalid ${name}: ${value}. Must be >= 1`, "red");
+    process.exit(1);
+  }
+  return num;
+}
+
+// Parse arguments
+const args = process.argv.slice(2);
+const options = {
+  framework: null,
+  endpoint: "/simple",
+  method: "GET",
+  duration: 20,
+  connections: undefined,
+  workers: undefined,
+  pipelining: undefined,
+  rate: undefined,
+  warmup: 0,
+  warmupRate: undefined,
+  engine: undefined,
+  preflight: true,
+  save: true,
+};
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  switch (arg) {
+    case "-f":
+    case "--framework":
+      options.framework = args[++i]?.toLowerCase();
+      break;
+    case "-e":
+    case "--endpoint":
+      options.endpoint = args[++i];
+      break;
+    case "-m":
+    case "--method":
+      options.method = (args[++i] || "").toUpperCase();
+      break;
+    case "-d":
+    case "--duration":
+      options.duration = parsePositiveInt(args[++i], "duration");
+      break;
+    case "-c":
+    case "--connections":
+      options.connections = parsePositiveInt(args[++i], "connection count");
+      break;
+    case "-w":
+    case "--workers":
+      options.workers = parsePositiveInt(args[++i], "worker count");
+      break;
+    case "-p":
+    case "--pipelining":
+      options.pipelining = parsePositiveInt(args[++i], "pipelining factor");
+      break;
+    case "-R":
+    case "--rate":
+      options.rate = parsePositiveInt(args[++i], "rate");
+      break;
+    case "--warmup":
+      options.warmup = parsePositiveInt(args[++i], "warmup");
+      break;
+    case "--warmup-rate":
+      options.warmupRate = parsePositiveInt(args[++i], "warmup rate");
+      break;
+    case "--engine":
+      options.engine = args[++i]?.toLowerCase();
+      break;
+    case "--no-preflight":
+      options.preflight = false;
+      break;
+    case "--no-save":
+      options.save = false;
+      break;
+    case "-h":
+    case "--help":
+      showUsage();
+      process.exit(0);
+    default:
+      log(`Unknown option: ${arg}`, "red");
+      showUsage();
+      process.exit(1);
+  }
+}
+
+/**
+ * Print a human-readable summary of a result
+ */
+function printSummary(result) {
+  log("\n╔═══════════════════════════════════════════════════════════╗", "cyan");
+  log(`  ${result.framework}  ${result.method} ${result.endpoint}${result.status === "cancelled" ? "  (cancelled, partial)" : ""}`, "bold");
+  log("╚═══════════════════════════════════════════════════════════╝", "cyan");
+  log(`  Requests/sec:   ${formatNumber(result.reqPerSec)}`, "green");
+  log(`  Total requests: ${formatNumber(result.totalReqs)} in ${result.duration}s`);
+  const extreme = (p999, p9999) => (p999 != null ? `  p99.9 ${p999}  p99.99 ${p9999}` : "");
+  log(`  Latency (ms):   avg ${result.avgLatency}  p50 ${result.p50Latency}  p90 ${result.p90Latency}  p99 ${result.p99Latency}${extreme(result.p999Latency, result.p9999Latency)}`);
+  if (result.correctedP99Latency != null) {
+    log(`  Corrected (ms): avg ${result.correctedAvgLatency}  p50 ${result.correctedP50Latency}  p90 ${result.correctedP90Latency}  p99 ${result.correctedP99Latency}${extreme(result.correctedP999Latency, result.correctedP9999Latency)}`);
+  }
+  log(`  Load:           ${result.engine}, ${result.connections} connections, ${result.workers} workers, pipelining ${result.pipelining}`, "gray");
+  log(`  Load model:     ${result.loadModel === "open" ? `open @ ${formatNumber(result.targetRate)} req/s` : "closed"}`, "gray");
+  if (result.warmup > 0) {
+    log(`  Warmup:         ${result.warmup}s (discarded)`, "gray");
+  }
+
+  const hasErrors = (result.errors + result.timeouts + result.non2xx) > 0;
+  log(
+    `  Errors:         ${result.errors}  Timeouts: ${result.timeouts}  Non-2xx: ${result.non2xx}`,
+    hasErrors ? "yellow" : "gray"
+  );
+}
+
+async function main() {
+  if (!options.framework) {
+    log("\n⚠️  Please specify a framework with -f", "yellow");
+    showUsage();
+    process.exit(1);
+  }
+
+  const apiServer = process.env.API_SERVER || "http://localhost:3100";
+  const apiClient = initAPIClient(apiServer, process.env.API_KEY || null);
+
+  try {
+    await initConfig(apiClient);
+  } catch (error) {
+    log(`\n❌ ${error.message}`, "red");
+    log(`Make sure the API server is running at ${apiServer}`, "gray");
+    process.exit(1);
+  }
+
+  const frameworkCheck = validateFramework(options.framework);
+  if (!frameworkCheck.valid) {
+    log(`\n❌ ${frameworkCheck.message}`, "red");
+    process.exit(1);
+  }
+
+  const endpointCheck = validateEndpoint(options.endpoint);
+  if (!endpointCheck.valid) {
+    log(`\n❌ ${endpointCheck.message}`, "red");
+    process.exit(1);
+  }
+
+  const knownEndpoint = getBenchmarkableEndpoints().find(
+    e => e.path === options.endpoint && e.method === options.method
+  );
+  if (!knownEndpoint) {
+    log(`\n⚠️  ${options.method} ${options.endpoint} is not a benchmarkable endpoint in frameworks.config.js`, "yellow");
+  }
+
+  // Same pre-check as the dashboard; the messages below are parsed by CommandController
+  const pm2Check = await checkPM2Framework(apiClient, options.framework);
+  if (!pm2Check.running) {
+    log(`\n❌ ${pm2Check.message}`, "red");
+    if (pm2Check.suggestion) log(pm2Check.suggestion, "yellow");
+    log("Benchmark cancelled", "red");
+    process.exit(1);
+  }
+
+  const isTTY = process.stdout.isTTY;
+
+  // First Ctrl-C cancels the run (partial result), a second one exits
+  const controller = new AbortController();
+  process.on("SIGINT", () => {
+    if (controller.signal.aborted) process.exit(130);
+    if (isTTY) process.stdout.write("\n");
+    log("\n■ Cancelling - waiting for the partial result (Ctrl-C again to quit)", "yellow");
+    controller.abort();
+  });
+
+  const result = await runBenchmark({
+    apiClient,
+    framework: options.framework,
+    port: getFrameworkPort(options.framework),
+    endpoint: options.endpoint,
+    method: options.method,
+    duration: options.duration,
+    connections: options.connections,
+    workers: options.workers,
+    pipelining: options.pipelining,
+    rate: options.rate,
+    warmup: options.warmup,
+    warmupRate: options.warmupRate,
+    engine: options.engine,
+    contract: options.preflight ? knownEndpoint?.contract : undefined,
+    instances: pm2Check.instances,
+    signal: controller.signal,
+    onProgress: (progress) => {
+      if (progress.status === "preflight") {
+        log(`\n… Checking ${progress.requests} responses against the ${options.method} ${options.endpoint} contract`, "gray");
+      } else if (progress.status === "warmup") {
+        log(`\n… Warming up ${progress.warmup}s${progress.warmupRate ? ` @ ${formatNumber(progress.warmupRate)} req/s` : ""} (not recorded)`, "gray");
+      } else if (progress.status === "starting") {
+        log(`\n▶ Benchmarking ${options.framework} (${progress.instances} instances) with ${progress.engine}`, "cyan");
+        log(`→ ${options.method} ${progress.url}`, "gray");
+        log(`→ ${progress.connections} connections, ${progress.workers} workers, pipelining ${progress.pipelining}, ${progress.duration}s${progress.rate ? `, open model @ ${formatNumber(progress.rate)} req/s` : ""}\n`, "gray");
+      } else if (progress.status === "running" && progress.percent != null && isTTY) {
+        process.stdout.write(`\r  ${progressBar(progress.elapsed, progress.duration, 30)} ${progress.elapsed}s/${progress.duration}s`);
+      }
+    },
+  });
+
+  if (isTTY) process.stdout.write("\n");
+
+  printSummary(result);
+
+  if (options.save) {
+    const benchmarkService = new BenchmarkServiceAdapter(apiClient);
+    try {
+      await benchmarkService.add(result);
+      log("\n✓ Saved to benchmark history", "green");
+    } catch (error) {
+      log(`\n⚠️  Failed to save to benchmark history: ${error.message || error}`, "yellow");
+    }
+  }
+
+  // Final line: machine-readable result
+  console.log(JSON.stringify(result));
+}
+
+try {
+  await main();
+  await closeLogger();
+  process.exit(0);
+} catch (error) {
+  // Cancelled before the measured window started: nothing to save
+  if (error.name === "CancelledError") {
+    log("\n■ Benchmark cancelled before any load was measured", "yellow");
+    await closeLogger();
+    process.exit(130);
+  }
+  log(`\n❌ Benchmark failed: ${error.message || error}`, "red");
+  await closeLogger();
+  process.exit(1);
+}
@@ -136,18 +136,39 @@ export class BenchmarkServiceAdapter {
     this.apiClient = apiClient;
   }
 
+  async query(filter) {
+    const res = await this.apiClient.benchmarkResults(filter);
+    return { results: res.results || [], total: res.total || 0 };
+  }
+
   async getLatest(count = 10) {
-    const res = await this.apiClient.benchmarkLatest(count);
-    return res.results;
+    const { results } = await this.query({ limit: count });
+    return results;
   }
 
   async reload() {
     return this.apiClient.benchmarkReload();
   }
 
-  async getAll() {
-    const res = await this.apiClient.benchmarkAll();
-    return res.results;
+  async getAll(filter = {}) {
+    // GET /api/benchmark/results pages by at most 500
+    const results = [];
+    let total = 0;
+    do {
+      const page = await this.query({ ...filter, limit: 500, offset: results.length });
+      results.push(...page.results);
+      total = page.results.length > 0 ? page.total : results.length;
+    } while (results.length < total);
+    return results;
+  }
+
+  async export(format, filter) {
+    return this.apiClient.benchmarkExport(format, filter);
+  }
+
+  async compare(ids) {
+    const { timestamp, ...comparison } = await this.apiClient.benchmarkCompare(ids);
+    return comparison;
   }
 
   async getLatestByFramework() {
@@ -156,8 +177,7 @@ export class BenchmarkServiceAdapter {
   }
 
   async getByFramework(framework) {
-    const res = await this.apiClient.benchmarkByFramework(framework);
-    return res.results;
+    return this.getAll({ framework });
   }
 
   async add(result) {
@@ -174,6 +194,31 @@ export class BenchmarkServiceAdapter {
     return res.stats;
   }
 
+  async getTimeline(id) {
+    const res = await this.apiClient.benchmarkTimeline(id);
+    return res.timeline || [];
+  }
+
+  async getHistogram(id) {
+    const res = await this.apiClient.benchmarkHistogram(id);
+    return { latency: res.latency || null, corrected: res.corrected || null };
+  }
+
+  async getResources(id) {
+    const res = await this.apiClient.benchmarkResources(id);
+    return { interval: res.interval, samples: res.samples || [], summary: res.summary || null };
+  }
+
+  async getEnvironment(id) {
+    const res = await this.apiClient.benchmarkEnvironment(id);
+    return res.environment || null;
+  }
+
+  async getGroups(type) {
+    const res = await this.apiClient.benchmarkGroups(type);
+    return res.groups || [];
+  }
+
   formatResult(result) {
     return {
       time: new Date(result.timestamp).toLocaleTimeString("en-US", {
@@ -40,8 +40,9 @@ export class APIClient {
 
   /**
    * Make HTTP request to API
+   * With raw, a successful response body is returned as text instead of parsed JSON
    */
-  async request(method, path, body = null) {
+  async request(method, path, body = null, { raw = false } = {}) {
     return new Promise((resolve, reject) => {
       const url = new URL(this.baseURL + path);
       const isHttps = url.protocol === "https:";
@@ -66,6 +67,11 @@ export class APIClient {
         });
 
         res.on("end", () => {
+          if (raw && res.statusCode < 400) {
+            resolve(data);
+            return;
+          }
+
           try {
             const parsed = data ? JSON.parse(data) : null;
             if (res.statusCode >= 400) {
@@ -277,24 +283,28 @@ export class APIClient {
   // ==================== Benchmark ====================
 
   /**
-   * Get latest benchmark results
+   * Query benchmark results (framework, endpoint, method, from, to, tag, minReqPerSec,
+   * maxReqPerSec, environmentId, hostname, status, limit, offset)
    */
-  async benchmarkLatest(count = 10) {
-    return this.get(`/api/benchmark/latest?count=${count}`);
+  async benchmarkResults(filter = {}) {
+    const params = new URLSearchParams(Object.entries(filter).filter(([, value]) => value != null));
+    const query = params.toString();
+    return this.get(`/api/benchmark/results${query ? `?${query}` : ""}`);
   }
 
   /**
-   * Get all benchmark results
+   * Export benchmark results as a file body (csv, json, md or html), with the filters of benchmarkResults
    */
-  async benchmarkAll() {
-    return this.get("/api/benchmark/all");
+  async benchmarkExport(format, filter = {}) {
+    const params = new URLSearchParams(Object.entries({ format, ...filter }).filter(([, value]) => value != null));
+    return this.request("GET", `/api/benchmark/export?${params}`, null, { raw: true });
   }
 
   /**
-   * Get results by framework
+   * Compare runs side by side (first id is the reference)
    */
-  async benchmarkByFramework(framework) {
-    return this.get(`/api/benchmark/by-framework/${framework}`);
+  async benchmarkCompare(ids) {
+    return this.get(`/api/benchmark/compare?ids=${ids.join(",")}`);
   }
 
   /**
@@ -332,6 +342,82 @@ export class APIClient {
     return this.get("/api/benchmark/stats");
   }
 
+  /**
+   * Get per-second samples of a benchmark result
+   */
+  async benchmarkTimeline(id) {
+    return this.get(`/api/benchmark/${id}/timeline`);
+  }
+
+  /**
+   * Get the whole-run latency histogram (with percentile distribution) of a benchmark result
+   */
+  async benchmarkHistogram(id) {
+    return this.get(`/api/benchmark/${id}/histogram`);
+  }
+
+  /**
+   * Get the app/Redis/host resources sampled during a benchmark result's run
+   */
+  async benchmarkResources(id) {
+    return this.get(`/api/benchmark/${id}/resources`);
+  }
+
+  /**
+   * Get an environment snapshot (the environmentId of a benchmark result)
+   */
+  async benchmarkEnvironment(id) {
+    return this.get(`/api/benchmark/environments/${id}`);
+  }
+
+  /**
+   * Start a benchmark run on the API host
+   * Progress is pushed to the "benchmark:progress" WebSocket stream
+   * @param {Object} options - { framework, endpoint, method, duration, connections, workers, pipelining }
+   * @returns {Promise<Object>} { runId, run, stream }
+   */
+  async benchmarkRun(options) {
+    return this.post("/api/benchmark/run", options);
+  }
+
+  /**
+   * Get status of a benchmark run
+   */
+  async benchmarkRunStatus(runId) {
+    return this.get(`/api/benchmark/run/${runId}`);
+  }
+
+  /**
+   * Cancel a benchmark run; its final status ("cancelled") arrives on "benchmark:progress"
+   */
+  async benchmarkCancel(runId) {
+    return this.delete(`/api/benchmark/run/${runId}`);
+  }
+
+  /**
+   * Start a max-sustainable-throughput search on the API host
+   * Progress is pushed to the "benchmark:progress" WebSocket stream
+   * @param {Object} options - { framework, targetP99, endpoint?, method?, probeDuration?, maxProbes? }
+   */
+  async benchmarkSloSearch(options) {
+    return this.post("/api/benchmark/slo", options);
+  }
+
+  /**
+   * Get latest benchmark result groups
+   * @param {string} [type] - Group type (e.g. "slo")
+   */
+  async benchmarkGroups(type) {
+    return this.get(`/api/benchmark/groups${type ? `?type=${type}` : ""}`);
+  }
+
+  /**
+   * Get a benchmark result group with its results
+   */
+  async benchmarkGroup(groupId) {
+    return this.get(`/api/benchmark/groups/${groupId}`);
+  }
+
   // ==================== WebSocket ====================
 
   /**
@@ -345,6 +431,12 @@ export class APIClient {
          this.ws.addEventListener("open", () => {
            logInfo("Connected to API", { component: "api-client", event: "ws-connect" });
            this.wsConnected = true;
+
+           // Restore subscriptions after a reconnect (server state is per connection)
+           for (const [stream, { interval }] of this.wsSubscriptions) {
+             this.ws.send(JSON.stringify({ type: "subscribe", stream, interval }));
+           }
+
            if (this.wsCallbacks.onConnect) {
              this.wsCallbacks.onConnect();
            }
@@ -1,7 +1,28 @@
 import blessed from "blessed";
+import { mkdir, writeFile } from "fs/promises";
+import { join } from "path";
+import { fileURLToPath } from "url";
 import contrib from "blessed-contrib";
-import { formatNumber } from "../../utils/format.js";
+import { formatNumber, regressionMarker, truncate } from "../../utils/format.js";
 import { getFrameworkNames } from "../../config/frameworksConfig.js";
+import { CHART_STYLES } from "../../config/constants.js";
+
+/**
+ * Runs GET /api/benchmark/compare accepts at once
+ */
+const MAX_COMPARED = 4;
+
+/**
+ * Where the Export action writes its files (next to the dashboard)
+ */
+const EXPORT_DIR = fileURLToPath(new URL("../../exports/", import.meta.url));
+
+/**
+ * Export formats of GET /api/benchmark/export, by key in the Export dialog
+ */
+const EXPORT_KEYS = { h: "html", k: "md", v: "csv", j: "json" };
+
+const HISTORY_LABEL = " Full History (↑↓ to navigate, ▼ regressed / ▲ improved vs baseline) ";
 
 /**
  * Create the benchmark history overlay (hidden by default)
@@ -26,7 +47,7 @@ export function createBenchmarkOverlay(screen, benchmarkService) {
         fg: "cyan",
       },
     },
-    label: " Benchmark History - Press ESC to close, ↑↓ to scroll, 'c' to clear history ",
+    label: " Benchmark History - ESC to close, ↑↓ to scroll, 'm' to mark, 'd' to compare marked, 'e' to export, 'c' to clear history ",
     hidden: true,
   });
 
@@ -54,7 +75,7 @@ export function createBenchmarkOverlay(screen, benchmarkService) {
     },
     label: " Latest Performance by Endpoint (Req/s) ",
     columnSpacing: 3,
-    columnWidth: [18, 10, 12, 12, 12],
+    columnWidth: [22, 10, 15, 15, 15],
   });
 
   // History Table (middle 40%)
@@ -81,7 +102,7 @@ export function createBenchmarkOverlay(screen, benchmarkService) {
         bold: true,
       },
     },
-    label: " Full History (↑↓ to navigate) ",
+    label: HISTORY_LABEL,
     columnSpacing: 2,
     columnWidth: [10, 10, 11, 9, 9, 9, 11, 15, 10],
   });
@@ -102,9 +123,73 @@ export function createBenchmarkOverlay(screen, benchmarkService) {
       },
     },
     label: " Selected Benchmark Details ",
+  });
+
+  // Details text (left) and per-second timeline charts (right)
+  const detailsText = blessed.box({
+    parent: detailsPanel,
+    top: 0,
+    left: 0,
+    width: "55%",
+    height: "100%-2",
+    content: "",
+    tags: true,
+    scrollable: true,
+  });
+
+  // Charts are appended after creation: blessed-contrib sets up the canvas on "attach"
+  const timelineChartOptions = (style, top) => ({
+    top,
+    left: "55%",
+    width: "45%-2",
+    height: "50%-1",
+    style: {
+      line: style.line,
+      text: "white",
+      baseline: "white",
+    },
+    xLabelPadding: 3,
+    xPadding: 5,
+    showLegend: false,
+    wholeNumbersOnly: false,
+    label: ` ${style.title} `,
+  });
+
+  const rpsChart = contrib.line(timelineChartOptions(CHART_STYLES.timelineRps, 0));
+  const p99Chart = contrib.line(timelineChartOptions(CHART_STYLES.timelineP99, "50%-1"));
+  detailsPanel.append(rpsChart);
+  detailsPanel.append(p99Chart);
+
+  // Diff of the marked runs, over the history table and details panel ('d' toggles it)
+  const compareView = blessed.box({
+    parent: overlay,
+    top: "30%",
+    left: 1,
+    width: "100%-2",
+    height: "70%-1",
+    border: {
+      type: "line",
+    },
+    style: {
+      bg: "black",
+      border: {
+        fg: "yellow",
+      },
+    },
+    label: " Compare Marked Runs ('d' to close, ↑↓ to scroll) ",
     content: "",
     tags: true,
     scrollable: true,
+    alwaysScroll: true,
+    keys: true,
+    vi: true,
+    hidden: true,
+  });
+
+  compareView.key(["d"], () => {
+    compareView.hide();
+    historyTable.focus();
+    screen.render();
   });
 
   return {
@@ -112,15 +197,31 @@ export function createBenchmarkOverlay(screen, benchmarkService) {
     summaryTable,
     historyTable,
     detailsPanel,
+    detailsText,
+    rpsChart,
+    p99Chart,
+    compareView,
   };
 }
 
+/**
+ * Format an aggregated req/s as mean with the 95% CI half-width (e.g. "412,000 ±1.2%")
+ * @param {Object} reqPerSec - summarize() object from a repeat group
+ * @returns {string}
+ */
+function formatAggregateRps(reqPerSec) {
+  const halfWidth = (reqPerSec.ci95.high - reqPerSec.ci95.low) / 2;
+  const pct = reqPerSec.mean ? (halfWidth / reqPerSec.mean) * 100 : 0;
+  return `${formatNumber(reqPerSec.mean)} ±${pct.toFixed(1)}%`;
+}
+
 /**
  * Format summary table data - shows latest performance by endpoint across frameworks
  * @param {Object} latestByFramework - Map of framework:endpoint:method -> result
+ * @param {Map} repeatGroups - Map of group id -> repeat group (results of repeated runs show the aggregate)
  * @returns {Object} { headers, data }
  */
-function formatSummaryTableData(latestByFramework) {
+function formatSummaryTableData(latestByFramework, repeatGroups) {
   const frameworkList = getFrameworkNames();
   const headers = ["Endpoint", "Method", ...frameworkList];
   
@@ -139,17 +240,30 @@ function formatSummaryTableData(latestByFramework) {
     const endpoint = result.endpoint || '/';
     const method = result.method || 'GET';
     const framework = result.framework || 'unknown';
-    const endpointKey = `${endpoint}:${method}`;
+    // Warmed-up, open-model and non-autocannon runs get their own row so they are not compared with
+    // cold, closed-loop autocannon runs
+    const warmup = result.warmup || 0;
+    const openRate = result.loadModel === 'open' ? result.targetRate : null;
+    const engine = result.engine && result.engine !== 'autocannon' ? result.engine : null;
+    const endpointKey = `${endpoint}:${method}:${warmup}:${openRate || ''}:${engine || ''}`;
     
     if (!endpointMap.has(endpointKey)) {
+      let label = warmup > 0 ? `${endpoint} (${warmup}s warm)` : endpoint;
+      if (openRate) label += ` @${formatNumber(openRate)}`;
+      if (engine) label += ` [${engine}]`;
       endpointMap.set(endpointKey, {
-        endpoint,
+        endpoint: label,
         method,
         frameworks: {}
       });
     }
     
-    endpointMap.get(endpointKey).frameworks[framework] = result.reqPerSec;
+    const group = repeatGroups.get(result.groupId);
+    const value = group
+      ? formatAggregateRps(group.summary.reqPerSec)
+      : formatNumber(result.reqPerSec);
+    // "!" marks runs with too many failed requests to count, ▼/▲ a verdict against the baseline
+    endpointMap.get(endpointKey).frameworks[framework] = `${value}${result.invalid ? " !" : ""}${regressionMarker(result)}`;
   }
   
   const data = Array.from(endpointMap.values()).map(item => {
@@ -161,7 +275,7 @@ function formatSummaryTableData(latestByFramework) {
     // Add framework data in order
     frameworkList.forEach(framework => {
       const value = item.frameworks[framework];
-      row.push(value ? formatNumber(value) : "—");
+      row.push(value || "—");
     });
     
     return row;
@@ -173,9 +287,10 @@ function formatSummaryTableData(latestByFramework) {
 /**
  * Format history table data
  * @param {Array} allResults - All benchmark results
+ * @param {Array<number>} [marked=[]] - Ids of the runs marked for comparison ("●" before the time)
  * @returns {Object} { headers, data }
  */
-function formatHistoryTableData(allResults) {
+function formatHistoryTableData(allResults, marked = []) {
   const headers = ["Time", "Framework", "Req/s", "Avg Lat", "P50", "P90", "P99", "Total Reqs", "Endpoint"];
   const data = allResults.map((r) => {
     const time = new Date(r.timestamp).toLocaleTimeString("en-US", {
@@ -184,27 +299,251 @@ function formatHistoryTableData(allResults) {
       hour12: false,
     });
     return [
-      time || "N/A",
-      r.framework || "N/A",
-      formatNumber(r.reqPerSec) || "0",
+      marked.includes(r.id) ? `● ${time}` : time || "N/A",
+      r.status === "cancelled" ? `${r.framework} (cancelled)` : r.framework || "N/A",
+      `${formatNumber(r.reqPerSec)}${regressionMarker(r)}`,
       r.avgLatency != null ? `${r.avgLatency}ms` : "N/A",
       r.p50Latency != null ? `${r.p50Latency}ms` : "N/A",
       r.p90Latency != null ? `${r.p90Latency}ms` : "N/A",
       r.p99Latency != null ? `${r.p99Latency}ms` : "N/A",
       formatNumber(r.totalReqs) || "0",
-      r.endpoint || "/",
+      r.engine && r.engine !== "autocannon" ? `${r.endpoint || "/"} [${r.engine}]` : r.endpoint || "/",
     ];
   });
 
   return { headers, data };
 }
 
+/**
+ * Format the aggregate section for a result that belongs to a repeat group
+ * @param {Object} group - Repeat group with summary from aggregateResults()
+ * @returns {string} Formatted content with tags
+ */
+function formatAggregateContent(group) {
+  const { summary } = group;
+  const line = (label, s, unit = "") =>
+    `    ${label}: ${formatNumber(s.mean)}${unit} ± ${formatNumber(s.stddev)}  |  95% CI: ${formatNumber(s.ci95.low)} – ${formatNumber(s.ci95.high)}${unit}  |  Min/Max: ${formatNumber(s.min)} / ${formatNumber(s.max)}${unit}`;
+
+  return `  ─────────────────────────────────────────────────────────────────────────────
+  {yellow-fg}Aggregate of ${summary.runs} runs (mean ± stddev):{/yellow-fg}
+${line("Req/s", summary.reqPerSec)}
+${line("Avg  ", summary.avgLatency, " ms")}
+${line("P50  ", summary.p50Latency, " ms")}
+${line("P90  ", summary.p90Latency, " ms")}
+${line("P99  ", summary.p99Latency, " ms")}
+${summary.p999Latency ? `${line("P99.9", summary.p999Latency, " ms")}
+` : ""}`;
+}
+
+/**
+ * Format the coordinated-omission corrected latency line of an open-model result
+ * @param {Object} result - Single benchmark result
+ * @returns {string} Line with tags, or "" for closed-model results
+ */
+function formatCorrectedLatency(result) {
+  if (result.correctedP99Latency == null) return "";
+
+  const extreme = result.correctedP999Latency != null
+    ? `  |  P99.9: ${result.correctedP999Latency} ms  |  P99.99: ${result.correctedP9999Latency} ms`
+    : "";
+
+  return `    {magenta-fg}Corrected:{/magenta-fg} Average: ${result.correctedAvgLatency} ms  |  P50: ${result.correctedP50Latency} ms  |  P90: ${result.correctedP90Latency} ms  |  P99: ${result.correctedP99Latency} ms${extreme}
+`;
+}
+
+/**
+ * Format the percentile distribution of a result's whole-run histogram
+ * @param {Object|null} histogram - { latency, corrected } from GET /api/benchmark/:id/histogram
+ *   (undefined while loading, null if the result has none)
+ * @returns {string} Section with tags
+ */
+function formatPercentileDistribution(histogram) {
+  const header = `  ─────────────────────────────────────────────────────────────────────────────
+  {yellow-fg}Percentile distribution:{/yellow-fg}`;
+
+  if (histogram === undefined) return `${header} {gray-fg}loading…{/gray-fg}\n`;
+  if (!histogram?.latency) return `${header} {gray-fg}no histogram recorded{/gray-fg}\n`;
+
+  const { latency, corrected } = histogram;
+  const max = Math.max(latency.max, corrected?.max || 0);
+  // Log scale, so p50 and the tail both stay readable
+  const bar = (ms) => "█".repeat(max > 0 ? Math.max(1, Math.round((Math.log1p(ms) / Math.log1p(max)) * 30)) : 1);
+  const label = (p) => (p >= 100 ? "max" : `p${p}`).padEnd(8);
+
+  const rows = latency.percentiles.map(({ percentile, latency: ms }, i) => {
+    const correctedMs = corrected?.percentiles[i]?.latency;
+    const correctedText = correctedMs != null ? `  {magenta-fg}${`${correctedMs} ms`.padStart(10)}{/magenta-fg}` : "";
+    return `    ${label(percentile)}${`${ms} ms`.padStart(10)}${correctedText}  {cyan-fg}${bar(correctedMs ?? ms)}{/cyan-fg}`;
+  });
+
+  const columns = corrected ? `{gray-fg}measured / {/gray-fg}{magenta-fg}corrected{/magenta-fg}` : "";
+  return `${header} ${formatNumber(latency.total)} requests ${columns}
+${rows.join("\n")}
+`;
+}
+
+/**
+ * Format the error breakdown of a result (status codes, error classes, sample failing bodies)
+ * @param {Object} result - Single benchmark result
+ * @returns {string} Section with tags, or "" when nothing failed
+ */
+function formatErrorBreakdown(result) {
+  const breakdown = result.errorBreakdown;
+  const failed = (result.errors || 0) + (result.timeouts || 0) + (result.non2xx || 0);
+  if (!breakdown || failed === 0) return "";
+
+  const counts = (entries) => entries.map(([name, count]) => `${name}: ${formatNumber(count)}`).join("  |  ");
+  const statusCodes = breakdown.statusCodes ? Object.entries(breakdown.statusCodes).sort(([a], [b]) => a - b) : [];
+  const errors = Object.entries(breakdown.errors || {}).sort(([, a], [, b]) => b - a);
+  const samples = (breakdown.samples || []).map(({ status, body, count }) =>
+    `    {gray-fg}${status} ×${formatNumber(count)}:{/gray-fg} ${blessed.escape(body.replace(/\s+/g, " ").slice(0, 100)) || "(empty body)"}`
+  );
+
+  return `  ─────────────────────────────────────────────────────────────────────────────
+  {yellow-fg}Error breakdown:{/yellow-fg}
+${statusCodes.length ? `    Status codes: ${counts(statusCodes)}\n` : ""}${errors.length ? `    Errors: ${counts(errors)}\n` : ""}${samples.length ? `${samples.join("\n")}\n` : ""}`;
+}
+
+/**
+ * Format the write integrity check of a result (write endpoints only)
+ * @param {Object} result - Single benchmark result
+ * @returns {string} Section with tags, or "" for endpoints without a write scheme
+ */
+function formatIntegrity(result) {
+  const integrity = result.integrity;
+  if (!integrity) return "";
+
+  const color = { ok: "green", unverified: "yellow" }[integrity.status] || "red";
+  const header = `  ─────────────────────────────────────────────────────────────────────────────
+  {yellow-fg}Write integrity:{/yellow-fg} {${color}-fg}${integrity.status}{/${color}-fg}`;
+
+  if (!integrity.deltas) return `${header}
+    {gray-fg}${blessed.escape(integrity.message)}{/gray-fg}
+`;
+
+  const deltas = Object.entries(integrity.deltas).map(([name, delta]) => `${name} +${formatNumber(delta)}`).join("  |  ");
+  const { records } = integrity;
+  const checked = `${formatNumber(records.checked)}${records.sampled ? ` sampled of ${formatNumber(records.expected)}` : ""}`;
+
+  return `${header}
+    {${color}-fg}${integrity.message}{/${color}-fg}
+    Acknowledged (201): ${formatNumber(integrity.acknowledged)}${integrity.acknowledgedExact ? "" : " {gray-fg}(2xx, no status codes){/gray-fg}"}  |  Stored: ${formatNumber(integrity.stored)}  |  Redis: ${deltas}
+    Records checked: ${checked}  |  Missing: ${formatNumber(records.missing)}  |  Duplicates: ${formatNumber(records.duplicates)}
+`;
+}
+
+/**
+ * Format the comparison of a result with the baseline of its combination
+ * @param {Object} result - Single benchmark result
+ * @returns {string} Section with tags, or "" if the combination had no baseline when it ran
+ */
+function formatRegression(result) {
+  const regression = result.regression;
+  if (!regression) return "";
+
+  const color = { regressed: "red", improved: "green" }[regression.verdict] || "gray";
+  const change = (value) => (value == null ? "n/a" : `${value > 0 ? "+" : ""}${(value * 100).toFixed(1)}%`);
+  const line = (label, metric, unit) =>
+    `${label}: ${formatNumber(metric.value)}${unit} vs ${formatNumber(metric.baseline)}${unit} (${change(metric.change)})`;
+
+  return `  ─────────────────────────────────────────────────────────────────────────────
+  {yellow-fg}Baseline:{/yellow-fg} {${color}-fg}${regression.verdict}{/${color}-fg}
+    ${line("Req/s", regression.reqPerSec, "")}  |  ${line("P99", regression.p99Latency, " ms")}
+${regression.reasons.length ? `    {${color}-fg}${regression.reasons.join("; ")}{/${color}-fg}\n` : ""}`;
+}
+
+/**
+ * Format the resources sampled while a result ran (app instances, Redis nodes, host)
+ * @param {Object|null} resources - { interval, samples, summary } from GET /api/benchmark/:id/resources
+ *   (undefined while loading, null if none were recorded)
+ * @returns {string} Section with tags
+ */
+function formatResources(resources) {
+  const header = `  ─────────────────────────────────────────────────────────────────────────────
+  {yellow-fg}Resources:{/yellow-fg}`;
+
+  if (resources === undefined) return `${header} {gray-fg}loading…{/gray-fg}\n`;
+  if (!resources?.summary) return `${header} {gray-fg}not sampled{/gray-fg}\n`;
+
+  const { summary } = resources;
+  const mb = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+  const color = summary.bottleneck ? "red" : "green";
+  const redis = summary.redis.map((node) =>
+    `    Redis ${node.role} ${node.port}: CPU ${node.cpu.avg}% (max ${node.cpu.max}%)  |  ${formatNumber(Math.round(node.opsPerSec.avg))} ops/s  |  ${mb(node.memory)}`
+  );
+
+  return `${header} {gray-fg}${summary.samples} samples every ${resources.interval / 1000}s{/gray-fg}
+    {${color}-fg}${summary.verdict}{/${color}-fg}
+    Host: CPU ${summary.system.cpu.avg}% (max ${summary.system.cpu.max}%)  |  Load: ${summary.system.load1} on ${summary.system.cores} cores
+    App: ${summary.app.instances} instances, CPU ${summary.app.cpu.avg}% each (max ${summary.app.cpu.max}%)  |  RSS: ${mb(summary.app.memory)}
+${redis.length ? `${redis.join("\n")}\n` : ""}`;
+}
+
+/**
+ * Format the environment a result ran in
+ * @param {Object} result - Single benchmark result
+ * @param {Object|null} [environment] - Snapshot from GET /api/benchmark/environments/:id
+ *   (undefined while loading, null if it could not be fetched)
+ * @returns {string} Section with tags, or "" for results recorded without one
+ */
+function formatEnvironment(result, environment) {
+  if (!result.environmentId) return "";
+
+  const header = `  ─────────────────────────────────────────────────────────────────────────────
+  {yellow-fg}Environment:{/yellow-fg}`;
+
+  if (environment === undefined) return `${header} {gray-fg}loading…{/gray-fg}\n`;
+  if (!environment) return `${header} {gray-fg}unavailable{/gray-fg}\n`;
+
+  const e = environment;
+  const value = (v) => v ?? "?";
+  const runtimes = [
+    e.nodeVersion && `Node ${e.nodeVersion}`,
+    e.bunVersion && `Bun ${e.bunVersion}`,
+    e.dotnetVersion && `.NET ${e.dotnetVersion}`,
+  ].filter(Boolean).join(", ") || "?";
+  const redis = e.redisNodes != null
+    ? `${e.redisNodes} nodes (${e.redisMasters} masters, ${e.redisReplicas} replicas), ${value(e.redisVersion)}`
+    : "agent unavailable";
+  const revision = e.gitCommit ? `${e.gitCommit.slice(0, 10)}${e.gitDirty ? " (modified frameworks/)" : ""}` : "?";
+
+  return `${header} {gray-fg}#${e.id}{/gray-fg}
+    Host: ${value(e.hostname)}  |  CPU: ${value(e.cpuModel)} (${value(e.cpuCores)} cores)  |  Kernel: ${value(e.kernel)}
+    Runtimes: ${runtimes}  |  PM2 instances: ${value(e.pm2Instances)}
+    Redis: ${redis}  |  ${value(e.redisHost)} (${e.redisLocal ? "same host" : "remote"})
+    Commit: ${revision}  |  Handlers: ${value(e.handlersHash)}
+`;
+}
+
+/**
+ * Format the per-agent breakdown of a result generated by load agents
+ * @param {Object} result - Single benchmark result
+ * @returns {string} Section with tags, or "" for single-host results
+ */
+function formatAgentBreakdown(result) {
+  if (!result.agents?.length) return "";
+
+  const rows = result.agents.map((a) => {
+    const errors = (a.errors || 0) + (a.timeouts || 0) + (a.non2xx || 0);
+    return `    ${a.agent}: ${formatNumber(a.reqPerSec)} req/s  |  ${a.connections} conn, ${a.workers} workers  |  P50: ${a.p50Latency} ms  P99: ${a.p99Latency} ms${errors > 0 ? `  |  {yellow-fg}${errors} errors{/yellow-fg}` : ""}`;
+  });
+
+  return `  ─────────────────────────────────────────────────────────────────────────────
+  {yellow-fg}Load agents (${result.agents.length}, merged above):{/yellow-fg}
+${rows.join("\n")}
+`;
+}
+
 /**
  * Format details panel content
  * @param {Object} result - Single benchmark result
+ * @param {Object} [group] - Repeat group the result belongs to
+ * @param {Object|null} [histogram] - Whole-run histogram (see formatPercentileDistribution)
+ * @param {Object|null} [environment] - Environment snapshot (see formatEnvironment)
+ * @param {Object|null} [resources] - Resource samples (see formatResources)
  * @returns {string} Formatted details content with tags
  */
-function formatDetailsContent(result) {
+function formatDetailsContent(result, group, histogram, environment, resources) {
   if (!result) return "";
 
   const hasErrors = (result.errors || 0) > 0 || (result.timeouts || 0) > 0 || (result.non2xx || 0) > 0;
@@ -212,31 +551,105 @@ function formatDetailsContent(result) {
 
   return `
   {cyan-fg}Framework:{/cyan-fg} ${result.framework || "N/A"}  |  {cyan-fg}Endpoint:{/cyan-fg} ${result.method || "GET"} ${result.endpoint || "/"}
-  {cyan-fg}Timestamp:{/cyan-fg} ${new Date(result.timestamp).toLocaleString()}
-  ─────────────────────────────────────────────────────────────────────────────
+  {cyan-fg}Timestamp:{/cyan-fg} ${new Date(result.timestamp).toLocaleString()}${result.tags?.length ? `  |  {cyan-fg}Tags:{/cyan-fg} ${blessed.escape(result.tags.join(", "))}` : ""}
+${result.notes ? `  {cyan-fg}Notes:{/cyan-fg} ${blessed.escape(result.notes)}
+` : ""}${result.status === "cancelled" ? `  {red-fg}Cancelled:{/red-fg} partial result, stopped after ${result.duration}s (not used in the latest summary)
+` : ""}  ─────────────────────────────────────────────────────────────────────────────
   {yellow-fg}Configuration:{/yellow-fg}
-    Duration: ${result.duration || "N/A"}s  |  Connections: ${result.connections || "N/A"}  |  Workers: ${result.workers || "N/A"}  |  Pipelining: ${result.pipelining || "N/A"}
+    Engine: ${result.engine || "autocannon"}  |  Duration: ${result.duration || "N/A"}s  |  Connections: ${result.connections || "N/A"}  |  Workers: ${result.workers || "N/A"}  |  Pipelining: ${result.pipelining || "N/A"}
+    Load model: ${result.loadModel === "open" ? `open, fixed arrival rate ${formatNumber(result.targetRate)} req/s` : "closed"}  |  Warmup: ${result.warmup > 0 ? `${result.warmup}s${result.warmupRate ? ` @ ${formatNumber(result.warmupRate)} req/s` : ""} (discarded)` : "none"}
   ─────────────────────────────────────────────────────────────────────────────
   {yellow-fg}Latency:{/yellow-fg}
-    Average: ${result.avgLatency != null ? result.avgLatency : "N/A"} ms  |  P50: ${result.p50Latency != null ? result.p50Latency : "N/A"} ms  |  P90: ${result.p90Latency != null ? result.p90Latency : "N/A"} ms  |  P99: ${result.p99Latency != null ? result.p99Latency : "N/A"} ms
-  ─────────────────────────────────────────────────────────────────────────────
+    Average: ${result.avgLatency != null ? result.avgLatency : "N/A"} ms  |  P50: ${result.p50Latency != null ? result.p50Latency : "N/A"} ms  |  P90: ${result.p90Latency != null ? result.p90Latency : "N/A"} ms  |  P99: ${result.p99Latency != null ? result.p99Latency : "N/A"} ms${result.p999Latency != null ? `  |  P99.9: ${result.p999Latency} ms  |  P99.99: ${result.p9999Latency ?? "N/A"} ms` : ""}
+${formatCorrectedLatency(result)}  ─────────────────────────────────────────────────────────────────────────────
   {yellow-fg}Requests:{/yellow-fg}
     Total: ${formatNumber(result.totalReqs) || "0"}  |  Per Second: ${formatNumber(result.reqPerSec) || "0"}
   ─────────────────────────────────────────────────────────────────────────────
   {${errorColor}-fg}Status:{/${errorColor}-fg}
     Errors: ${result.errors || 0}  |  Timeouts: ${result.timeouts || 0}  |  Non-2xx: ${result.non2xx || 0}
-    `;
+${formatErrorBreakdown(result)}${formatIntegrity(result)}${formatRegression(result)}${formatAgentBreakdown(result)}${group ? formatAggregateContent(group) : ""}${formatPercentileDistribution(histogram)}${formatResources(resources)}${formatEnvironment(result, environment)}    `;
+}
+
+/**
+ * Format a comparison of marked runs: aligned metrics with deltas against the first run, then the
+ * load settings and environment fields that differ
+ * @param {Object} comparison - GET /api/benchmark/compare response
+ * @returns {string} Formatted content with tags
+ */
+function formatCompareContent(comparison) {
+  const labelWidth = 22;
+  const columnWidth = 26;
+  // Tags take no room on screen, so cells are padded by their plain text
+  const cell = (plain, tagged = plain) => `${tagged}${" ".repeat(Math.max(1, columnWidth - plain.length))}`;
+  const value = (v) => {
+    if (v == null) return "—";
+    if (typeof v === "boolean") return v ? "yes" : "no";
+    return typeof v === "number" ? formatNumber(v) : truncate(String(v), columnWidth - 2);
+  };
+
+  const runs = comparison.runs.map((run, i) =>
+    cell(truncate(`#${run.id} ${run.framework}${i === 0 ? " (ref)" : ""}`, columnWidth - 2))
+  );
+  const endpoints = comparison.runs.map((run) =>
+    cell(truncate(`${run.method} ${run.endpoint}${run.engine !== "autocannon" ? ` [${run.engine}]` : ""}`, columnWidth - 2))
+  );
+
+  const metricRows = comparison.metrics.map(({ label, better, values, deltas }) => {
+    const cells = values.map((v, i) => {
+      const delta = deltas[i];
+      if (!delta || delta.percent == null || delta.absolute === 0) return cell(value(v));
+
+      const improved = better === "higher" ? delta.absolute > 0 : delta.absolute < 0;
+      const color = improved ? "green" : "red";
+      const change = `(${delta.percent > 0 ? "+" : ""}${delta.percent}%)`;
+      return cell(`${value(v)} ${change}`, `${value(v)} {${color}-fg}${change}{/${color}-fg}`);
+    });
+    return `  ${label.padEnd(labelWidth)}${cells.join("")}`;
+  });
+
+  const differences = comparison.differences.length
+    ? comparison.differences.map(({ label, source, values }) =>
+        `  ${`${label}${source === "environment" ? " (env)" : ""}`.padEnd(labelWidth)}${values.map((v) => cell(value(v))).join("")}`
+      )
+    : ["  {green-fg}Same load settings and environment{/green-fg}"];
+
+  return `
+  ${"".padEnd(labelWidth)}{cyan-fg}${runs.join("")}{/cyan-fg}
+  ${"".padEnd(labelWidth)}${endpoints.join("")}
+  ─────────────────────────────────────────────────────────────────────────────
+  {yellow-fg}Metrics:{/yellow-fg} {gray-fg}(change against the reference run){/gray-fg}
+${metricRows.join("\n")}
+  ─────────────────────────────────────────────────────────────────────────────
+  {yellow-fg}Differences:{/yellow-fg}
+${differences.join("\n")}
+`;
+}
+
+/**
+ * Format per-second samples as line chart series
+ * @param {Array} timeline - Samples from GET /api/benchmark/:id/timeline
+ * @returns {Object} { rps, p99 } contrib.line data
+ */
+function formatTimelineChartData(timeline) {
+  // contrib.line needs at least one point
+  const samples = timeline.length > 0 ? timeline : [{ second: 0, requests: 0, p99Latency: 0 }];
+  const x = samples.map((s) => `${s.second}s`);
+
+  return {
+    rps: [{ title: "req/s", x, y: samples.map((s) => s.requests), style: { line: CHART_STYLES.timelineRps.line } }],
+    p99: [{ title: "p99", x, y: samples.map((s) => s.p99Latency), style: { line: CHART_STYLES.timelineP99.line } }],
+  };
 }
 
 /**
  * Show the benchmark details overlay with data
- * @param {Object} components - { overlay, summaryTable, historyTable, detailsPanel }
+ * @param {Object} components - { overlay, summaryTable, historyTable, detailsPanel, detailsText, rpsChart, p99Chart, compareView }
  * @param {blessed.Screen} screen - The blessed screen instance
  * @param {BenchmarkService} benchmarkService - The benchmark service instance
  * @param {Function} onClear - Callback when clear is requested
  */
 export async function showBenchmarkDetails(components, screen, benchmarkService, onClear) {
-  const { overlay, summaryTable, historyTable, detailsPanel } = components;
+  const { overlay, summaryTable, historyTable, detailsText, rpsChart, p99Chart, compareView } = components;
 
   // Get all benchmark history
   const allResults = await benchmarkService.getAll();
@@ -246,38 +659,179 @@ export async function showBenchmarkDetails(components, screen, benchmarkService,
   }
 
   // Show overlay first
+  compareView.hide();
   overlay.show();
   historyTable.focus();
   screen.render();
 
+  // Repeated runs are shown with their aggregate instead of a single run
+  const repeatGroups = new Map(
+    (await benchmarkService.getGroups("repeat")).map((group) => [group.id, group])
+  );
+
   // Update summary table
   const latestByFramework = await benchmarkService.getLatestByFramework();
-  const summaryData = formatSummaryTableData(latestByFramework);
+  const summaryData = formatSummaryTableData(latestByFramework, repeatGroups);
   summaryTable.setData(summaryData);
 
   // Update history table
   const { headers, data } = formatHistoryTableData(allResults);
   historyTable.setData({ headers, data });
+  historyTable.setLabel(HISTORY_LABEL);
 
-  // Function to update details panel
-  const updateDetailsPanel = (index) => {
+  // Timelines, histograms, resources and environments are fetched on selection and cached for the lifetime of the overlay
+  const timelines = new Map();
+  const histograms = new Map();
+  const resources = new Map();
+  const environments = new Map();
+  let selectedIndex = 0;
+
+  const updateTimelineCharts = async (index) => {
+    const result = allResults[index];
+    if (!result?.id) return;
+
+    if (!timelines.has(result.id)) {
+      try {
+        timelines.set(result.id, await benchmarkService.getTimeline(result.id));
+      } catch (err) {
+        timelines.set(result.id, []);
+      }
+    }
+
+    // Selection may have moved on while fetching
+    if (index !== selectedIndex) return;
+
+    const { rps, p99 } = formatTimelineChartData(timelines.get(result.id));
+    rpsChart.setData(rps);
+    p99Chart.setData(p99);
+    screen.render();
+  };
+
+  const renderDetails = (index) => {
     const result = allResults[index];
-    const content = formatDetailsContent(result);
-    detailsPanel.setContent(content);
+    detailsText.setContent(
+      formatDetailsContent(
+        result,
+        repeatGroups.get(result?.groupId),
+        histograms.get(result?.id),
+        environments.get(result?.environmentId),
+        resources.get(result?.id)
+      )
+    );
     screen.render();
   };
 
+  const updateHistogram = async (index) => {
+    const result = allResults[index];
+    if (!result?.id || histograms.has(result.id)) return;
+
+    try {
+      histograms.set(result.id, await benchmarkService.getHistogram(result.id));
+    } catch (err) {
+      // 404 for results recorded without a histogram
+      histograms.set(result.id, null);
+    }
+
+    // Selection may have moved on while fetching
+    if (index === selectedIndex) renderDetails(index);
+  };
+
+  const updateResources = async (index) => {
+    const result = allResults[index];
+    if (!result?.id || resources.has(result.id)) return;
+
+    try {
+      resources.set(result.id, await benchmarkService.getResources(result.id));
+    } catch (err) {
+      // 404 for results run outside the API
+      resources.set(result.id, null);
+    }
+
+    // Selection may have moved on while fetching
+    if (index === selectedIndex) renderDetails(index);
+  };
+
+  const updateEnvironment = async (index) => {
+    const id = allResults[index]?.environmentId;
+    if (!id || environments.has(id)) return;
+
+    try {
+      environments.set(id, await benchmarkService.getEnvironment(id));
+    } catch (err) {
+      environments.set(id, null);
+    }
+
+    // Selection may have moved on while fetching
+    if (index === selectedIndex) renderDetails(index);
+  };
+
+  // Function to update details panel
+  const updateDetailsPanel = (index) => {
+    renderDetails(index);
+    updateTimelineCharts(index);
+    updateHistogram(index);
+    updateResources(index);
+    updateEnvironment(index);
+  };
+
   // Show first result details
   updateDetailsPanel(0);
 
   // Handle table row selection (remove old listeners first)
   historyTable.rows.removeAllListeners("select");
-  let selectedIndex = 0;
   historyTable.rows.on("select", (item, index) => {
     selectedIndex = index;
     updateDetailsPanel(index);
   });
 
+  // Runs marked for comparison, in marking order (the first is the reference)
+  const marked = [];
+
+  historyTable.rows.removeAllListeners("key m");
+  historyTable.rows.key(["m"], () => {
+    const index = historyTable.rows.selected;
+    const id = allResults[index]?.id;
+    if (!id) return;
+
+    if (marked.includes(id)) {
+      marked.splice(marked.indexOf(id), 1);
+    } else if (marked.length < MAX_COMPARED) {
+      marked.push(id);
+    }
+
+    historyTable.setData(formatHistoryTableData(allResults, marked));
+    historyTable.rows.select(index);
+    historyTable.setLabel(marked.length ? `${HISTORY_LABEL}─ ${marked.length}/${MAX_COMPARED} marked, 'd' to compare ` : HISTORY_LABEL);
+    screen.render();
+  });
+
+  historyTable.rows.removeAllListeners("key d");
+  historyTable.rows.key(["d"], async () => {
+    compareView.show();
+    compareView.focus();
+    compareView.scrollTo(0);
+
+    if (marked.length < 2) {
+      compareView.setContent("\n  Mark at least 2 runs in the history table with 'm'.");
+      screen.render();
+      return;
+    }
+
+    compareView.setContent("\n  Loading comparison...");
+    screen.render();
+    try {
+      compareView.setContent(formatCompareContent(await benchmarkService.compare(marked)));
+    } catch (err) {
+      compareView.setContent(`\n  {red-fg}Comparison failed:{/red-fg} ${blessed.escape(err.message || String(err))}`);
+    }
+    screen.render();
+  });
+
+  historyTable.rows.removeAllListeners("key e");
+  historyTable.rows.key(["e"], () => {
+    showExportDialog(screen, benchmarkService, () => historyTable.focus());
+  });
+
   // Key bindings (remove old listeners first)
   overlay.removeAllListeners("keypress");
 
@@ -324,13 +878,86 @@ export async function showBenchmarkDetails(components, screen, benchmarkService,
   return true; // Success
 }
 
+/**
+ * Ask for a format and write the whole history to EXPORT_DIR
+ * @param {blessed.Screen} screen - The blessed screen instance
+ * @param {BenchmarkService} benchmarkService - The benchmark service instance
+ * @param {Function} onClose - Called when the dialog is closed
+ */
+function showExportDialog(screen, benchmarkService, onClose) {
+  const dialog = blessed.box({
+    parent: screen,
+    top: "center",
+    left: "center",
+    width: 70,
+    height: 9,
+    border: { type: "line" },
+    style: {
+      bg: "black",
+      border: { fg: "green" },
+    },
+    label: " Export History ",
+    content: `
+  Export all results as:
+
+  {cyan-fg}h{/cyan-fg} HTML report (charts)   {cyan-fg}k{/cyan-fg} Markdown   {cyan-fg}v{/cyan-fg} CSV   {cyan-fg}j{/cyan-fg} JSON
+
+  Any other key to cancel`,
+    tags: true,
+  });
+
+  let exporting = false;
+  const close = () => {
+    screen.remove(dialog);
+    onClose();
+    screen.render();
+  };
+
+  dialog.on("keypress", async (ch) => {
+    if (exporting) return;
+
+    const format = EXPORT_KEYS[ch];
+    if (!format) {
+      close();
+      return;
+    }
+
+    exporting = true;
+    dialog.setContent(`\n  Exporting ${format}...`);
+    screen.render();
+
+    try {
+      const body = await benchmarkService.export(format);
+      const file = join(EXPORT_DIR, `benchmark-history-${new Date().toISOString().slice(0, 19).replace(/:/g, "-")}.${format}`);
+      await mkdir(EXPORT_DIR, { recursive: true });
+      await writeFile(file, body);
+      dialog.setContent(`\n  {green-fg}Saved:{/green-fg}\n  ${blessed.escape(file)}\n\n  Press any key to close`);
+    } catch (err) {
+      dialog.setContent(`\n  {red-fg}Export failed:{/red-fg} ${blessed.escape(err.message || String(err))}\n\n  Press any key to close`);
+    }
+
+    screen.render();
+    // The next key closes the dialog
+    setImmediate(() => {
+      exporting = false;
+      dialog.removeAllListeners("keypress");
+      dialog.once("keypress", close);
+    });
+  });
+
+  screen.append(dialog);
+  dialog.focus();
+  screen.render();
+}
+
 /**
  * Hide the benchmark details overlay
  * @param {Object} components - { overlay }
  * @param {blessed.Screen} screen - The blessed screen instance
  */
 export function hideBenchmarkDetails(components, screen) {
-  const { overlay } = components;
+  const { overlay, compareView } = components;
+  compareView?.hide();
   overlay.hide();
   screen.render();
 }
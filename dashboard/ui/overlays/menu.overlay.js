@@ -47,6 +47,12 @@ export function getMenuItems() {
       const command = `BENCH:${fwConfig.name}:${endpoint.path}:${endpoint.method}`;
       menu[categoryName][label] = command;
     }
+
+    // Max sustainable throughput under a p99 target, per endpoint
+    for (const endpoint of benchmarkableEndpoints) {
+      const label = `Max RPS @ p99 target - ${endpoint.method} ${endpoint.path}`;
+      menu[categoryName][label] = `PROMPT_SLO:${fwConfig.name}:${endpoint.path}:${endpoint.method}`;
+    }
   }
   
   // Utilities
@@ -418,3 +418,115 @@ export function promptAPIConnect(screen, currentUrl, onSubmit) {
   textbox.readInput();
   screen.render();
 }
+
+/**
+ * Show p99 latency target prompt for a max-throughput search
+ * @param {blessed.Screen} screen - The blessed screen instance
+ * @param {string} target - What is being searched (e.g. "fastify GET /simple")
+ * @param {Function} onSubmit - Callback: (targetP99) => Promise<void>
+ */
+export function promptSloTarget(screen, target, onSubmit) {
+  const overlay = blessed.box({
+    parent: screen,
+    top: "center",
+    left: "center",
+    width: 60,
+    height: 8,
+    border: {
+      type: "line",
+    },
+    style: {
+      bg: "black",
+      border: {
+        fg: "cyan",
+      },
+    },
+  });
+
+  const question = blessed.text({
+    parent: overlay,
+    top: 1,
+    left: 2,
+    content: `Max RPS for ${target} with p99 under how many ms?`,
+    style: {
+      fg: "cyan",
+      bold: true,
+    },
+  });
+
+  const textbox = blessed.textbox({
+    parent: overlay,
+    top: 2,
+    left: 2,
+    width: "100%-4",
+    height: 3,
+    border: {
+      type: "line",
+    },
+    style: {
+      bg: "black",
+      fg: "white",
+      border: {
+        fg: "green",
+      },
+      focus: {
+        border: {
+          fg: "yellow",
+        },
+      },
+    },
+    keys: true,
+    mouse: true,
+    inputOnFocus: true,
+  });
+
+  const hint = blessed.text({
+    parent: overlay,
+    top: 5,
+    left: 2,
+    content: "Press Enter to start the search, ESC to cancel",
+    style: {
+      fg: "gray",
+    },
+  });
+
+  textbox.on("submit", async (value) => {
+    screen.remove(overlay);
+
+    if (!value || value.trim() === "") {
+      screen.render();
+      return;
+    }
+
+    const targetP99 = parseFloat(value);
+
+    if (isNaN(targetP99) || targetP99 <= 0) {
+      logError(`Invalid p99 target: ${value} (must be > 0 ms)`, {
+        source: "ui",
+        component: "prompt",
+        action: "slo_search_validation",
+      });
+      screen.render();
+      return;
+    }
+
+    await onSubmit(targetP99);
+    screen.render();
+  });
+
+  textbox.on("cancel", () => {
+    screen.remove(overlay);
+    screen.render();
+  });
+
+  textbox.key("escape", () => {
+    screen.remove(overlay);
+    screen.render();
+  });
+
+  screen.append(overlay);
+  textbox.focus();
+  textbox.setValue("10");
+  textbox.readInput();
+  screen.render();
+}
@@ -1,6 +1,6 @@
 import contrib from "blessed-contrib";
 import { WIDGET_POSITIONS, LIMITS } from "../../config/constants.js";
-import { formatNumber } from "../../utils/format.js";
+import { formatNumber, regressionMarker } from "../../utils/format.js";
 import { eventBus } from "../../services/events.service.js";
 
 /**
@@ -65,7 +65,8 @@ export function formatBenchmarkTableData(results) {
     return [
       time,
       r.framework,
-      formatNumber(r.reqPerSec),
+      // ▼/▲: regressed/improved against the baseline of its combination
+      `${formatNumber(r.reqPerSec)}${regressionMarker(r)}`,
       `${r.avgLatency}ms`,
       formatNumber(r.totalReqs)
     ];
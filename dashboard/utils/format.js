@@ -144,3 +144,16 @@ export function progressBar(value, max, width = 20) {
   
   return '█'.repeat(filled) + '░'.repeat(empty);
 }
+
+/**
+ * Marker for a result's verdict against its baseline, for table cells (which
+ * pad by string length, so no color tags)
+ * @param {Object} result - Benchmark result
+ * @returns {string} " ▼" if regressed, " ▲" if improved, "" otherwise
+ */
+export function regressionMarker(result) {
+  const verdict = result?.regression?.verdict;
+  if (verdict === "regressed") return " ▼";
+  if (verdict === "improved") return " ▲";
+  return "";
+}
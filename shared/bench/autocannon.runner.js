@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+
+/**
+ * autocannon Runner
+ *
+ * Spawned by runBenchmark instead of the autocannon CLI. The CLI's JSON output
+ * only has whole-run aggregates, so this runs autocannon's programmatic API in
+ * `workers` threads (like `autocannon -w`), records one sample per second and
+ * merges the raw per-thread results with autocannon.aggregateResult.
+ *
+ * With `overallRate` set (open model), latencies are also corrected for
+ * coordinated omission: a response that took longer than the per-connection
+ * send interval hid the requests that should have been sent meanwhile, so those
+ * are recorded too (HdrHistogram's recordValueWithExpectedInterval). The
+ * merged result then carries `correctedLatency`, and per-second samples use
+ * the corrected values.
+ *
+ * Every run also records a whole-run latency histogram (latency-histogram.js),
+ * plus a corrected one in open model, printed with the result so that any
+ * percentile can be re-derived later and histograms can be merged.
+ *
+ * SIGTERM (a cancelled run) stops autocannon in every thread; the partial
+ * result is still printed, with `cancelled: true`.
+ *
+ * Failures are broken down by status code and error class, with a few failing
+ * response bodies (error-breakdown.js), in `result.errorBreakdown`.
+ *
+ * Load agents (agent/load-agent.js) run it with `startAt`, so that every agent
+ * starts at the same moment, and `raw`, which adds what the coordinator needs
+ * to merge agents: per-second latency counts in samples and, in the result,
+ * the raw per-thread autocannon results.
+ *
+ * Usage: node autocannon.runner.js '<json options>'
+ *   options: { url, method, connections, duration, pipelining, workers, overallRate?, headers?, body?,
+ *              startAt?, raw? }
+ *
+ * Output on stdout, one JSON object per line:
+ *   { type: "sample", second, requests, p50Latency, p99Latency, errors, non2xx, latencies? }
+ *   { type: "result", result, timeline, histogram: { latency, corrected }, raw? }
+ */
+
+import autocannon from "autocannon";
+import { Worker, isMainThread, parentPort, workerData } from "worker_threads";
+import { LatencyCounts } from "./latency-counts.js";
+import { LatencyHistogram } from "./latency-histogram.js";
+import { ErrorBreakdown } from "./error-breakdown.js";
+
+/**
+ * Stop functions of the running instances/workers of this thread
+ */
+const stops = [];
+let stopped = false;
+
+function stopAll() {
+  stopped = true;
+  stops.forEach((stop) => stop());
+}
+
+/**
+ * Run one autocannon instance and report per-second samples
+ * @param {Object} opts - autocannon options
+ * @param {Function} onSample - (index, { requests, latencies, errors, non2xx }) => void
+ * @returns {Promise<{result: Object, histogram: Array, corrected: Array|null, breakdown: Object}>} Raw (non-aggregated)
+ *   autocannon result, plus the whole-run latency histogram entries (and corrected ones in open model)
+ *   and the error breakdown
+ */
+async function runInstance(opts, onSample) {
+  // Agents start together at startAt (epoch ms); the process and its threads are already up by then
+  if (opts.startAt > Date.now()) {
+    await new Promise((resolve) => setTimeout(resolve, opts.startAt - Date.now()));
+  }
+
+  // Per-connection send interval in ms; autocannon spreads overallRate evenly across connections
+  const interval = opts.overallRate ? (1000 * opts.connections) / opts.overallRate : null;
+  const histogram = new LatencyHistogram();
+  const corrected = interval ? new LatencyHistogram() : null;
+  const breakdown = new ErrorBreakdown();
+
+  return new Promise((resolve, reject) => {
+    let index = 0;
+    let requests = 0;
+    let errors = 0;
+    let non2xx = 0;
+    let latencies = new LatencyCounts();
+    let sampleStartedAt = Date.now();
+    let timer = null;
+
+    const flush = () => {
+      onSample(index++, { requests, latencies: latencies.entries(), errors, non2xx });
+      requests = 0;
+      errors = 0;
+      non2xx = 0;
+      latencies = new LatencyCounts();
+      sampleStartedAt = Date.now();
+    };
+
+    // Our own correction replaces autocannon's, so its aggregate stays uncorrected
+    const { startAt, raw, ...autocannonOpts } = opts;
+    const instanceOpts = {
+      ...autocannonOpts,
+      skipAggregateResult: true,
+      // A single request with the default method/headers/body, for its response bodies
+      requests: [{
+        onResponse: (status, body) => {
+          if (status < 200 || status >= 300) breakdown.recordSample(status, body);
+        },
+      }],
+    };
+    if (interval) instanceOpts.ignoreCoordinatedOmission = true;
+
+    const instance = autocannon(instanceOpts, (err, result) => {
+      clearInterval(timer);
+
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      // Keep the trailing partial second only if it covers most of a second
+      if (Date.now() - sampleStartedAt >= 500) {
+        flush();
+      }
+
+      resolve({
+        result,
+        histogram: histogram.entries(),
+        corrected: corrected ? corrected.entries() : null,
+        breakdown: breakdown.toJSON(),
+      });
+    });
+
+    stops.push(() => instance.stop());
+    if (stopped) instance.stop();
+
+    instance.on("start", () => {
+      sampleStartedAt = Date.now();
+      timer = setInterval(flush, 1000);
+    });
+
+    instance.on("response", (client, statusCode, resBytes, responseTime) => {
+      requests++;
+      histogram.record(responseTime);
+      if (interval) {
+        latencies.recordCorrected(responseTime, interval);
+        corrected.recordCorrected(responseTime, interval);
+      } else {
+        latencies.record(responseTime);
+      }
+      breakdown.recordStatus(statusCode);
+      if (statusCode < 200 || statusCode >= 300) non2xx++;
+    });
+
+    instance.on("reqError", (error) => {
+      errors++;
+      breakdown.recordError(error);
+    });
+  });
+}
+
+/**
+ * Split options across threads the same way `autocannon -w` does
+ */
+function threadOptions(options, threads) {
+  const { workers, ...opts } = options;
+
+  return {
+    ...opts,
+    connections: Math.max(1, Math.floor(opts.connections / threads)),
+    ...(opts.overallRate ? { overallRate: Math.max(1, Math.floor(opts.overallRate / threads)) } : {}),
+  };
+}
+
+/**
+ * Run the benchmark across threads, print samples as they complete and the merged result
+ * @param {Object} options - Runner options
+ */
+async function main(options) {
+  const threads = Math.max(1, options.workers || 1);
+  const opts = threadOptions(options, threads);
+
+  const seconds = [];
+  const timeline = [];
+
+  const emit = (index) => {
+    const second = seconds[index];
+    if (!second || second.emitted) return;
+    second.emitted = true;
+
+    const sample = {
+      second: index + 1,
+      requests: second.requests,
+      p50Latency: second.latencies.percentile(50),
+      p99Latency: second.latencies.percentile(99),
+      errors: second.errors,
+      non2xx: second.non2xx,
+    };
+
+    timeline.push(sample);
+    const latencies = options.raw ? { latencies: second.latencies.entries() } : {};
+    process.stdout.write(JSON.stringify({ type: "sample", ...sample, ...latencies }) + "\n");
+  };
+
+  const onSample = (index, sample) => {
+    if (!seconds[index]) {
+      seconds[index] = { requests: 0, errors: 0, non2xx: 0, latencies: new LatencyCounts(), reported: 0 };
+    }
+
+    const second = seconds[index];
+    second.requests += sample.requests;
+    second.errors += sample.errors;
+    second.non2xx += sample.non2xx;
+    second.latencies.merge(sample.latencies);
+    second.reported++;
+
+    if (second.reported === threads) {
+      emit(index);
+    }
+  };
+
+  let instances;
+
+  if (threads === 1) {
+    instances = [await runInstance(opts, onSample)];
+  } else {
+    instances = await Promise.all(
+      Array.from({ length: threads }, () => runWorker(opts, onSample))
+    );
+  }
+
+  const rawResults = instances.map((i) => i.result);
+
+  // Threads can disagree by one sample at the end
+  seconds.forEach((_, index) => emit(index));
+  timeline.sort((a, b) => a.second - b.second);
+
+  const result = autocannon.aggregateResult(rawResults, {
+    url: opts.url,
+    connections: options.connections,
+    pipelining: opts.pipelining,
+    workers: options.workers,
+  });
+
+  // aggregateResult has no per-second request histogram; derive req/s from the samples
+  const fullSeconds = timeline.filter((s) => s.requests > 0 || s.errors > 0);
+  result.requests.average = fullSeconds.length
+    ? fullSeconds.reduce((sum, s) => sum + s.requests, 0) / fullSeconds.length
+    : 0;
+
+  const histogram = new LatencyHistogram();
+  instances.forEach((i) => histogram.merge(i.histogram));
+
+  let corrected = null;
+
+  if (opts.overallRate) {
+    corrected = new LatencyHistogram();
+    instances.forEach((i) => corrected.merge(i.corrected));
+
+    result.correctedLatency = {
+      average: corrected.mean(),
+      p50: corrected.percentile(50),
+      p90: corrected.percentile(90),
+      p99: corrected.percentile(99),
+      p99_9: corrected.percentile(99.9),
+      p99_99: corrected.percentile(99.99),
+    };
+  }
+
+  const breakdown = new ErrorBreakdown();
+  instances.forEach((i) => breakdown.merge(i.breakdown));
+  result.errorBreakdown = breakdown.toJSON();
+
+  if (stopped) {
+    result.cancelled = true;
+  }
+
+  const histograms = { latency: histogram.toJSON(), corrected: corrected ? corrected.toJSON() : null };
+  const raw = options.raw ? { raw: rawResults } : {};
+  process.stdout.write(JSON.stringify({ type: "result", result, timeline, histogram: histograms, ...raw }) + "\n");
+}
+
+/**
+ * Run one instance in a worker thread
+ */
+function runWorker(opts, onSample) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL(import.meta.url), { workerData: { opts } });
+    stops.push(() => worker.postMessage({ type: "stop" }));
+    if (stopped) worker.postMessage({ type: "stop" });
+
+    worker.on("message", (msg) => {
+      if (msg.type === "sample") {
+        onSample(msg.index, msg.sample);
+      } else if (msg.type === "result") {
+        resolve(msg.instance);
+      } else if (msg.type === "error") {
+        reject(new Error(msg.message));
+      }
+    });
+
+    worker.on("error", reject);
+  });
+}
+
+if (isMainThread) {
+  process.on("SIGTERM", stopAll);
+
+  try {
+    await main(JSON.parse(process.argv[2]));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exit(1);
+  }
+} else {
+  parentPort.on("message", (msg) => {
+    if (msg.type === "stop") stopAll();
+  });
+  // The stop listener must not keep the worker alive once its instance is done
+  parentPort.unref();
+
+  try {
+    const instance = await runInstance(workerData.opts, (index, sample) => {
+      parentPort.postMessage({ type: "sample", index, sample });
+    });
+    parentPort.postMessage({ type: "result", instance });
+  } catch (error) {
+    parentPort.postMessage({ type: "error", message: error.message });
+  }
+}
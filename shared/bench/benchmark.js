@@ -0,0 +1,613 @@
+/**
+ * Benchmark
+ *
+ * Runs benchmarks with a load-generator engine (autocannon by default, see
+ * engines.js), for the API host and the headless bench CLI. Uses the API
+ * client it is given, if any, to check PM2 status.
+ */
+
+import { getEngine, checkEngine, validateEngineOptions, DEFAULT_ENGINE } from "./engines.js";
+import { cancelledError, missingBinaryError } from "./engines/spawn.js";
+
+export { cancelledError };
+
+/**
+ * Requests sent by the pre-flight contract check before load starts
+ */
+const PREFLIGHT_REQUESTS = 5;
+const PREFLIGHT_TIMEOUT_MS = 5000;
+
+/**
+ * Check if PM2 has the framework running via API
+ * @param {Object} apiClient - API client instance
+ * @param {string} targetFramework - Framework name
+ * @returns {Promise<Object>} { running, instances, message, suggestion }
+ */
+export async function checkPM2Framework(apiClient, targetFramework) {
+  try {
+    const response = await apiClient.pm2Stats();
+    const processes = response.processes || [];
+    
+    // Parse the formatted strings to check status
+    // Format: "{color-fg}  pid  name        status    cpu     mem{/color-fg}"
+    if (processes.length === 0 || processes[0].includes("No PM2 processes")) {
+      return {
+        running: false,
+        instances: 0,
+        message: "No PM2 processes are running",
+        suggestion: `Start ${targetFramework} first`,
+      };
+    }
+    
+    // Count running instances of target framework
+    let instanceCount = 0;
+    let hasOtherFrameworks = false;
+    const otherFrameworks = new Set();
+    
+    for (const proc of processes) {
+      // Check if this process line contains the framework name and is online
+      const isOnline = proc.includes("online");
+      const containsTarget = proc.includes(targetFramework);
+      
+      if (isOnline && containsTarget) {
+        instanceCount++;
+      } else if (isOnline) {
+        // Try to extract framework name from the line
+        const match = proc.match(/\d+\s+(\w+)\s+online/);
+        if (match) {
+          otherFrameworks.add(match[1]);
+          hasOtherFrameworks = true;
+        }
+      }
+    }
+    
+    if (instanceCount === 0) {
+      const runningNames = Array.from(otherFrameworks).join(", ");
+      return {
+        running: false,
+        instances: 0,
+        message: `${targetFramework} is not running`,
+        currentFramework: runningNames || undefined,
+        suggestion: hasOtherFrameworks ? `Currently running: ${runningNames}` : `Start ${targetFramework} first`,
+      };
+    }
+    
+    return {
+      running: true,
+      instances: instanceCount,
+      message: `${targetFramework} running with ${instanceCount} instances`,
+    };
+  } catch (error) {
+    return {
+      running: false,
+      instances: 0,
+      message: `Failed to check PM2 status: ${error.message}`,
+      suggestion: `Start ${targetFramework} first`,
+    };
+  }
+}
+
+/**
+ * Auto-scale benchmark parameters based on instance count
+ * @param {number} instanceCount - Number of server instances
+ * @returns {Object} { connections, workers, pipelining }
+ */
+export function autoScaleParams(instanceCount) {
+  return {
+    connections: Math.max(100, instanceCount * 50),
+    workers: Math.max(4, Math.min(Math.ceil(instanceCount / 2), 16)),
+    pipelining: instanceCount >= 10 ? 10 : instanceCount >= 4 ? 6 : 2,
+  };
+}
+
+/**
+ * Run a benchmark
+ * @param {Object} options - Benchmark options
+ * @param {Object} options.apiClient - API client for PM2 status check and target host
+ * @param {string} options.framework - Framework name
+ * @param {number} options.port - Port number
+ * @param {string} [options.host] - Target host (defaults to API server host from apiClient)
+ * @param {string} [options.endpoint="/simple"] - Endpoint path
+ * @param {string} [options.method="GET"] - HTTP method
+ * @param {number} [options.duration=20] - Duration in seconds
+ * @param {number} [options.connections] - Connections (auto-scaled if not set)
+ * @param {number} [options.workers] - Workers (auto-scaled if not set)
+ * @param {number} [options.pipelining] - Pipelining (auto-scaled if not set)
+ * @param {number} [options.instances] - Instance count for auto-scaling (skips PM2 check if provided)
+ * @param {number} [options.rate] - Fixed arrival rate (req/s spread across workers and connections) for an
+ *   open-model run, with latencies also corrected for coordinated omission; closed model (unthrottled) if not set
+ * @param {number} [options.warmup=0] - Warmup seconds before the measured window (results discarded)
+ * @param {number} [options.warmupRate] - Fixed request rate during warmup; unthrottled if not set
+ * @param {Object} [options.contract] - Expected response (the endpoint's `contract` in ENDPOINTS),
+ *   checked with a few requests before any load; the benchmark is aborted if it fails
+ * @param {AbortSignal} [options.signal] - Cancels the run: the partial result is returned with
+ *   status "cancelled" (a CancelledError is thrown if the measured window had not started yet)
+ * @param {Array<Object>} [options.agents] - LoadAgentClients to generate the load on instead of this
+ *   machine (connections and rate are split across them, results merged; see load-agents.js)
+ * @param {string} [options.engine="autocannon"] - Load generator (autocannon, wrk, wrk2, oha; see engines.js)
+ * @param {Function} [options.beforeLoad] - Awaited right before the measured load, after pre-flight and
+ *   warmup (e.g. to snapshot Redis counters that the measured requests alone must move)
+ * @param {Function} [options.onProgress] - Progress callback
+ * @returns {Promise<Object>} Benchmark results
+ */
+export async function runBenchmark(options) {
+  const {
+    apiClient,
+    framework,
+    port,
+    endpoint = "/simple",
+    method = "GET",
+    duration = 20,
+    rate,
+    warmup = 0,
+    warmupRate,
+    contract,
+    signal,
+    agents,
+    engine: engineName = DEFAULT_ENGINE,
+    beforeLoad,
+    onProgress,
+  } = options;
+
+  const engine = getEngine(engineName);
+  validateEngineOptions(engineName, { rate, agents });
+  if (warmup > 0) validateEngineOptions(engineName, { rate: warmupRate, agents });
+
+  if (!(await checkEngine(engineName)).available) {
+    const envVar = `${engineName.toUpperCase()}_PATH`;
+    throw missingBinaryError(engineName, process.env[envVar] || engineName, envVar);
+  }
+
+  const generateLoad = (runnerOptions, onSample, label) =>
+    engine.run(runnerOptions, { onSample, label, signal, agents });
+
+  // Get target host from apiClient if not explicitly provided
+  // This ensures benchmarks target the API server's machine, not localhost
+  const host = options.host || (apiClient?.getTargetHost?.() ?? "localhost");
+
+  if (!framework || !port) {
+    throw new Error("framework and port are required");
+  }
+
+  // Determine instance count for auto-scaling
+  let instanceCount = options.instances || 1;
+
+  // If instances not provided, check PM2 via API
+  if (!options.instances && apiClient) {
+    const pm2Check = await checkPM2Framework(apiClient, framework);
+    if (!pm2Check.running) {
+      throw new Error(pm2Check.message + (pm2Check.suggestion ? `. ${pm2Check.suggestion}` : ""));
+    }
+    instanceCount = pm2Check.instances;
+  }
+
+  // Auto-scale parameters
+  const scaled = autoScaleParams(instanceCount);
+  const baseConnections = options.connections || scaled.connections;
+  // autocannon gives connections a floor(rate / connections) share, and a 0 share means unthrottled
+  const connections = rate ? Math.min(baseConnections, rate) : baseConnections;
+  const workers = rate ? Math.min(options.workers || scaled.workers, connections) : options.workers || scaled.workers;
+  const loadModel = rate ? "open" : "closed";
+  // Pipelining bursts requests, which defeats a fixed rate
+  const pipelining = engine.supports.pipelining ? options.pipelining || (rate ? 1 : scaled.pipelining) : 1;
+
+  const url = `http://${host}:${port}${endpoint}`;
+
+  const runnerOptions = buildRunnerOptions({ url, method, connections, duration, pipelining, workers, rate });
+
+  if (signal?.aborted) throw cancelledError();
+
+  // A misrouted build answering 404/500 would otherwise be recorded as a (fast) result
+  if (contract) {
+    if (onProgress) {
+      onProgress({ status: "preflight", framework, url, requests: PREFLIGHT_REQUESTS });
+    }
+    await checkResponseContract(runnerOptions, contract);
+  }
+
+  // JIT, Redis connections and caches settle during warmup; its results are discarded
+  if (warmup > 0) {
+    if (onProgress) {
+      onProgress({ status: "warmup", framework, url, warmup, warmupRate: warmupRate || null });
+    }
+
+    // Same caps as the measured run: every worker gets at least one connection and one share of the rate
+    const warmupConnections = warmupRate ? Math.min(baseConnections, warmupRate) : baseConnections;
+    await generateLoad(buildRunnerOptions({
+      url,
+      method,
+      connections: warmupConnections,
+      duration: warmup,
+      pipelining: engine.supports.pipelining ? options.pipelining || (warmupRate ? 1 : scaled.pipelining) : 1,
+      workers: Math.min(workers, warmupConnections),
+      rate: warmupRate,
+    }), null, "Warmup");
+  }
+
+  if (beforeLoad) await beforeLoad();
+
+  if (signal?.aborted) throw cancelledError();
+
+  if (onProgress) {
+    onProgress({
+      status: "starting",
+      framework,
+      host,
+      url,
+      connections,
+      workers,
+      pipelining,
+      duration,
+      loadModel,
+      rate: rate || null,
+      instances: instanceCount,
+      agents: agents?.length ? agents.map((agent) => agent.getBaseURL()) : null,
+      engine: engineName,
+    });
+  }
+
+  // Report elapsed time once per second (samples can lag behind when the target stalls)
+  const startedAt = Date.now();
+  const ticker = onProgress
+    ? setInterval(() => {
+        const elapsed = Math.min(Math.round((Date.now() - startedAt) / 1000), duration);
+        onProgress({
+          status: "running",
+          elapsed,
+          duration,
+          percent: Math.round((elapsed / duration) * 100),
+        });
+      }, 1000)
+    : null;
+
+  try {
+    const { result, timeline, histogram, agents: agentResults } = await generateLoad(
+      runnerOptions,
+      onProgress ? (sample) => onProgress({ status: "sample", ...sample }) : null,
+      "Benchmark"
+    );
+
+    const resultData = buildResultData(result, {
+      framework,
+      endpoint,
+      method,
+      connections,
+      workers,
+      pipelining,
+      loadModel,
+      rate,
+      warmup,
+      warmupRate,
+      timeline,
+      histogram,
+      agents: agentResults,
+      engine: engineName,
+    });
+
+    if (onProgress) {
+      onProgress({ status: "complete", results: resultData });
+    }
+
+    return resultData;
+  } finally {
+    clearInterval(ticker);
+  }
+}
+
+/**
+ * Build load options for an engine (autocannon.runner.js takes them as-is)
+ * @param {Object} params - { url, method, connections, duration, pipelining, workers, rate? }
+ * @returns {Object} Runner options
+ */
+function buildRunnerOptions({ url, method, connections, duration, pipelining, workers, rate }) {
+  const runnerOptions = { url, method, connections, duration, pipelining, workers };
+
+  if (rate) {
+    runnerOptions.overallRate = rate;
+  }
+
+  // Add body for POST requests
+  if (method === "POST") {
+    runnerOptions.headers = { "Content-Type": "application/json" };
+    runnerOptions.body = JSON.stringify({ name: "benchmark" });
+  }
+
+  return runnerOptions;
+}
+
+/**
+ * Compare one response with an endpoint contract
+ * @param {number} status - Response status
+ * @param {string} text - Response body
+ * @param {Object} contract - { status?, body?, fields? }
+ * @returns {Array<string>} Problems (empty if the response matches)
+ */
+export function matchContract(status, text, contract) {
+  const problems = [];
+
+  if (contract.status && status !== contract.status) {
+    problems.push(`expected status ${contract.status}, got ${status}`);
+  }
+
+  if (!contract.body && !contract.fields) {
+    return problems;
+  }
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    return [...problems, "response is not JSON"];
+  }
+
+  for (const [key, expected] of Object.entries(contract.body || {})) {
+    if (JSON.stringify(json?.[key]) !== JSON.stringify(expected)) {
+      problems.push(`expected ${key} = ${JSON.stringify(expected)}, got ${JSON.stringify(json?.[key])}`);
+    }
+  }
+
+  for (const path of contract.fields || []) {
+    const value = path.split(".").reduce((obj, key) => obj?.[key], json);
+    if (value == null) {
+      problems.push(`missing ${path}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Pre-flight check: send a few requests and verify them against the endpoint contract
+ * @param {Object} runnerOptions - Options from buildRunnerOptions (url, method, headers, body)
+ * @param {Object} contract - Endpoint contract
+ * @throws {Error} Describing the first mismatching response
+ */
+export async function checkResponseContract(runnerOptions, contract) {
+  const { url, method, headers, body } = runnerOptions;
+
+  for (let i = 1; i <= PREFLIGHT_REQUESTS; i++) {
+    let status;
+    let text;
+
+    try {
+      const res = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(PREFLIGHT_TIMEOUT_MS) });
+      status = res.status;
+      text = await res.text();
+    } catch (error) {
+      throw new Error(`Pre-flight check failed: ${method} ${url} is unreachable (${error.cause?.code || error.message}). Benchmark aborted`);
+    }
+
+    const problems = matchContract(status, text, contract);
+    if (problems.length > 0) {
+      const sample = text.length > 200 ? `${text.slice(0, 200)}…` : text;
+      throw new Error(
+        `Pre-flight check failed: ${method} ${url} response ${i}/${PREFLIGHT_REQUESTS} does not match the contract ` +
+        `(${problems.join("; ")}). Body: ${sample}. Benchmark aborted`
+      );
+    }
+  }
+}
+
+/**
+ * A probe only counts as sustained if it reached this share of its target rate
+ */
+const SLO_MIN_ACHIEVED_RATIO = 0.95;
+
+/**
+ * A probe fails the SLO if more than this share of requests errored
+ */
+const SLO_MAX_ERROR_RATIO = 0.001;
+
+/**
+ * Check whether a probe result meets the latency SLO
+ * @param {Object} result - Result from runBenchmark
+ * @param {number|null} rate - Target rate of the probe (null for unthrottled)
+ * @param {number} targetP99 - p99 latency target in ms
+ * @returns {boolean}
+ */
+export function meetsSlo(result, rate, targetP99) {
+  const failed = result.errors + result.timeouts + result.non2xx;
+  // Fixed-rate probes are judged on the latency their requests would have seen had they been sent on time
+  const p99 = result.correctedP99Latency ?? result.p99Latency;
+
+  return (
+    p99 <= targetP99 &&
+    failed <= result.totalReqs * SLO_MAX_ERROR_RATIO &&
+    (!rate || result.reqPerSec >= rate * SLO_MIN_ACHIEVED_RATIO)
+  );
+}
+
+/**
+ * Format a request rate for headlines (e.g. 412000 -> "412k")
+ * @param {number} rps - Requests per second
+ * @returns {string}
+ */
+function formatRate(rps) {
+  if (rps >= 1e6) return `${parseFloat((rps / 1e6).toFixed(2))}M`;
+  if (rps >= 1e3) return `${Math.round(rps / 1e3)}k`;
+  return `${rps}`;
+}
+
+/**
+ * Search for the highest request rate a framework/endpoint sustains under a p99 target
+ *
+ * Runs an unthrottled calibration probe (unless maxRate is given) to find the
+ * ceiling, then binary-searches on fixed-rate probes between minRate and the
+ * ceiling until the bracket is within `tolerance` or `maxProbes` is reached.
+ *
+ * @param {Object} options - runBenchmark options plus:
+ * @param {number} options.targetP99 - p99 latency target in ms
+ * @param {number} [options.probeDuration=10] - Duration of each probe in seconds
+ * @param {number} [options.minRate=0] - Lower bound of the search (req/s)
+ * @param {number} [options.maxRate] - Upper bound (skips the calibration probe)
+ * @param {number} [options.tolerance=0.05] - Stop when the bracket is within this share of the upper bound
+ * @param {number} [options.maxProbes=8] - Maximum number of probes, including calibration
+ * @param {Function} [options.runFn=runBenchmark] - Probe runner
+ * @param {Function} [options.onProgress] - Progress callback (probe ticks plus a "probe" event per probe)
+ * @returns {Promise<Object>} { headline, maxSustainableRps, targetP99, ceilingRps, probes, results, cancelled, error? }
+ *   (when options.signal aborts, the search stops after the cancelled probe with the best rate found so far;
+ *   when a probe throws, it is recorded with passed false and its error, and the search stops the same way)
+ */
+export async function searchMaxThroughput(options) {
+  const {
+    targetP99,
+    probeDuration = 10,
+    minRate = 0,
+    maxRate,
+    tolerance = 0.05,
+    maxProbes = 8,
+    runFn = runBenchmark,
+    onProgress,
+    ...benchOptions
+  } = options;
+
+  if (!(targetP99 > 0)) {
+    throw new Error("targetP99 must be a positive number of milliseconds");
+  }
+
+  const results = [];
+  const probes = [];
+
+  const probe = async (rate) => {
+    const index = probes.length + 1;
+    let result;
+
+    try {
+      result = await runFn({
+        ...benchOptions,
+        duration: probeDuration,
+        rate,
+        onProgress: onProgress
+          ? (progress) => onProgress({ ...progress, probe: index, rate: rate || null })
+          : undefined,
+      });
+    } catch (error) {
+      // Cancelled before the probe measured anything
+      if (error.name === "CancelledError") return null;
+
+      // A failed probe (contract check, runner crash) ends the search without losing the earlier probes
+      const entry = { probe: index, rate: rate || null, reqPerSec: null, p99Latency: null, passed: false, error: error.message };
+      probes.push(entry);
+      if (onProgress) {
+        onProgress({ status: "probe", ...entry, targetP99 });
+      }
+      return entry;
+    }
+
+    const cancelled = result.status === "cancelled";
+    const entry = {
+      probe: index,
+      rate: rate || null,
+      reqPerSec: result.reqPerSec,
+      p99Latency: result.correctedP99Latency ?? result.p99Latency,
+      passed: !cancelled && meetsSlo(result, rate, targetP99),
+      ...(cancelled ? { cancelled } : {}),
+    };
+
+    results.push(result);
+    probes.push(entry);
+
+    if (onProgress) {
+      onProgress({ status: "probe", ...entry, targetP99 });
+    }
+
+    return entry;
+  };
+
+  let low = minRate;
+  let high = maxRate;
+  let best = null;
+  let ceilingRps = maxRate || null;
+  const { signal } = benchOptions;
+
+  if (!high) {
+    const ceiling = await probe(null);
+    ceilingRps = ceiling?.reqPerSec ?? null;
+    high = ceiling?.reqPerSec ?? 0;
+
+    // Unthrottled already meets the SLO - nothing higher to find
+    if (ceiling?.passed) {
+      best = ceiling;
+      low = high;
+    }
+  }
+
+  while (!signal?.aborted && probes.length < maxProbes && high - low > high * tolerance) {
+    const rate = Math.round((low + high) / 2);
+    const entry = await probe(rate);
+
+    if (!entry || entry.error) break;
+    if (entry.passed) {
+      best = entry;
+      low = rate;
+    } else {
+      high = rate;
+    }
+  }
+
+  const maxSustainableRps = best ? best.reqPerSec : 0;
+  const { framework, endpoint = "/simple" } = benchOptions;
+
+  const cancelled = Boolean(signal?.aborted);
+  const failedProbe = probes.find((entry) => entry.error);
+  const stopped = cancelled ? " (cancelled)" : failedProbe ? ` (stopped: probe ${failedProbe.probe} failed)` : "";
+
+  return {
+    headline: `${framework} ${endpoint}: ${formatRate(maxSustainableRps)} rps @ p99<${targetP99}ms${stopped}`,
+    maxSustainableRps,
+    targetP99,
+    ceilingRps,
+    probes,
+    results,
+    cancelled,
+    ...(failedProbe ? { error: failedProbe.error } : {}),
+  };
+}
+
+/**
+ * Build standardized result data from an engine result (see engines.js for its shape)
+ */
+export function buildResultData(results, meta) {
+  const corrected = results.correctedLatency;
+  const round = (ms) => (ms != null ? parseFloat(ms.toFixed(2)) : null);
+
+  return {
+    timestamp: new Date().toISOString(),
+    framework: meta.framework,
+    endpoint: meta.endpoint,
+    method: meta.method,
+    reqPerSec: Math.round(results.requests.average),
+    avgLatency: parseFloat(results.latency.average.toFixed(2)),
+    p50Latency: parseFloat(results.latency.p50.toFixed(2)),
+    p90Latency: parseFloat(results.latency.p90.toFixed(2)),
+    p99Latency: parseFloat(results.latency.p99.toFixed(2)),
+    p999Latency: round(results.latency.p99_9),
+    p9999Latency: round(results.latency.p99_99),
+    totalReqs: results.requests.total,
+    duration: parseFloat(results.duration.toFixed(2)),
+    connections: meta.connections,
+    workers: meta.workers,
+    pipelining: meta.pipelining,
+    errors: results.errors || 0,
+    timeouts: results.timeouts || 0,
+    non2xx: results.non2xx || 0,
+    // Responses per status code, failures per error class and sample failing bodies (see error-breakdown.js)
+    errorBreakdown: results.errorBreakdown || null,
+    status: results.cancelled ? "cancelled" : "complete",
+    loadModel: meta.loadModel || "closed",
+    targetRate: meta.rate || null,
+    correctedAvgLatency: corrected ? parseFloat(corrected.average.toFixed(2)) : null,
+    correctedP50Latency: corrected ? parseFloat(corrected.p50.toFixed(2)) : null,
+    correctedP90Latency: corrected ? parseFloat(corrected.p90.toFixed(2)) : null,
+    correctedP99Latency: corrected ? parseFloat(corrected.p99.toFixed(2)) : null,
+    correctedP999Latency: corrected ? round(corrected.p99_9) : null,
+    correctedP9999Latency: corrected ? round(corrected.p99_99) : null,
+    warmup: meta.warmup || 0,
+    warmupRate: meta.warmupRate || null,
+    agents: meta.agents || null,
+    engine: meta.engine || DEFAULT_ENGINE,
+    timeline: meta.timeline || [],
+    // Whole-run distribution ({ latency, corrected }, see latency-histogram.js); null if the engine has none
+    histogram: meta.histogram || null,
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * Load-generator engines
+ *
+ * runBenchmark drives every load generator through the same interface:
+ *
+ *   {
+ *     name,
+ *     supports: { rate, unthrottled, pipelining, timeline, agents },
+ *     check(): Promise<{ available, version }>,
+ *     run(runnerOptions, { onSample, label, signal, agents }): Promise<{ result, timeline, histogram?, agents? }>
+ *   }
+ *
+ * runnerOptions are the same for every engine (see buildRunnerOptions). `result`
+ * has one shape whatever the engine, read by buildResultData:
+ *
+ *   { requests: { average, total }, latency: { average, p50, p90, p99, p99_9, p99_99 } (ms),
+ *     duration (s), errors, timeouts, non2xx, errorBreakdown?, correctedLatency?, cancelled? }
+ *
+ * `errorBreakdown` is { statusCodes, errors, samples } (see error-breakdown.js).
+ *
+ * `histogram` is { latency, corrected } in LatencyHistogram's serialized form
+ * (latency-histogram.js), for engines that expose their whole distribution.
+ *
+ * autocannon's own result already has this shape; the wrk/wrk2/oha adapters map
+ * their output to it. Running the same benchmark with several engines shows
+ * whether a gap between frameworks is real or an artifact of the load generator.
+ */
+
+import { autocannonEngine } from "./engines/autocannon.engine.js";
+import { wrkEngine, wrk2Engine } from "./engines/wrk.engine.js";
+import { ohaEngine } from "./engines/oha.engine.js";
+
+export const DEFAULT_ENGINE = "autocannon";
+
+const ENGINES = {
+  autocannon: autocannonEngine,
+  wrk: wrkEngine,
+  wrk2: wrk2Engine,
+  oha: ohaEngine,
+};
+
+// Found binaries are cached per process; a missing one is looked up again on the next check
+const availability = new Map();
+
+function invalid(message) {
+  return Object.assign(new Error(message), { name: "ValidationError" });
+}
+
+/**
+ * Names of all engines
+ * @returns {Array<string>}
+ */
+export function getEngineNames() {
+  return Object.keys(ENGINES);
+}
+
+/**
+ * Get an engine by name
+ * @param {string} [name=DEFAULT_ENGINE] - Engine name
+ * @returns {Object} Engine
+ * @throws {Error} ValidationError for an unknown engine
+ */
+export function getEngine(name = DEFAULT_ENGINE) {
+  const engine = ENGINES[name];
+  if (!engine) {
+    throw invalid(`Unknown engine: ${name} (one of ${getEngineNames().join(", ")})`);
+  }
+  return engine;
+}
+
+/**
+ * Check that an engine's binary is installed
+ * @param {string} name - Engine name
+ * @returns {Promise<{name: string, available: boolean, version: string|null}>}
+ */
+export async function checkEngine(name) {
+  if (!availability.has(name)) {
+    const check = getEngine(name).check();
+    availability.set(name, check);
+    // Installing the engine (or setting its *_PATH) later must not need a restart
+    check.then(
+      ({ available }) => available || availability.delete(name),
+      () => availability.delete(name)
+    );
+  }
+  return { name, ...(await availability.get(name)) };
+}
+
+/**
+ * Check every engine
+ * @returns {Promise<Array<Object>>} [{ name, available, version, supports }]
+ */
+export async function listEngines() {
+  return Promise.all(
+    getEngineNames().map(async (name) => ({ ...(await checkEngine(name)), supports: ENGINES[name].supports }))
+  );
+}
+
+/**
+ * Reject option combinations an engine cannot run
+ * @param {string} name - Engine name
+ * @param {Object} options - { rate, agents }
+ * @throws {Error} ValidationError describing the problem
+ */
+export function validateEngineOptions(name, { rate, agents } = {}) {
+  const engine = getEngine(name);
+
+  if (rate && !engine.supports.rate) {
+    throw invalid(`${name} has no fixed-rate mode; use wrk2, oha or autocannon for a rate`);
+  }
+  if (!rate && !engine.supports.unthrottled) {
+    throw invalid(`${name} needs a rate (it only runs at a fixed arrival rate)`);
+  }
+  if (agents?.length && !engine.supports.agents) {
+    throw invalid(`Load agents only run autocannon, not ${name}`);
+  }
+}
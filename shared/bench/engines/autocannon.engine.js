@@ -0,0 +1,75 @@
+/**
+ * autocannon engine (default)
+ *
+ * Spawns autocannon.runner.js, or runs on load agents (load-agents.js) when
+ * agents are given. The only engine with per-second samples, pipelining and
+ * load agents.
+ */
+
+import { fileURLToPath } from "url";
+import { runOnAgents } from "../load-agents.js";
+import { runProcess, cancelledError } from "./spawn.js";
+
+/**
+ * Per-second sampling autocannon runner
+ */
+const RUNNER_PATH = fileURLToPath(new URL("../autocannon.runner.js", import.meta.url));
+
+export const autocannonEngine = {
+  name: "autocannon",
+  supports: { rate: true, unthrottled: true, pipelining: true, timeline: true, agents: true },
+
+  /**
+   * autocannon is a dependency, so it is always available
+   */
+  async check() {
+    return { available: true, version: null };
+  },
+
+  /**
+   * Run a benchmark
+   * @param {Object} runnerOptions - Load options (see buildRunnerOptions)
+   * @param {Object} context - { onSample, label, signal, agents }
+   * @returns {Promise<{result: Object, timeline: Array<Object>, histogram: Object, agents?: Array<Object>}>}
+   */
+  async run(runnerOptions, { onSample = null, label = "Benchmark", signal = null, agents = null } = {}) {
+    if (agents?.length) {
+      return runOnAgents(agents, runnerOptions, onSample, label, signal);
+    }
+
+    let output = null;
+
+    const { code, stderr } = await runProcess(process.execPath, [RUNNER_PATH, JSON.stringify(runnerOptions)], {
+      signal,
+      onLine: (line) => {
+        if (!line.trim()) return;
+        try {
+          const message = JSON.parse(line);
+          if (message.type === "sample") {
+            const { type, ...sample } = message;
+            if (onSample) onSample(sample);
+          } else if (message.type === "result") {
+            output = { result: message.result, timeline: message.timeline, histogram: message.histogram };
+          }
+        } catch (error) {
+          // Ignore non-JSON output
+        }
+      },
+    }).catch((err) => {
+      throw new Error(`Failed to run autocannon: ${err.message}`);
+    });
+
+    if (code === 0 && output) {
+      return output;
+    }
+    if (signal?.aborted) {
+      throw cancelledError();
+    }
+    if (code === 0) {
+      throw new Error(`Failed to parse results: no result from ${label.toLowerCase()} runner`);
+    }
+
+    const detail = stderr.trim().split("\n").pop();
+    throw new Error(`${label} failed with code ${code}${detail ? ` (${detail})` : ""}. Is the server running?`);
+  },
+};
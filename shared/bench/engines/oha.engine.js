@@ -0,0 +1,105 @@
+/**
+ * oha engine
+ *
+ * Runs oha with --json and maps its report to the engine result shape. With a
+ * rate (-q) it runs with --latency-correction, so like wrk2 it only reports
+ * corrected latencies, used for both the measured and the corrected fields.
+ * No per-second samples, pipelining or full histogram (its JSON only has a
+ * coarse response-time histogram). The error breakdown has status codes and
+ * oha's error messages, but no response bodies.
+ */
+
+import { runProcess, checkBinary, missingBinaryError, cancelledError } from "./spawn.js";
+
+const ENV_VAR = "OHA_PATH";
+const command = () => process.env[ENV_VAR] || "oha";
+
+/**
+ * Map an oha JSON report to the engine result shape
+ * @param {Object} report - Parsed `oha --json` output (times in seconds)
+ * @param {boolean} corrected - Run with --latency-correction
+ * @returns {Object} Engine result
+ */
+export function mapOhaReport(report, corrected) {
+  const ms = (seconds) => parseFloat(((seconds || 0) * 1000).toFixed(2));
+  const statusCodes = Object.entries(report.statusCodeDistribution || {});
+  // Requests still in flight when -z ends are reported as "aborted due to deadline"
+  const errors = Object.entries(report.errorDistribution || {}).filter(([message]) => !/deadline/i.test(message));
+
+  const latency = {
+    average: ms(report.summary.average),
+    p50: ms(report.latencyPercentiles?.p50),
+    p90: ms(report.latencyPercentiles?.p90),
+    p99: ms(report.latencyPercentiles?.p99),
+    p99_9: ms(report.latencyPercentiles?.["p99.9"]),
+    p99_99: ms(report.latencyPercentiles?.["p99.99"]),
+  };
+
+  return {
+    requests: {
+      average: report.summary.requestsPerSec || 0,
+      total: statusCodes.reduce((sum, [, count]) => sum + count, 0),
+    },
+    latency,
+    correctedLatency: corrected ? latency : undefined,
+    duration: report.summary.total || 0,
+    errors: errors.filter(([message]) => !/timeout/i.test(message)).reduce((sum, [, count]) => sum + count, 0),
+    timeouts: errors.filter(([message]) => /timeout/i.test(message)).reduce((sum, [, count]) => sum + count, 0),
+    non2xx: statusCodes.filter(([code]) => code < 200 || code >= 300).reduce((sum, [, count]) => sum + count, 0),
+    errorBreakdown: {
+      statusCodes: Object.fromEntries(statusCodes),
+      errors: Object.fromEntries(errors),
+      samples: [],
+    },
+  };
+}
+
+export const ohaEngine = {
+  name: "oha",
+  supports: { rate: true, unthrottled: true, pipelining: false, timeline: false, agents: false },
+
+  async check() {
+    return checkBinary(command());
+  },
+
+  /**
+   * Run a benchmark
+   * @param {Object} runnerOptions - Load options (see buildRunnerOptions)
+   * @param {Object} context - { label, signal }
+   * @returns {Promise<{result: Object, timeline: Array<Object>}>}
+   */
+  async run(runnerOptions, { label = "Benchmark", signal = null } = {}) {
+    const { url, method, connections, duration, overallRate, headers, body } = runnerOptions;
+
+    const args = ["-z", `${duration}s`, "-c", String(connections), "-m", method, "--no-tui", "--json"];
+    for (const [key, value] of Object.entries(headers || {})) {
+      args.push("-H", `${key}: ${value}`);
+    }
+    if (body) args.push("-d", body);
+    if (overallRate) args.push("-q", String(overallRate), "--latency-correction");
+    args.push(url);
+
+    let result;
+    try {
+      // oha stops on SIGINT and still prints its report
+      result = await runProcess(command(), args, { signal, stopSignal: "SIGINT" });
+    } catch (err) {
+      if (err.code === "ENOENT") throw missingBinaryError("oha", command(), ENV_VAR);
+      throw new Error(`Failed to run oha: ${err.message}`);
+    }
+
+    let report;
+    try {
+      report = JSON.parse(result.stdout.slice(result.stdout.indexOf("{")));
+    } catch {
+      if (signal?.aborted) throw cancelledError();
+      const detail = (result.stderr || result.stdout).trim().split("\n").pop();
+      throw new Error(`${label} failed with code ${result.code}${detail ? ` (${detail})` : ""}. Is the server running?`);
+    }
+
+    const mapped = mapOhaReport(report, Boolean(overallRate));
+    if (signal?.aborted) mapped.cancelled = true;
+
+    return { result: mapped, timeline: [] };
+  },
+};
@@ -0,0 +1,116 @@
+/**
+ * Process helpers shared by the load-generator engines
+ */
+
+import { spawn } from "child_process";
+
+/**
+ * How long a cancelled load generator gets to print its partial result before it is killed
+ */
+export const CANCEL_GRACE_MS = 5000;
+
+/**
+ * Error thrown when a benchmark is cancelled before it produced a result
+ * @returns {Error} Error with name "CancelledError"
+ */
+export function cancelledError() {
+  return Object.assign(new Error("Benchmark cancelled"), { name: "CancelledError" });
+}
+
+/**
+ * Error for a load generator binary that is not installed
+ * @param {string} engine - Engine name
+ * @param {string} command - Binary that was not found
+ * @param {string} envVar - Environment variable that overrides the binary path
+ * @returns {Error} Error with name "EngineUnavailableError"
+ */
+export function missingBinaryError(engine, command, envVar) {
+  return Object.assign(
+    new Error(`${engine} is not installed: "${command}" was not found on PATH. Install ${engine} or set ${envVar}`),
+    { name: "EngineUnavailableError" }
+  );
+}
+
+/**
+ * Run a load generator process
+ * @param {string} command - Binary
+ * @param {Array<string>} args - Arguments
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Extra environment variables
+ * @param {AbortSignal} [options.signal] - Sends stopSignal (then SIGKILL after CANCEL_GRACE_MS)
+ * @param {string} [options.stopSignal="SIGTERM"] - Signal that makes the generator stop and print what it has
+ * @param {Function} [options.onLine] - Called with each stdout line as it arrives
+ * @returns {Promise<{code: number|null, stdout: string, stderr: string}>} Rejects only if the process cannot be started
+ *   (err.code "ENOENT" for a missing binary)
+ */
+export function runProcess(command, args, { env, signal, stopSignal = "SIGTERM", onLine } = {}) {
+  return new Promise((resolve, reject) => {
+    let buffered = "";
+    let stdout = "";
+    let stderr = "";
+    let killTimer = null;
+
+    const child = spawn(command, args, {
+      stdio: ["ignore", "pipe", "pipe"],
+      env: env ? { ...process.env, ...env } : process.env,
+    });
+
+    const onAbort = () => {
+      child.kill(stopSignal);
+      killTimer = setTimeout(() => child.kill("SIGKILL"), CANCEL_GRACE_MS);
+    };
+
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener("abort", onAbort, { once: true });
+    }
+
+    child.stdout.on("data", (data) => {
+      const text = data.toString();
+      stdout += text;
+
+      if (!onLine) return;
+      buffered += text;
+      const lines = buffered.split("\n");
+      buffered = lines.pop();
+      lines.forEach((line) => onLine(line));
+    });
+
+    child.stderr.on("data", (data) => {
+      stderr += data.toString();
+    });
+
+    child.on("close", (code) => {
+      clearTimeout(killTimer);
+      signal?.removeEventListener("abort", onAbort);
+      if (onLine && buffered) onLine(buffered);
+      resolve({ code, stdout, stderr });
+    });
+
+    child.on("error", (err) => {
+      clearTimeout(killTimer);
+      signal?.removeEventListener("abort", onAbort);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Check that a binary can be started
+ * @param {string} command - Binary
+ * @param {Array<string>} [args=["--version"]] - Harmless arguments (exit code is ignored)
+ * @returns {Promise<{available: boolean, version: string|null}>}
+ */
+export async function checkBinary(command, args = ["--version"]) {
+  try {
+    const { stdout, stderr } = await runProcess(command, args);
+    const version = `${stdout}\n${stderr}`.match(/\d+\.\d+(\.\d+)?/);
+    return { available: true, version: version ? version[0] : null };
+  } catch (err) {
+    if (err.code === "ENOENT" || err.code === "EACCES") {
+      return { available: false, version: null };
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,53 @@
+-- JSON summary for the wrk and wrk2 engines (wrk.engine.js)
+--
+-- The request comes from the environment: WRK_METHOD, WRK_BODY and
+-- WRK_HEADERS ("Name: value" lines). done() prints one JSON line prefixed
+-- with WRK_SUMMARY; times are in microseconds, as wrk reports them.
+--
+-- wrk also exposes its recorded latencies (#latency distinct values,
+-- latency(i) -> value, count), printed as "histogram": [[us, count], ...].
+-- It is null where that interface is missing (wrk2).
+
+wrk.method = os.getenv("WRK_METHOD") or "GET"
+
+local body = os.getenv("WRK_BODY")
+if body and body ~= "" then
+  wrk.body = body
+end
+
+local headers = os.getenv("WRK_HEADERS")
+if headers then
+  for name, value in headers:gmatch("([^:\n]+):%s*([^\n]*)") do
+    wrk.headers[name] = value
+  end
+end
+
+local function histogram(latency)
+  local ok, json = pcall(function()
+    local buckets = {}
+    for i = 1, #latency do
+      local value, count = latency(i)
+      buckets[#buckets + 1] = string.format("[%d,%d]", value, count)
+    end
+    return "[" .. table.concat(buckets, ",") .. "]"
+  end)
+
+  return ok and json or "null"
+end
+
+function done(summary, latency, requests)
+  local errors = summary.errors
+
+  io.write(string.format(
+    "\nWRK_SUMMARY{\"duration\":%d,\"requests\":%d,\"bytes\":%d," ..
+    "\"errors\":{\"connect\":%d,\"read\":%d,\"write\":%d,\"status\":%d,\"timeout\":%d}," ..
+    "\"latency\":{\"mean\":%.2f,\"max\":%d,\"p50\":%d,\"p90\":%d,\"p99\":%d,\"p99_9\":%d,\"p99_99\":%d}," ..
+    "\"histogram\":%s}\n",
+    summary.duration, summary.requests, summary.bytes,
+    errors.connect, errors.read, errors.write, errors.status, errors.timeout,
+    latency.mean, latency.max,
+    latency:percentile(50), latency:percentile(90), latency:percentile(99),
+    latency:percentile(99.9), latency:percentile(99.99),
+    histogram(latency)
+  ))
+end
@@ -0,0 +1,140 @@
+/**
+ * wrk and wrk2 engines
+ *
+ * wrk (closed model only) and wrk2 (fixed rate, -R) print their summary
+ * through wrk-summary.lua, which is mapped to the engine result shape. wrk2
+ * only reports latencies corrected for coordinated omission, so they are used
+ * for both the measured and the corrected fields. Neither has per-second
+ * samples or pipelining, and their error breakdown only has wrk's error
+ * classes (no status codes or response bodies).
+ */
+
+import { fileURLToPath } from "url";
+import { runProcess, checkBinary, missingBinaryError, cancelledError } from "./spawn.js";
+import { LatencyHistogram } from "../latency-histogram.js";
+
+const SUMMARY_SCRIPT = fileURLToPath(new URL("./wrk-summary.lua", import.meta.url));
+const SUMMARY_PREFIX = "WRK_SUMMARY";
+
+/**
+ * Map the wrk-summary.lua output to the engine result shape
+ * @param {Object} summary - Parsed WRK_SUMMARY line
+ * @param {boolean} corrected - Latencies are coordinated-omission corrected (wrk2)
+ * @returns {Object} Engine result
+ */
+export function mapWrkSummary(summary, corrected) {
+  const seconds = summary.duration / 1e6;
+  const ms = (us) => parseFloat((us / 1000).toFixed(2));
+  const latency = {
+    average: ms(summary.latency.mean),
+    p50: ms(summary.latency.p50),
+    p90: ms(summary.latency.p90),
+    p99: ms(summary.latency.p99),
+    p99_9: ms(summary.latency.p99_9),
+    p99_99: ms(summary.latency.p99_99),
+  };
+
+  return {
+    requests: {
+      average: seconds > 0 ? summary.requests / seconds : 0,
+      total: summary.requests,
+    },
+    latency,
+    correctedLatency: corrected ? latency : undefined,
+    duration: seconds,
+    errors: summary.errors.connect + summary.errors.read + summary.errors.write,
+    timeouts: summary.errors.timeout,
+    // wrk counts responses with status > 399 as errors.status
+    non2xx: summary.errors.status,
+    errorBreakdown: {
+      statusCodes: null,
+      errors: Object.fromEntries(
+        ["connect", "read", "write", "timeout"].map((name) => [name, summary.errors[name]]).filter(([, count]) => count > 0)
+      ),
+      samples: [],
+    },
+  };
+}
+
+/**
+ * Whole-run histogram from the wrk-summary.lua distribution ([[us, count], ...])
+ * @param {Array|null} distribution - Recorded latencies, null if the binary does not expose them
+ * @param {boolean} corrected - Latencies are coordinated-omission corrected (wrk2)
+ * @returns {Object|null} { latency, corrected } (see latency-histogram.js)
+ */
+export function mapWrkHistogram(distribution, corrected) {
+  if (!distribution) return null;
+
+  const histogram = LatencyHistogram.from(distribution.map(([us, count]) => [us / 1000, count])).toJSON();
+  return { latency: histogram, corrected: corrected ? histogram : null };
+}
+
+/**
+ * Create the wrk or wrk2 engine
+ * @param {string} name - "wrk" or "wrk2"
+ * @returns {Object} Engine
+ */
+function createWrkEngine(name) {
+  const envVar = `${name.toUpperCase()}_PATH`;
+  const fixedRate = name === "wrk2";
+  const command = () => process.env[envVar] || name;
+
+  return {
+    name,
+    supports: { rate: fixedRate, unthrottled: !fixedRate, pipelining: false, timeline: false, agents: false },
+
+    async check() {
+      return checkBinary(command(), ["-v"]);
+    },
+
+    /**
+     * Run a benchmark
+     * @param {Object} runnerOptions - Load options (see buildRunnerOptions)
+     * @param {Object} context - { label, signal }
+     * @returns {Promise<{result: Object, timeline: Array<Object>, histogram: Object|null}>}
+     */
+    async run(runnerOptions, { label = "Benchmark", signal = null } = {}) {
+      const { url, method, connections, duration, workers, overallRate, headers, body } = runnerOptions;
+
+      const args = [
+        "-t", String(Math.min(workers || 1, connections)),
+        "-c", String(connections),
+        "-d", `${duration}s`,
+        "-s", SUMMARY_SCRIPT,
+      ];
+      if (fixedRate) args.push("-R", String(overallRate));
+      args.push(url);
+
+      const env = {
+        WRK_METHOD: method,
+        WRK_BODY: body || "",
+        WRK_HEADERS: Object.entries(headers || {}).map(([key, value]) => `${key}: ${value}`).join("\n"),
+      };
+
+      let result;
+      try {
+        // wrk stops on SIGINT and still prints its summary
+        result = await runProcess(command(), args, { env, signal, stopSignal: "SIGINT" });
+      } catch (err) {
+        if (err.code === "ENOENT") throw missingBinaryError(name, command(), envVar);
+        throw new Error(`Failed to run ${name}: ${err.message}`);
+      }
+
+      const line = result.stdout.split("\n").find((l) => l.startsWith(SUMMARY_PREFIX));
+      if (!line) {
+        if (signal?.aborted) throw cancelledError();
+        const detail = (result.stderr || result.stdout).trim().split("\n").pop();
+        throw new Error(`${label} failed with code ${result.code}${detail ? ` (${detail})` : ""}. Is the server running?`);
+      }
+
+      const summary = JSON.parse(line.slice(SUMMARY_PREFIX.length));
+      const mapped = mapWrkSummary(summary, fixedRate);
+      if (signal?.aborted) mapped.cancelled = true;
+
+      return { result: mapped, timeline: [], histogram: mapWrkHistogram(summary.histogram, fixedRate) };
+    },
+  };
+}
+
+export const wrkEngine = createWrkEngine("wrk");
+export const wrk2Engine = createWrkEngine("wrk2");
@@ -0,0 +1,105 @@
+/**
+ * Error breakdown of a run: responses per status code, failed requests per
+ * error class (ECONNRESET, EADDRNOTAVAIL, timeout...) and a few failing
+ * response bodies (e.g. 409 "Code already exists." next to 500s).
+ *
+ * Recorded by autocannon.runner.js, merged across threads and load agents,
+ * and mapped from oha's and wrk's reports. Serialized form (toJSON):
+ *
+ *   { statusCodes: { "201": 9800, "409": 200 } | null, errors: { ECONNRESET: 3 },
+ *     samples: [{ status, body, count }] }
+ *
+ * statusCodes is null for engines that only report a non-2xx total (wrk).
+ */
+
+/**
+ * Distinct failing responses kept as samples
+ */
+const MAX_SAMPLES = 5;
+
+/**
+ * Sample bodies are cut to this many characters
+ */
+const MAX_BODY_LENGTH = 200;
+
+export class ErrorBreakdown {
+  constructor() {
+    this.statusCodes = new Map();
+    this.errors = new Map();
+    this.samples = new Map();
+    this.hasStatusCodes = true;
+  }
+
+  /**
+   * Count a response
+   * @param {number|string} status - HTTP status code
+   * @param {number} [count=1]
+   */
+  recordStatus(status, count = 1) {
+    const key = String(status);
+    this.statusCodes.set(key, (this.statusCodes.get(key) || 0) + count);
+  }
+
+  /**
+   * Count a failed request by its error class
+   * @param {Error|string} error - Socket error (its code is the class) or a class name
+   * @param {number} [count=1]
+   */
+  recordError(error, count = 1) {
+    const key = typeof error === "string" ? error : errorClass(error);
+    this.errors.set(key, (this.errors.get(key) || 0) + count);
+  }
+
+  /**
+   * Keep a failing response body, up to MAX_SAMPLES distinct status/body pairs
+   * @param {number} status - HTTP status code
+   * @param {string} body - Response body
+   * @param {number} [count=1] - Responses with this status and body
+   */
+  recordSample(status, body, count = 1) {
+    const text = String(body ?? "").slice(0, MAX_BODY_LENGTH);
+    const key = `${status}\n${text}`;
+
+    if (this.samples.has(key)) {
+      this.samples.get(key).count += count;
+    } else if (this.samples.size < MAX_SAMPLES) {
+      this.samples.set(key, { status: Number(status), body: text, count });
+    }
+  }
+
+  /**
+   * Add a serialized breakdown (another thread or load agent)
+   * @param {Object|null} breakdown - ErrorBreakdown.toJSON() output
+   */
+  merge(breakdown) {
+    if (!breakdown) return;
+
+    if (breakdown.statusCodes) {
+      Object.entries(breakdown.statusCodes).forEach(([status, count]) => this.recordStatus(status, count));
+    } else {
+      this.hasStatusCodes = false;
+    }
+    Object.entries(breakdown.errors || {}).forEach(([name, count]) => this.recordError(name, count));
+    (breakdown.samples || []).forEach(({ status, body, count }) => this.recordSample(status, body, count));
+  }
+
+  toJSON() {
+    return {
+      statusCodes: this.hasStatusCodes ? Object.fromEntries(this.statusCodes) : null,
+      errors: Object.fromEntries(this.errors),
+      samples: [...this.samples.values()],
+    };
+  }
+}
+
+/**
+ * Class of a request error: the socket error code, or "timeout" for autocannon's
+ * own request timeout (it has no code)
+ * @param {Error} error - Request error
+ * @returns {string}
+ */
+export function errorClass(error) {
+  if (error?.code) return error.code;
+  if (/timed out/i.test(error?.message || "")) return "timeout";
+  return error?.message || "unknown";
+}
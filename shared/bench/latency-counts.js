@@ -0,0 +1,71 @@
+/**
+ * Latency counts per millisecond (autocannon's own histograms have 1ms resolution)
+ *
+ * Used by autocannon.runner.js for per-second samples and coordinated-omission
+ * correction, and by load-agents.js to merge the counts reported by several
+ * load agents (percentiles must be taken from merged counts, not averaged).
+ */
+export class LatencyCounts {
+  constructor() {
+    this.counts = new Map();
+    this.total = 0;
+  }
+
+  /**
+   * Bucket a latency is counted in (whole milliseconds)
+   */
+  bucket(ms) {
+    return Math.round(ms);
+  }
+
+  record(ms, count = 1) {
+    const bucket = this.bucket(ms);
+    this.counts.set(bucket, (this.counts.get(bucket) || 0) + count);
+    this.total += count;
+  }
+
+  merge(entries) {
+    for (const [ms, count] of entries) {
+      this.record(ms, count);
+    }
+  }
+
+  entries() {
+    return [...this.counts.entries()];
+  }
+
+  /**
+   * Record a latency plus the requests it delayed (coordinated omission correction)
+   * @param {number} ms - Measured latency
+   * @param {number} interval - Expected interval between requests on the connection (ms)
+   */
+  recordCorrected(ms, interval) {
+    this.record(ms);
+
+    for (let missed = ms - interval; missed >= interval; missed -= interval) {
+      this.record(missed);
+    }
+  }
+
+  mean() {
+    let sum = 0;
+    for (const [ms, count] of this.counts) {
+      sum += ms * count;
+    }
+    return this.total ? sum / this.total : 0;
+  }
+
+  percentile(p) {
+    if (this.total === 0) return 0;
+
+    const target = this.total * (p / 100);
+    let seen = 0;
+
+    for (const ms of [...this.counts.keys()].sort((a, b) => a - b)) {
+      seen += this.counts.get(ms);
+      if (seen >= target) return ms;
+    }
+
+    return 0;
+  }
+}
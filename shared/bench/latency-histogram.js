@@ -0,0 +1,78 @@
+/**
+ * Whole-run latency histogram
+ *
+ * HDR-style: latencies are kept to 3 significant digits (1µs buckets below
+ * 1ms, 10µs up to 10ms, 0.1ms up to 100ms...), so any percentile re-derived
+ * from a stored histogram is within 0.5% of the recorded value, whatever the
+ * latency range. Counts are sparse and merge by adding them up, so the
+ * histograms of repeated runs or of several load agents can be combined and
+ * queried as one (percentiles must never be averaged).
+ *
+ * Serialized form (stored per result, GET /api/benchmark/:id/histogram):
+ *   { unit: "ms", significantDigits: 3, total, counts: [[latency, count], ...] }
+ */
+
+import { LatencyCounts } from "./latency-counts.js";
+
+export const SIGNIFICANT_DIGITS = 3;
+
+/**
+ * Percentiles of the distribution view (100 is the max)
+ */
+export const DISTRIBUTION_PERCENTILES = [50, 75, 90, 95, 99, 99.9, 99.99, 99.999, 100];
+
+// Below this many microseconds buckets are 1µs wide
+const PRECISION = 10 ** SIGNIFICANT_DIGITS;
+
+export class LatencyHistogram extends LatencyCounts {
+  /**
+   * Rebuild a histogram from its serialized form
+   * @param {Object|Array|null} serialized - toJSON() output, or plain [[latency, count], ...] entries
+   * @returns {LatencyHistogram}
+   */
+  static from(serialized) {
+    const histogram = new LatencyHistogram();
+    histogram.merge(Array.isArray(serialized) ? serialized : serialized?.counts || []);
+    return histogram;
+  }
+
+  /**
+   * Round to SIGNIFICANT_DIGITS in microseconds (idempotent, so merged counts keep their buckets)
+   */
+  bucket(ms) {
+    const us = ms * 1000;
+    if (us < PRECISION) return Math.round(us) / 1000;
+
+    const scale = 10 ** (Math.floor(Math.log10(us)) - SIGNIFICANT_DIGITS + 1);
+    return (Math.round(us / scale) * scale) / 1000;
+  }
+
+  min() {
+    return this.total ? Math.min(...this.counts.keys()) : 0;
+  }
+
+  max() {
+    return this.total ? Math.max(...this.counts.keys()) : 0;
+  }
+
+  /**
+   * Latency at each percentile
+   * @param {number[]} [percentiles=DISTRIBUTION_PERCENTILES]
+   * @returns {Array<{percentile: number, latency: number}>}
+   */
+  distribution(percentiles = DISTRIBUTION_PERCENTILES) {
+    return percentiles.map((percentile) => ({
+      percentile,
+      latency: percentile >= 100 ? this.max() : this.percentile(percentile),
+    }));
+  }
+
+  toJSON() {
+    return {
+      unit: "ms",
+      significantDigits: SIGNIFICANT_DIGITS,
+      total: this.total,
+      counts: this.entries().sort((a, b) => a[0] - b[0]),
+    };
+  }
+}
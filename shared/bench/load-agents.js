@@ -0,0 +1,246 @@
+/**
+ * Load Agent Coordinator
+ *
+ * Runs one benchmark across several load agents (agent/load-agent.js) instead
+ * of a local autocannon.runner.js: connections and rate are split across the
+ * agents, every agent starts at the same moment (start time converted to each
+ * agent's clock), and their outputs are merged into the same { result, timeline, histogram }
+ * shape the autocannon engine returns. Latencies are merged from the agents' raw autocannon
+ * histograms (autocannon.aggregateResult) and whole-run histograms, never averaged.
+ */
+
+import autocannon from "autocannon";
+import { randomUUID } from "crypto";
+import { LatencyCounts } from "./latency-counts.js";
+import { LatencyHistogram } from "./latency-histogram.js";
+import { ErrorBreakdown } from "./error-breakdown.js";
+
+/**
+ * Lead time between sending the jobs and the common start, so every agent has its runner up
+ */
+const START_DELAY_MS = 2000;
+
+/**
+ * How often agents are polled for samples and status
+ */
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * Extra time past the duration before an agent that never finishes fails the run
+ */
+const FINISH_TIMEOUT_MS = 30000;
+
+/**
+ * Split a total as evenly as possible into `parts` positive integers
+ */
+function split(total, parts) {
+  return Array.from({ length: parts }, (_, i) => Math.floor(total / parts) + (i < total % parts ? 1 : 0));
+}
+
+/**
+ * Offset of an agent's clock to ours (agent = local + offset), halving the round trip
+ */
+async function clockOffset(agent) {
+  const sentAt = Date.now();
+  const agentNow = await agent.clock();
+  return agentNow - (sentAt + Date.now()) / 2;
+}
+
+/**
+ * Merge one second of samples from every agent
+ */
+function mergeSamples(second, samples) {
+  const latencies = new LatencyCounts();
+  samples.forEach((s) => latencies.merge(s.latencies || []));
+
+  return {
+    second,
+    requests: samples.reduce((sum, s) => sum + s.requests, 0),
+    p50Latency: latencies.percentile(50),
+    p99Latency: latencies.percentile(99),
+    errors: samples.reduce((sum, s) => sum + s.errors, 0),
+    non2xx: samples.reduce((sum, s) => sum + s.non2xx, 0),
+  };
+}
+
+/**
+ * Run a benchmark on load agents
+ * @param {Array<Object>} agents - LoadAgentClient instances
+ * @param {Object} runnerOptions - Options from buildRunnerOptions (connections and overallRate are totals)
+ * @param {Function|null} onSample - Called with each merged per-second sample
+ * @param {string} [label="Benchmark"] - Used in error messages
+ * @param {AbortSignal} [signal] - Cancels the jobs; agents still report their partial results
+ * @returns {Promise<{result: Object, timeline: Array<Object>, agents: Array<Object>}>} Merged autocannon
+ *   result and samples, plus the per-agent breakdown
+ */
+export async function runOnAgents(agents, runnerOptions, onSample, label = "Benchmark", signal = null) {
+  if (runnerOptions.connections < agents.length) {
+    throw new Error(`${label} needs at least one connection per load agent (${agents.length} agents)`);
+  }
+
+  const offsets = await Promise.all(
+    agents.map((agent) =>
+      clockOffset(agent).catch((error) => {
+        throw new Error(`Load agent ${agent.getBaseURL()} is unreachable: ${error.cause?.code || error.message}`);
+      })
+    )
+  );
+
+  const connections = split(runnerOptions.connections, agents.length);
+  const rates = runnerOptions.overallRate ? split(runnerOptions.overallRate, agents.length) : null;
+  const startAt = Date.now() + START_DELAY_MS;
+
+  const jobs = agents.map((agent, i) => ({
+    agent,
+    id: randomUUID(),
+    options: {
+      ...runnerOptions,
+      connections: connections[i],
+      workers: Math.min(runnerOptions.workers || 1, connections[i]),
+      ...(rates ? { overallRate: rates[i] } : {}),
+    },
+    samples: [],
+    status: "starting",
+    output: null,
+  }));
+
+  const cancelAll = () => Promise.allSettled(
+    jobs.filter((job) => job.status !== "starting").map((job) => job.agent.cancelJob(job.id))
+  );
+
+  try {
+    for (const [i, job] of jobs.entries()) {
+      await job.agent.startJob(job.id, Math.round(startAt + offsets[i]), job.options);
+      job.status = "waiting";
+    }
+  } catch (error) {
+    await cancelAll();
+    throw new Error(`${label}: failed to start load agent jobs (${error.message})`);
+  }
+
+  const onAbort = () => cancelAll();
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener("abort", onAbort, { once: true });
+  }
+
+  const timeline = [];
+  const deadline = startAt + runnerOptions.duration * 1000 + FINISH_TIMEOUT_MS;
+
+  try {
+    while (jobs.some((job) => !job.output)) {
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+
+      for (const job of jobs.filter((j) => !j.output)) {
+        const state = await job.agent.getJob(job.id, job.samples.length);
+        job.samples.push(...state.samples);
+        job.status = state.status;
+
+        if (state.status === "failed") {
+          throw new Error(`${label} failed on load agent ${job.agent.getBaseURL()}: ${state.error}`);
+        }
+        if (state.output) {
+          job.output = state.output;
+        }
+      }
+
+      // A second is complete once every agent has reported it
+      const seconds = Math.min(...jobs.map((job) => job.samples.length));
+      while (timeline.length < seconds) {
+        const sample = mergeSamples(timeline.length + 1, jobs.map((job) => job.samples[timeline.length]));
+        timeline.push(sample);
+        if (onSample) onSample(sample);
+      }
+
+      if (Date.now() > deadline && jobs.some((job) => !job.output)) {
+        throw new Error(`${label} timed out waiting for load agents`);
+      }
+    }
+  } catch (error) {
+    signal?.removeEventListener("abort", onAbort);
+    await cancelAll();
+    throw error;
+  }
+
+  signal?.removeEventListener("abort", onAbort);
+
+  // Agents can disagree by one sample at the end
+  const longest = Math.max(...jobs.map((job) => job.samples.length));
+  for (let index = timeline.length; index < longest; index++) {
+    const sample = mergeSamples(index + 1, jobs.map((job) => job.samples[index]).filter(Boolean));
+    timeline.push(sample);
+    if (onSample) onSample(sample);
+  }
+
+  return mergeOutputs(jobs, runnerOptions, timeline);
+}
+
+/**
+ * Merge the agents' raw results into one autocannon result plus per-agent breakdown
+ */
+function mergeOutputs(jobs, runnerOptions, timeline) {
+  const result = autocannon.aggregateResult(jobs.flatMap((job) => job.output.raw), {
+    url: runnerOptions.url,
+    connections: runnerOptions.connections,
+    pipelining: runnerOptions.pipelining,
+    workers: jobs.reduce((sum, job) => sum + job.options.workers, 0),
+  });
+
+  // As in the runner: req/s from the (summed) per-second samples
+  const fullSeconds = timeline.filter((s) => s.requests > 0 || s.errors > 0);
+  result.requests.average = fullSeconds.length
+    ? fullSeconds.reduce((sum, s) => sum + s.requests, 0) / fullSeconds.length
+    : 0;
+
+  const histogram = new LatencyHistogram();
+  jobs.forEach((job) => histogram.merge(job.output.histogram?.latency?.counts || []));
+
+  let corrected = null;
+
+  if (runnerOptions.overallRate) {
+    corrected = new LatencyHistogram();
+    jobs.forEach((job) => corrected.merge(job.output.histogram?.corrected?.counts || []));
+
+    result.correctedLatency = {
+      average: corrected.mean(),
+      p50: corrected.percentile(50),
+      p90: corrected.percentile(90),
+      p99: corrected.percentile(99),
+      p99_9: corrected.percentile(99.9),
+      p99_99: corrected.percentile(99.99),
+    };
+  }
+
+  const breakdown = new ErrorBreakdown();
+  jobs.forEach((job) => breakdown.merge(job.output.result.errorBreakdown));
+  result.errorBreakdown = breakdown.toJSON();
+
+  if (jobs.some((job) => job.output.result.cancelled)) {
+    result.cancelled = true;
+  }
+
+  const agents = jobs.map((job) => {
+    const r = job.output.result;
+    return {
+      agent: job.agent.getBaseURL(),
+      connections: job.options.connections,
+      workers: job.options.workers,
+      reqPerSec: Math.round(r.requests.average),
+      totalReqs: r.requests.total,
+      avgLatency: parseFloat(r.latency.average.toFixed(2)),
+      p50Latency: r.latency.p50,
+      p99Latency: r.latency.p99,
+      errors: r.errors || 0,
+      timeouts: r.timeouts || 0,
+      non2xx: r.non2xx || 0,
+    };
+  });
+
+  return {
+    result,
+    timeline,
+    agents,
+    histogram: { latency: histogram.toJSON(), corrected: corrected ? corrected.toJSON() : null },
+  };
+}